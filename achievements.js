@@ -0,0 +1,53 @@
+// achievements.js — badge definitions. db.js runs every rule whose `on` matches what just happened and
+// stores the badge the first time it passes; adding a badge means adding a row here, nothing else.
+//
+//   on:      'frag'      a new, non-team frag by the player   subject: { weapon, first, victimIsNemesis, ... }
+//            'streak'    a spree/multikill notable            subject: streaks.js notable { type, count, label }
+//            'match_end' the player's closed scoreboard row   subject: { kills, deaths, score, result, gametype }
+//   when:    (subject) => bool — cheap test on the subject (fields may be computed lazily)
+//   stat:    optional aggregate checked after `when` passes: one of db.js ACHIEVEMENT_STATS, with `arg`
+//   atLeast: the value `stat` has to reach
+
+const ACHIEVEMENTS = [
+  // frags
+  { id: 'first_blood',   label: 'First Blood',    description: 'Draw the first frag of a match',
+    on: 'frag', when: (f) => f.first },
+  { id: 'payback',       label: 'Payback',        description: 'Frag the player who has fragged you the most',
+    on: 'frag', when: (f) => f.victimIsNemesis },
+  { id: 'frags_1000',    label: 'Veteran',        description: '1000 frags',
+    on: 'frag', when: () => true, stat: 'frags', atLeast: 1000 },
+  { id: 'gauntlet_100',  label: 'Knuckle Sandwich', description: '100 gauntlet kills',
+    on: 'frag', when: (f) => f.weapon === 'gauntlet', stat: 'weapon_kills', arg: 'gauntlet', atLeast: 100 },
+  { id: 'railgun_500',   label: 'Railmaster',     description: '500 railgun kills',
+    on: 'frag', when: (f) => f.weapon === 'railgun', stat: 'weapon_kills', arg: 'railgun', atLeast: 500 },
+  { id: 'telefrag',      label: 'Wrong Place',    description: 'Telefrag someone',
+    on: 'frag', when: (f) => f.weapon === 'telefrag' },
+
+  // streaks
+  { id: 'rampage',       label: 'Rampage',        description: '10 frags without dying',
+    on: 'streak', when: (n) => n.type === 'spree' && n.count >= 10 },
+  { id: 'godlike',       label: 'Godlike',        description: '25 frags without dying',
+    on: 'streak', when: (n) => n.type === 'spree' && n.count >= 25 },
+  { id: 'ultra_kill',    label: 'Ultra Kill',     description: 'Five frags in quick succession',
+    on: 'streak', when: (n) => n.type === 'multikill' && n.count >= 5 },
+
+  // matches
+  { id: 'flawless',      label: 'Flawless',       description: 'Finish a match with 10+ frags and no deaths',
+    on: 'match_end', when: (m) => m.deaths === 0 && m.kills >= 10 },
+  { id: 'first_win',     label: 'Winner',         description: 'Win a duel or team match',
+    on: 'match_end', when: (m) => m.result === 'win' },
+  { id: 'play_streak_7', label: 'Regular',        description: 'Play on 7 days in a row',
+    on: 'match_end', when: () => true, stat: 'play_day_streak', atLeast: 7 },
+  { id: 'matches_100',   label: 'Centurion',      description: 'Finish 100 matches',
+    on: 'match_end', when: () => true, stat: 'matches', atLeast: 100 },
+];
+
+const ACHIEVEMENT_BY_ID = new Map(ACHIEVEMENTS.map(a => [a.id, a]));
+
+const achievementsOn = (trigger) => ACHIEVEMENTS.filter(a => a.on === trigger);
+const achievementOf = (id) => ACHIEVEMENT_BY_ID.get(String(id)) || null;
+
+// What the API shows for a badge (rules stay server-side)
+const describe = (a) => ({ id: a.id, label: a.label, description: a.description });
+
+module.exports = { ACHIEVEMENTS, achievementsOn, achievementOf, describe };
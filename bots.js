@@ -0,0 +1,49 @@
+// bots.js — telling bots from humans, and how much a bot frag is worth
+// The log says it outright more often than not: bots carry a "skill" key in their userinfo, some mods
+// flag them on the ClientConnect line, and the engine gives them the address "bot". A client with a
+// GUID is a human (bots never send cl_guid). Only a GUID-less client with no such evidence is judged by
+// name, against the bot registry (db.js bot_names, seeded from DEFAULT_NAMES and editable through the
+// admin API); a per-player override beats all of it.
+
+// Stock Quake 3 / Team Arena bots (name_key form)
+const DEFAULT_NAMES = [
+  'wrack', 'visor', 'gorre', 'angel', 'mynx', 'keel', 'orbb', 'cadavre', 'tankjr', 'lucy', 'sarge', 'grunt',
+  'ranger', 'biker', 'sorlag', 'mr.gauntlet', 'anarki', 'bitterman', 'hunter', 'major', 'uriel', 'daemia',
+  'klesk', 'stripe', 'patriot', 'lakerbot', 'bones', 'slash', 'xaero', 'doom', 'hossman', 'crash',
+  'phobos', 'razor',
+];
+
+// addbot skill levels (g_spSkill); fractional skills from mods round to the nearest level
+const SKILLS = [
+  { level: 1, label: 'I Can Win' },
+  { level: 2, label: 'Bring It On' },
+  { level: 3, label: 'Hurt Me Plenty' },
+  { level: 4, label: 'Hardcore' },
+  { level: 5, label: 'Nightmare!' },
+];
+const MAX_SKILL = SKILLS.length;
+// A bot whose skill never showed up in the log counts as g_spSkill's default
+const DEFAULT_SKILL = 2;
+
+// userinfo "skill" ("  3.00", "4") -> 1..5, or null when absent/garbage
+const parseSkill = (v) => {
+  if (v == null || String(v).trim() === '') return null;
+  const n = Number(String(v).trim());
+  return Number.isFinite(n) && n > 0 ? Math.min(MAX_SKILL, Math.max(1, Math.round(n))) : null;
+};
+
+// Bot frags scaled by difficulty: a Nightmare! bot counts in full, an I Can Win bot a fifth
+const skillWeight = (skill) => (parseSkill(skill) ?? DEFAULT_SKILL) / MAX_SKILL;
+
+// What the log says about one client -> { bot: true | false | null (undecided), skill, reason }
+//   connectBot: the ClientConnect line flagged it; skill/ip/guid: from ClientUserinfoChanged
+const detectBot = ({ connectBot = false, skill = null, ip = null, guid = null } = {}) => {
+  const level = parseSkill(skill);
+  if (connectBot) return { bot: true, skill: level, reason: 'connect' };
+  if (level != null) return { bot: true, skill: level, reason: 'skill' };
+  if (String(ip || '').toLowerCase() === 'bot') return { bot: true, skill: null, reason: 'address' };
+  if (guid) return { bot: false, skill: null, reason: 'guid' };
+  return { bot: null, skill: null, reason: null };
+};
+
+module.exports = { DEFAULT_NAMES, SKILLS, MAX_SKILL, DEFAULT_SKILL, parseSkill, skillWeight, detectBot };
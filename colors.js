@@ -0,0 +1,91 @@
+// colors.js — Quake 3 color codes in names: parse, strip, and render as HTML / ANSI / segments
+// Names are stored raw (see db.js); everything that needs them plain or colored goes through here,
+// so the name_key used for identity and what the API renders agree on what a color code is.
+//   ^0-^9      palette colors. The game masks the digit with 7, so ^8 is ^0 (black) and ^9 is ^1 (red).
+//   ^xRRGGBB   hex color (ioq3 forks / Excessive Plus); ^x without six hex digits is plain text
+//   ^^ or a trailing ^, ^ before anything else: a literal caret (the next ^ may still start a code)
+
+const PALETTE = [
+  '#000000', // ^0 black
+  '#ff0000', // ^1 red
+  '#00ff00', // ^2 green
+  '#ffff00', // ^3 yellow
+  '#0000ff', // ^4 blue
+  '#00ffff', // ^5 cyan
+  '#ff00ff', // ^6 magenta
+  '#ffffff', // ^7 white
+];
+// ANSI foreground codes for the palette (hex colors use 24-bit escapes)
+const ANSI = [30, 31, 32, 33, 34, 36, 35, 37];
+
+const HEX_RE = /^[0-9a-fA-F]{6}$/;
+
+// Raw name -> [{ text, color }]; color is '#rrggbb', or null before the first code (client default)
+const parse = (raw = '') => {
+  const s = String(raw);
+  const out = [];
+  let color = null;
+  let text = '';
+  const flush = () => {
+    if (!text) return;
+    const last = out[out.length - 1];
+    if (last && last.color === color) last.text += text;
+    else out.push({ text, color });
+    text = '';
+  };
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    const next = s[i + 1];
+    if (c === '^' && next >= '0' && next <= '9') {
+      flush();
+      color = PALETTE[(next.charCodeAt(0) - 48) & 7];
+      i += 1;
+    } else if (c === '^' && next === 'x' && HEX_RE.test(s.slice(i + 2, i + 8))) {
+      flush();
+      color = `#${s.slice(i + 2, i + 8).toLowerCase()}`;
+      i += 7;
+    } else {
+      text += c;
+    }
+  }
+  flush();
+  return out;
+};
+
+const stripColors = (raw = '') => parse(raw).map(seg => seg.text).join('');
+
+// Identity key: no colors, NFKC-folded (fullwidth and ligature lookalikes), trimmed, lowercased
+const nameKey = (raw = '') => stripColors(raw).normalize('NFKC').trim().toLowerCase();
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+})[c]);
+
+// Escaped text in <span style="color:#rrggbb"> runs; colors only ever come from parse(), never the input
+const toHtml = (raw = '') => parse(raw)
+  .map(seg => (seg.color ? `<span style="color:${seg.color}">${escapeHtml(seg.text)}</span>` : escapeHtml(seg.text)))
+  .join('');
+
+const ansiOf = (color) => {
+  const i = PALETTE.indexOf(color);
+  if (i !== -1) return `\x1b[${ANSI[i]}m`;
+  const n = parseInt(color.slice(1), 16);
+  return `\x1b[38;2;${(n >> 16) & 255};${(n >> 8) & 255};${n & 255}m`;
+};
+
+// Terminal output; always ends with a reset so the color doesn't leak into what follows
+const toAnsi = (raw = '') => {
+  const segs = parse(raw);
+  if (!segs.some(seg => seg.color)) return segs.map(seg => seg.text).join('');
+  return segs.map(seg => (seg.color ? ansiOf(seg.color) : '\x1b[39m') + seg.text).join('') + '\x1b[0m';
+};
+
+// ?render= modes -> extra fields next to a raw name (name -> name_html, name_segments, ...)
+const RENDERERS = {
+  plain: stripColors,
+  html: toHtml,
+  ansi: toAnsi,
+  segments: parse,
+};
+
+module.exports = { PALETTE, RENDERERS, parse, stripColors, nameKey, toHtml, toAnsi, escapeHtml };
@@ -1,8 +1,17 @@
-// db.js — stores raw caret-colored names; computes a stable name_key (no-colors, lowercased)
-// Handles legacy columns (e.g., name_colored) and optional frags.match_id gracefully.
+// db.js — stores raw caret-colored names; computes a stable name_key (colors.js: no colors, NFKC, lowercased)
+// Handles legacy columns (e.g., name_colored, NOT NULL frags.match_id) gracefully.
 
 const path = require('path');
+const { EventEmitter } = require('events');
 const Database = require('better-sqlite3');
+const { DEFAULT_RATING, rateFrag } = require('./rating');
+const weapons = require('./weapons');
+const { createStreakTracker, SPREE_MIN } = require('./streaks');
+const items = require('./items');
+const { gametypeOf, teamOf, isPlayingTeam } = require('./gametypes');
+const achievements = require('./achievements');
+const colors = require('./colors');
+const bots = require('./bots');
 
 const DB_PATH = path.join(__dirname, 'ladder.db');
 const db = new Database(DB_PATH);
@@ -10,15 +19,11 @@ db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
 // ---------- helpers ----------
-const BOT_NAMES = new Set([
-  'wrack','visor','gorre','angel','mynx','keel','orbb','cadavre','tankjr','lucy','sarge','grunt',
-  'ranger','biker','sorlag','mr.gauntlet','anarki','bitterman','hunter','major','uriel','daemia',
-  'klesk','stripe','patriot','lakerbot','bones','slash','xaero','doom','hossman','crash',
-  'phobos','razor'
-]);
+const DAY_MS = 86400000;
 
-// --- lookups by normalized key (already computed in index.js) ---
-const findPlayerByNameKey = (key) => selPlayerByKey.get(String(key || '')) || null;
+// --- lookups by normalized key (already computed in index.js); falls back to alias history ---
+const findPlayerByNameKey = (key) =>
+  selPlayerByKey.get(String(key || '')) || selPlayerByAliasKey.get(String(key || '')) || null;
 
 // --- aggregate a full profile for a player id ---
 const getPlayerProfile = (id, { days = 7, limitPairs = 10 } = {}) => {
@@ -46,24 +51,40 @@ const getPlayerProfile = (id, { days = 7, limitPairs = 10 } = {}) => {
     id: player.id,
     name: player.name,           // raw caret-colored name as stored
     is_bot: !!player.is_bot,
+    bot: botOut(player),
     first_seen: player.first_seen,
     last_seen: player.last_seen,
     model: player.last_model || null,
     hmodel: player.last_hmodel || null,
+    aliases: getPlayerAliases(id),
     totals,
+    versus: getPlayerVersus(id, { since }),
+    weapons: getPlayerWeapons(id, { since }),
+    rating: getPlayerRating(player),
+    streaks: getPlayerStreaks(player),
+    maps: getPlayerMaps(id, { since }),
+    awards: getPlayerAwards(id, { since }),
+    items: getPlayerItems(id, { since }),
+    activity: getPlayerActivity(id, { since }),
+    presence: getPlayerPresence(id, { since }),
+    achievements: getPlayerAchievements(id),
     nemesis,
     sparkline_24h,
   };
 };
 
 // used ONLY to compute name_key, never to mutate what we store in `name`
-const stripColors = (s = '') =>
-  String(s).replace(/\^[0-9]/g, '').replace(/\^x[0-9a-fA-F]{6}/g, '');
-const nameKeyOf = (raw = '') => stripColors(String(raw)).trim().toLowerCase();
-const isBotClean = (cleanLower = '') => BOT_NAMES.has(cleanLower);
+const nameKeyOf = (raw = '') => colors.nameKey(raw);
 
 // ---------- migrations ----------
 const migrate = () => {
+  const hadBotNames = !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'bot_names'`).get();
+
+  // player_opponents got the victim's skill in its key. Rollups are derived, so the old table is dropped and
+  // player_stats emptied, which has every rollup rebuilt from frags on open (rollupsBuiltOnOpen)
+  const oppCols = db.prepare(`PRAGMA table_info(player_opponents)`).all().map(r => r.name);
+  if (oppCols.length && !oppCols.includes('skill')) db.exec(`DROP TABLE player_opponents; DELETE FROM player_stats;`);
+
   // Baseline tables (no legacy columns defined here)
   db.exec(`
     CREATE TABLE IF NOT EXISTS players (
@@ -74,7 +95,49 @@ const migrate = () => {
       first_seen  INTEGER,
       last_seen   INTEGER,
       last_model  TEXT,
-      last_hmodel TEXT
+      last_hmodel TEXT,
+      rating      REAL NOT NULL DEFAULT ${DEFAULT_RATING},
+      rated_frags INTEGER NOT NULL DEFAULT 0,
+      guid        TEXT,                     -- cl_guid/pb_guid; NULL = name-keyed identity
+      best_streak    INTEGER NOT NULL DEFAULT 0, -- most frags in one life, ever
+      best_multikill INTEGER NOT NULL DEFAULT 0, -- most frags chained within streaks.MULTI_WINDOW_MS
+      bot_reason  TEXT,                     -- why is_bot was last detected: connect, skill, address, name (NULL = human)
+      bot_skill   INTEGER,                  -- last skill level seen in the bot's userinfo (bots.SKILLS)
+      bot_override INTEGER                  -- admin: 1 = always a bot, 0 = never; NULL = detect
+    );
+
+    CREATE TABLE IF NOT EXISTS seasons (
+      id          INTEGER PRIMARY KEY,
+      slug        TEXT NOT NULL UNIQUE,     -- e.g. '2025-10'
+      name        TEXT NOT NULL,
+      starts_at   INTEGER NOT NULL,         -- ms, inclusive
+      ends_at     INTEGER NOT NULL,         -- ms, exclusive
+      frozen_at   INTEGER                   -- set once final standings are stored
+    );
+
+    CREATE TABLE IF NOT EXISTS season_standings (
+      season_id   INTEGER NOT NULL,
+      rank        INTEGER NOT NULL,
+      player_id   INTEGER NOT NULL,
+      name        TEXT NOT NULL,            -- name as it was when the season froze
+      kills       INTEGER NOT NULL,
+      deaths      INTEGER NOT NULL,
+      kd          REAL NOT NULL,
+      PRIMARY KEY (season_id, rank),
+      FOREIGN KEY(season_id) REFERENCES seasons(id),
+      FOREIGN KEY(player_id) REFERENCES players(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS player_aliases (
+      id          INTEGER PRIMARY KEY,
+      player_id   INTEGER NOT NULL,
+      name        TEXT NOT NULL,            -- raw caret-colored form
+      name_key    TEXT NOT NULL,
+      first_seen  INTEGER,
+      last_seen   INTEGER,
+      merged      INTEGER NOT NULL DEFAULT 0, -- moved here by an admin merge
+      UNIQUE (player_id, name),
+      FOREIGN KEY(player_id) REFERENCES players(id)
     );
 
     CREATE TABLE IF NOT EXISTS frags (
@@ -83,9 +146,285 @@ const migrate = () => {
       killer_id  INTEGER,                   -- NULL = <world>
       victim_id  INTEGER NOT NULL,
       mod        TEXT,
+      teamkill   INTEGER NOT NULL DEFAULT 0, -- killer and victim on the same team (team gametypes)
+      victim_skill INTEGER,                 -- the victim bot's skill level at the time (NULL = human/unknown)
       FOREIGN KEY(killer_id) REFERENCES players(id),
       FOREIGN KEY(victim_id) REFERENCES players(id)
     );
+
+    CREATE TABLE IF NOT EXISTS matches (
+      id          INTEGER PRIMARY KEY,
+      map         TEXT,
+      gametype    TEXT,
+      hostname    TEXT,                     -- raw caret-colored sv_hostname
+      started_at  INTEGER NOT NULL,         -- ms since epoch
+      ended_at    INTEGER,                  -- NULL = still running (or never closed)
+      end_reason  TEXT,                     -- 'ShutdownGame', Exit reason, 'superseded'
+      source_key  TEXT,                     -- set by import.js so re-imports find the same row
+      server_id   TEXT,                     -- servers.js registry id (NULL = pre-registry data)
+      red_score   INTEGER,                  -- team gametypes: logged "red:/blue:" line, else derived
+      blue_score  INTEGER,
+      winner      TEXT                      -- 'red', 'blue' or 'draw' (team gametypes only)
+    );
+
+    CREATE TABLE IF NOT EXISTS match_players (
+      match_id   INTEGER NOT NULL,
+      player_id  INTEGER NOT NULL,
+      score      INTEGER NOT NULL DEFAULT 0,
+      kills      INTEGER NOT NULL DEFAULT 0,
+      deaths     INTEGER NOT NULL DEFAULT 0,
+      suicides   INTEGER NOT NULL DEFAULT 0,
+      best_streak    INTEGER NOT NULL DEFAULT 0,
+      best_multikill INTEGER NOT NULL DEFAULT 0,
+      sprees_ended   INTEGER NOT NULL DEFAULT 0, -- other players' sprees (5+) this player ended
+      reported_score INTEGER,                    -- "score:" line after Exit (wins over the frag count)
+      ping           INTEGER,
+      teamkills      INTEGER NOT NULL DEFAULT 0,
+      team           TEXT,                       -- last team seen: red, blue, free, spectator
+      result         TEXT,                       -- 'win', 'loss', 'draw' (team and duel gametypes)
+      PRIMARY KEY (match_id, player_id),
+      FOREIGN KEY(match_id)  REFERENCES matches(id),
+      FOREIGN KEY(player_id) REFERENCES players(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS awards (
+      id          INTEGER PRIMARY KEY,
+      ts          INTEGER NOT NULL,
+      player_id   INTEGER NOT NULL,
+      award       TEXT NOT NULL,            -- excellent, impressive, humiliation, defend, assist, capture
+      match_id    INTEGER,
+      server_id   TEXT,
+      source_key  TEXT,
+      FOREIGN KEY(player_id) REFERENCES players(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS item_pickups (
+      id          INTEGER PRIMARY KEY,
+      ts          INTEGER NOT NULL,
+      player_id   INTEGER NOT NULL,
+      item        TEXT NOT NULL,            -- items.js id (quad, red_armor, megahealth, ...)
+      match_id    INTEGER,
+      server_id   TEXT,
+      source_key  TEXT,
+      FOREIGN KEY(player_id) REFERENCES players(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      id           INTEGER PRIMARY KEY,
+      player_id    INTEGER,                 -- NULL until the client's userinfo arrives
+      client_id    INTEGER,
+      match_id     INTEGER,
+      server_id    TEXT,
+      connected_at INTEGER NOT NULL,
+      began_at     INTEGER,                 -- ClientBegin: actually entered the game
+      ended_at     INTEGER,
+      end_reason   TEXT,                    -- 'disconnect', 'match_end', 'reconnect'
+      source_key   TEXT,
+      FOREIGN KEY(player_id) REFERENCES players(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id          INTEGER PRIMARY KEY,
+      ts          INTEGER NOT NULL,
+      player_id   INTEGER,                  -- NULL = couldn't tell who (or the server console)
+      name        TEXT NOT NULL,            -- raw caret-colored name as logged
+      team        INTEGER NOT NULL DEFAULT 0, -- 1 = sayteam
+      message     TEXT NOT NULL,
+      match_id    INTEGER,
+      server_id   TEXT,
+      source_key  TEXT,
+      FOREIGN KEY(player_id) REFERENCES players(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS flag_events (
+      id          INTEGER PRIMARY KEY,
+      ts          INTEGER NOT NULL,
+      player_id   INTEGER NOT NULL,
+      team        TEXT,                     -- the player's team
+      flag        TEXT NOT NULL,            -- whose flag: red, blue
+      action      TEXT NOT NULL,            -- pickup, capture, return, carrier_kill
+      match_id    INTEGER,
+      server_id   TEXT,
+      source_key  TEXT,
+      FOREIGN KEY(player_id) REFERENCES players(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS rounds (
+      id          INTEGER PRIMARY KEY,
+      ts          INTEGER NOT NULL,
+      match_id    INTEGER NOT NULL,
+      round       INTEGER,                  -- as logged; NULL when the mod doesn't number them
+      winner      TEXT,                     -- red, blue, draw
+      server_id   TEXT,
+      source_key  TEXT,
+      FOREIGN KEY(match_id) REFERENCES matches(id)
+    );
+
+    -- background status poller (poller.js): one row per server per tick, down ticks included
+    CREATE TABLE IF NOT EXISTS server_samples (
+      id          INTEGER PRIMARY KEY,
+      server_id   TEXT NOT NULL,
+      ts          INTEGER NOT NULL,
+      up          INTEGER NOT NULL,         -- 0 = no getstatus reply
+      map         TEXT,
+      players     INTEGER NOT NULL DEFAULT 0, -- humans
+      bots        INTEGER NOT NULL DEFAULT 0,
+      max_clients INTEGER
+    );
+
+    -- presence as the poller saw it: joined/last seen/left, plus running ping stats for the stay
+    CREATE TABLE IF NOT EXISTS play_sessions (
+      id           INTEGER PRIMARY KEY,
+      player_id    INTEGER NOT NULL,
+      server_id    TEXT NOT NULL,
+      joined_at    INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      left_at      INTEGER,                 -- NULL while still online
+      ping_samples INTEGER NOT NULL DEFAULT 0,
+      ping_sum     INTEGER NOT NULL DEFAULT 0,
+      ping_min     INTEGER,
+      ping_max     INTEGER,
+      FOREIGN KEY(player_id) REFERENCES players(id)
+    );
+
+    -- rollups of frags, bumped as frags are stored (see "rollups" below); server_id '' = untagged.
+    -- kills exclude teamkills (counted separately); suicides are deaths with no other killer
+    CREATE TABLE IF NOT EXISTS player_stats (
+      player_id   INTEGER NOT NULL,
+      server_id   TEXT NOT NULL DEFAULT '',
+      kills       INTEGER NOT NULL DEFAULT 0,
+      teamkills   INTEGER NOT NULL DEFAULT 0,
+      deaths      INTEGER NOT NULL DEFAULT 0,
+      suicides    INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (player_id, server_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS player_daily (
+      player_id   INTEGER NOT NULL,
+      server_id   TEXT NOT NULL DEFAULT '',
+      day         INTEGER NOT NULL,         -- UTC day number (ts / 86400000)
+      kills       INTEGER NOT NULL DEFAULT 0,
+      teamkills   INTEGER NOT NULL DEFAULT 0,
+      deaths      INTEGER NOT NULL DEFAULT 0,
+      suicides    INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (player_id, server_id, day)
+    );
+
+    -- per MOD; kills leave out self-kills and teamkills, deaths count everything
+    CREATE TABLE IF NOT EXISTS player_weapons (
+      player_id   INTEGER NOT NULL,
+      server_id   TEXT NOT NULL DEFAULT '',
+      day         INTEGER NOT NULL,
+      mod         TEXT NOT NULL DEFAULT '',
+      kills       INTEGER NOT NULL DEFAULT 0,
+      deaths      INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (player_id, server_id, day, mod)
+    );
+
+    -- who fragged whom (teamkills included in kills and also counted apart, self-kills not)
+    CREATE TABLE IF NOT EXISTS player_opponents (
+      player_id   INTEGER NOT NULL,
+      opponent_id INTEGER NOT NULL,
+      server_id   TEXT NOT NULL DEFAULT '',
+      day         INTEGER NOT NULL,
+      skill       INTEGER NOT NULL DEFAULT 0, -- frags.victim_skill (0 = human/unknown)
+      kills       INTEGER NOT NULL DEFAULT 0,
+      teamkills   INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (player_id, opponent_id, server_id, day, skill)
+    );
+
+    -- badges from achievements.js, earned once per player
+    CREATE TABLE IF NOT EXISTS player_achievements (
+      id          INTEGER PRIMARY KEY,
+      player_id   INTEGER NOT NULL,
+      achievement TEXT NOT NULL,            -- achievements.js id
+      earned_at   INTEGER NOT NULL,
+      match_id    INTEGER,
+      server_id   TEXT,
+      FOREIGN KEY(player_id) REFERENCES players(id)
+    );
+
+    -- where the in-process log follower (logtail.js) stopped reading, per server
+    CREATE TABLE IF NOT EXISTS log_offsets (
+      server_id   TEXT PRIMARY KEY,
+      path        TEXT NOT NULL,
+      inode       TEXT NOT NULL,
+      offset      INTEGER NOT NULL,         -- first byte not yet processed
+      file_id     INTEGER REFERENCES log_files(id),
+      match_key   TEXT,                     -- logtail.js lineKeys state at that offset
+      match_line  INTEGER,
+      updated_at  INTEGER NOT NULL
+    );
+
+    -- every log file a server has written, known by its first bytes (inodes get recycled, copytruncate keeps them)
+    CREATE TABLE IF NOT EXISTS log_files (
+      id          INTEGER PRIMARY KEY,
+      server_id   TEXT NOT NULL,
+      head        TEXT NOT NULL,            -- sha1 of the first head_len bytes
+      head_len    INTEGER NOT NULL,         -- grows with the file up to logtail.js HEAD_BYTES
+      first_seen  INTEGER NOT NULL
+    );
+
+    -- every admin action (RCON commands, identity and season edits), successful or not
+    CREATE TABLE IF NOT EXISTS admin_audit (
+      id         INTEGER PRIMARY KEY,
+      ts         INTEGER NOT NULL,
+      actor      TEXT NOT NULL,             -- basic-auth user, or 'token'
+      ip         TEXT,
+      server_id  TEXT,
+      action     TEXT NOT NULL,             -- kick, map, cvar, say, players.merge, ...
+      target     TEXT,
+      command    TEXT,                      -- RCON command as sent (never includes the password)
+      args       TEXT,                      -- JSON of the request body
+      ok         INTEGER NOT NULL,
+      result     TEXT                       -- server reply or error message (truncated)
+    );
+
+    CREATE TABLE IF NOT EXISTS bot_names (
+      name_key    TEXT PRIMARY KEY,         -- a GUID-less client with no other bot evidence is a bot by this name
+      added_at    INTEGER NOT NULL,
+      added_by    TEXT                      -- NULL = shipped default (bots.DEFAULT_NAMES)
+    );
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id          INTEGER PRIMARY KEY,
+      name        TEXT,
+      url         TEXT NOT NULL,
+      format      TEXT NOT NULL DEFAULT 'json', -- 'json' or 'discord' (webhooks.js FORMATS)
+      events      TEXT NOT NULL DEFAULT '*',    -- comma list of webhooks.js EVENTS, or '*'
+      server_id   TEXT,                         -- only this server's events (NULL = all)
+      secret      TEXT,                         -- HMAC-SHA256 key for the signature header
+      enabled     INTEGER NOT NULL DEFAULT 1,
+      created_at  INTEGER NOT NULL,
+      created_by  TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id               INTEGER PRIMARY KEY,
+      webhook_id       INTEGER NOT NULL,
+      event            TEXT NOT NULL,
+      payload          TEXT NOT NULL,           -- request body as sent (JSON)
+      status           TEXT NOT NULL DEFAULT 'pending', -- pending, ok, failed
+      attempts         INTEGER NOT NULL DEFAULT 0,
+      created_at       INTEGER NOT NULL,
+      next_attempt_at  INTEGER,                 -- NULL once ok/failed
+      last_attempt_at  INTEGER,
+      response_status  INTEGER,                 -- HTTP status of the last attempt
+      error            TEXT,                    -- last network error or response excerpt
+      FOREIGN KEY(webhook_id) REFERENCES webhooks(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS rating_history (
+      id         INTEGER PRIMARY KEY,
+      player_id  INTEGER NOT NULL,
+      ts         INTEGER NOT NULL,
+      frag_id    INTEGER,
+      match_id   INTEGER,
+      rating     REAL NOT NULL,             -- rating AFTER this frag
+      delta      REAL NOT NULL,
+      FOREIGN KEY(player_id) REFERENCES players(id),
+      FOREIGN KEY(frag_id)   REFERENCES frags(id)
+    );
   `);
 
   // Ensure missing columns on players
@@ -100,6 +439,64 @@ const migrate = () => {
     if (!pcols.includes('last_seen'))   db.exec(`ALTER TABLE players ADD COLUMN last_seen INTEGER`);
     if (!pcols.includes('last_model'))  db.exec(`ALTER TABLE players ADD COLUMN last_model TEXT`);
     if (!pcols.includes('last_hmodel')) db.exec(`ALTER TABLE players ADD COLUMN last_hmodel TEXT`);
+    if (!pcols.includes('rating'))      db.exec(`ALTER TABLE players ADD COLUMN rating REAL NOT NULL DEFAULT ${DEFAULT_RATING}`);
+    if (!pcols.includes('rated_frags')) db.exec(`ALTER TABLE players ADD COLUMN rated_frags INTEGER NOT NULL DEFAULT 0`);
+    if (!pcols.includes('guid'))        db.exec(`ALTER TABLE players ADD COLUMN guid TEXT`);
+    if (!pcols.includes('best_streak'))    db.exec(`ALTER TABLE players ADD COLUMN best_streak INTEGER NOT NULL DEFAULT 0`);
+    if (!pcols.includes('best_multikill')) db.exec(`ALTER TABLE players ADD COLUMN best_multikill INTEGER NOT NULL DEFAULT 0`);
+    if (!pcols.includes('bot_skill'))      db.exec(`ALTER TABLE players ADD COLUMN bot_skill INTEGER`);
+    if (!pcols.includes('bot_override'))   db.exec(`ALTER TABLE players ADD COLUMN bot_override INTEGER`);
+    if (!pcols.includes('bot_reason')) {
+      // Bots so far were all found by name, and a name never outweighed a GUID
+      db.exec(`ALTER TABLE players ADD COLUMN bot_reason TEXT`);
+      db.exec(`UPDATE players SET bot_reason = 'name' WHERE is_bot = 1 AND guid IS NULL`);
+      db.exec(`UPDATE players SET is_bot = 0 WHERE is_bot = 1 AND guid IS NOT NULL`);
+    }
+    db.exec('COMMIT');
+  } catch (e) {
+    db.exec('ROLLBACK');
+    throw e;
+  }
+
+  // Ensure missing columns on matches (a legacy matches table may predate these)
+  const mcols = db.prepare(`PRAGMA table_info(matches)`).all().map(r => r.name);
+  const fcols = db.prepare(`PRAGMA table_info(frags)`).all().map(r => r.name);
+  const mpcols = db.prepare(`PRAGMA table_info(match_players)`).all().map(r => r.name);
+  const ocols = db.prepare(`PRAGMA table_info(log_offsets)`).all().map(r => r.name);
+  const acols = db.prepare(`PRAGMA table_info(player_aliases)`).all().map(r => r.name);
+
+  db.exec('BEGIN');
+  try {
+    if (!mcols.includes('map'))        db.exec(`ALTER TABLE matches ADD COLUMN map TEXT`);
+    if (!mcols.includes('gametype'))   db.exec(`ALTER TABLE matches ADD COLUMN gametype TEXT`);
+    if (!mcols.includes('hostname'))   db.exec(`ALTER TABLE matches ADD COLUMN hostname TEXT`);
+    if (!mcols.includes('started_at')) db.exec(`ALTER TABLE matches ADD COLUMN started_at INTEGER`);
+    if (!mcols.includes('ended_at'))   db.exec(`ALTER TABLE matches ADD COLUMN ended_at INTEGER`);
+    if (!mcols.includes('end_reason')) db.exec(`ALTER TABLE matches ADD COLUMN end_reason TEXT`);
+    if (!mcols.includes('source_key')) db.exec(`ALTER TABLE matches ADD COLUMN source_key TEXT`);
+    if (!mcols.includes('server_id'))  db.exec(`ALTER TABLE matches ADD COLUMN server_id TEXT`);
+    if (!mcols.includes('red_score'))  db.exec(`ALTER TABLE matches ADD COLUMN red_score INTEGER`);
+    if (!mcols.includes('blue_score')) db.exec(`ALTER TABLE matches ADD COLUMN blue_score INTEGER`);
+    if (!mcols.includes('winner'))     db.exec(`ALTER TABLE matches ADD COLUMN winner TEXT`);
+    if (!fcols.includes('teamkill'))   db.exec(`ALTER TABLE frags ADD COLUMN teamkill INTEGER NOT NULL DEFAULT 0`);
+    if (!fcols.includes('match_id'))   db.exec(`ALTER TABLE frags ADD COLUMN match_id INTEGER REFERENCES matches(id)`);
+    if (!fcols.includes('source_key')) db.exec(`ALTER TABLE frags ADD COLUMN source_key TEXT`);
+    if (!fcols.includes('server_id'))  db.exec(`ALTER TABLE frags ADD COLUMN server_id TEXT`);
+    if (!fcols.includes('killer_alias_id')) db.exec(`ALTER TABLE frags ADD COLUMN killer_alias_id INTEGER`);
+    if (!fcols.includes('victim_alias_id')) db.exec(`ALTER TABLE frags ADD COLUMN victim_alias_id INTEGER`);
+    if (!fcols.includes('victim_skill'))    db.exec(`ALTER TABLE frags ADD COLUMN victim_skill INTEGER`);
+    for (const c of ['best_streak', 'best_multikill', 'sprees_ended']) {
+      if (!mpcols.includes(c)) db.exec(`ALTER TABLE match_players ADD COLUMN ${c} INTEGER NOT NULL DEFAULT 0`);
+    }
+    if (!mpcols.includes('reported_score')) db.exec(`ALTER TABLE match_players ADD COLUMN reported_score INTEGER`);
+    if (!mpcols.includes('ping'))           db.exec(`ALTER TABLE match_players ADD COLUMN ping INTEGER`);
+    if (!mpcols.includes('teamkills'))      db.exec(`ALTER TABLE match_players ADD COLUMN teamkills INTEGER NOT NULL DEFAULT 0`);
+    if (!mpcols.includes('team'))           db.exec(`ALTER TABLE match_players ADD COLUMN team TEXT`);
+    if (!mpcols.includes('result'))         db.exec(`ALTER TABLE match_players ADD COLUMN result TEXT`);
+    if (!ocols.includes('file_id'))         db.exec(`ALTER TABLE log_offsets ADD COLUMN file_id INTEGER REFERENCES log_files(id)`);
+    if (!ocols.includes('match_key'))       db.exec(`ALTER TABLE log_offsets ADD COLUMN match_key TEXT`);
+    if (!ocols.includes('match_line'))      db.exec(`ALTER TABLE log_offsets ADD COLUMN match_line INTEGER`);
+    if (!acols.includes('merged'))          db.exec(`ALTER TABLE player_aliases ADD COLUMN merged INTEGER NOT NULL DEFAULT 0`);
     db.exec('COMMIT');
   } catch (e) {
     db.exec('ROLLBACK');
@@ -113,27 +510,82 @@ const migrate = () => {
     CREATE INDEX IF NOT EXISTS idx_frags_killer_ts  ON frags(killer_id, ts);
     CREATE INDEX IF NOT EXISTS idx_frags_victim_ts  ON frags(victim_id, ts);
     CREATE INDEX IF NOT EXISTS idx_frags_ts         ON frags(ts);
+    CREATE INDEX IF NOT EXISTS idx_frags_match      ON frags(match_id);
+    CREATE INDEX IF NOT EXISTS idx_matches_started  ON matches(started_at);
+    CREATE INDEX IF NOT EXISTS idx_matches_map      ON matches(map);
+    CREATE INDEX IF NOT EXISTS idx_frags_server_ts  ON frags(server_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_matches_server   ON matches(server_id, started_at);
+    CREATE INDEX IF NOT EXISTS idx_players_guid     ON players(guid);
+    CREATE INDEX IF NOT EXISTS idx_aliases_key      ON player_aliases(name_key);
+    CREATE INDEX IF NOT EXISTS idx_frags_k_alias    ON frags(killer_alias_id);
+    CREATE INDEX IF NOT EXISTS idx_frags_v_alias    ON frags(victim_alias_id);
+    CREATE INDEX IF NOT EXISTS idx_players_rating   ON players(rating);
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_frags_source   ON frags(source_key)   WHERE source_key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_matches_source ON matches(source_key) WHERE source_key IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_rating_hist_p_ts ON rating_history(player_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_awards_p_ts      ON awards(player_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_awards_match     ON awards(match_id);
+    CREATE INDEX IF NOT EXISTS idx_items_p_ts       ON item_pickups(player_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_sessions_p       ON sessions(player_id, connected_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_match   ON sessions(match_id);
+    CREATE INDEX IF NOT EXISTS idx_deliveries_due   ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_deliveries_hook  ON webhook_deliveries(webhook_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_chat_ts          ON chat_messages(server_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_chat_p           ON chat_messages(player_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_flags_match      ON flag_events(match_id);
+    CREATE INDEX IF NOT EXISTS idx_flags_p_ts       ON flag_events(player_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_rounds_match     ON rounds(match_id);
+    CREATE INDEX IF NOT EXISTS idx_mp_player_result ON match_players(player_id, result);
+    CREATE INDEX IF NOT EXISTS idx_samples_server_ts ON server_samples(server_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_play_p_joined    ON play_sessions(player_id, joined_at);
+    CREATE INDEX IF NOT EXISTS idx_play_open        ON play_sessions(server_id, left_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_ts         ON admin_audit(ts);
+    CREATE INDEX IF NOT EXISTS idx_log_files_server ON log_files(server_id, id);
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_achievements_p ON player_achievements(player_id, achievement);
+    CREATE INDEX IF NOT EXISTS idx_daily_day        ON player_daily(day, server_id);
+    CREATE INDEX IF NOT EXISTS idx_opponents_opp    ON player_opponents(opponent_id, day);
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_flags_source  ON flag_events(source_key) WHERE source_key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_rounds_source ON rounds(source_key)      WHERE source_key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_awards_source   ON awards(source_key)        WHERE source_key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_items_source    ON item_pickups(source_key)  WHERE source_key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_sessions_source ON sessions(source_key)      WHERE source_key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_chat_source     ON chat_messages(source_key) WHERE source_key IS NOT NULL;
   `);
 
-  // backfill name_key
-  const missingKeys = db.prepare(`SELECT id, name FROM players WHERE name_key IS NULL OR name_key = ''`).all();
-  if (missingKeys.length) {
-    const upd = db.prepare(`UPDATE players SET name_key = @key WHERE id = @id`);
+  // backfill name_key, and re-key names an older normalizer keyed differently (no NFKC, other strip order)
+  for (const table of ['players', 'player_aliases']) {
+    const stale = db.prepare(`SELECT id, name, name_key FROM ${table}`).all()
+      .filter(r => r.name_key !== nameKeyOf(r.name || ''));
+    if (!stale.length) continue;
+    const upd = db.prepare(`UPDATE ${table} SET name_key = @key WHERE id = @id`);
     db.exec('BEGIN');
     try {
-      for (const r of missingKeys) upd.run({ id: r.id, key: nameKeyOf(r.name || '') });
+      for (const r of stale) upd.run({ id: r.id, key: nameKeyOf(r.name || '') });
       db.exec('COMMIT');
     } catch (e) { db.exec('ROLLBACK'); throw e; }
   }
 
-  // backfill is_bot from known names
-  const rows = db.prepare(`SELECT id, name_key, is_bot FROM players`).all();
-  const updBot = db.prepare(`UPDATE players SET is_bot = 1 WHERE id = ?`);
-  db.exec('BEGIN');
-  try {
-    for (const r of rows) if (!r.is_bot && isBotClean(r.name_key || '')) updBot.run(r.id);
-    db.exec('COMMIT');
-  } catch (e) { db.exec('ROLLBACK'); throw e; }
+  // The bot registry starts out with the stock bots; after that it's the admins' (a removed default stays removed)
+  if (!hadBotNames) {
+    const ins = db.prepare(`INSERT OR IGNORE INTO bot_names (name_key, added_at) VALUES (?, ?)`);
+    db.exec('BEGIN');
+    try {
+      for (const key of bots.DEFAULT_NAMES) ins.run(key, Date.now());
+      db.exec('COMMIT');
+    } catch (e) { db.exec('ROLLBACK'); throw e; }
+  }
+  // backfill is_bot from the registry (GUID-less players nothing else has decided about)
+  db.exec(`
+    UPDATE players SET is_bot = COALESCE(bot_override, 1), bot_reason = 'name'
+    WHERE is_bot = 0 AND bot_reason IS NULL AND guid IS NULL AND name_key IN (SELECT name_key FROM bot_names)
+  `);
+
+  // seed alias history with the current name of players that predate it
+  db.exec(`
+    INSERT OR IGNORE INTO player_aliases (player_id, name, name_key, first_seen, last_seen)
+    SELECT id, name, COALESCE(name_key, ''), first_seen, last_seen FROM players
+    WHERE id NOT IN (SELECT player_id FROM player_aliases)
+  `);
 };
 migrate();
 
@@ -142,272 +594,2870 @@ const PLAYER_COLUMNS = db.prepare(`PRAGMA table_info(players)`).all();
 const HAS_NAME_COLORED = PLAYER_COLUMNS.some(c => c.name === 'name_colored');
 
 const FRAGS_COLS = db.prepare(`PRAGMA table_info(frags)`).all();
-const FRAGS_HAS_MATCH_ID = FRAGS_COLS.some(c => c.name === 'match_id');
 const FRAGS_MATCH_ID_NOTNULL = !!FRAGS_COLS.find(c => c.name === 'match_id' && c.notnull === 1);
 
-const HAS_MATCHES_TABLE = !!db.prepare(
-  `SELECT name FROM sqlite_master WHERE type='table' AND name='matches'`
-).get();
-
-const selLastMatchId = (FRAGS_HAS_MATCH_ID && HAS_MATCHES_TABLE)
-  ? db.prepare(`SELECT id FROM matches ORDER BY id DESC LIMIT 1`)
-  : null;
-
 // ---------- prepared statements ----------
-const selPlayerByKey = db.prepare(`SELECT * FROM players WHERE name_key = ?`);
+// Several players can share a name_key once GUIDs split them; the most recently seen one wins
+const selPlayerByKey = db.prepare(`SELECT * FROM players WHERE name_key = ? ORDER BY last_seen DESC LIMIT 1`);
 const selPlayerById  = db.prepare(`SELECT * FROM players WHERE id = ?`);
+const selPlayerByGuid = db.prepare(`SELECT * FROM players WHERE guid = ?`);
+// Name-keyed identity prefers players without a GUID, so a GUID-less client can't hijack a GUID player
+const selPlayerByKeyNoGuid = db.prepare(`
+  SELECT * FROM players WHERE name_key = ? AND guid IS NULL ORDER BY last_seen DESC LIMIT 1
+`);
+const selPlayerByAliasKey = db.prepare(`
+  SELECT p.* FROM player_aliases a JOIN players p ON p.id = a.player_id
+  WHERE a.name_key = ? ORDER BY a.last_seen DESC LIMIT 1
+`);
+const selPlayerByAliasKeyNoGuid = db.prepare(`
+  SELECT p.* FROM player_aliases a JOIN players p ON p.id = a.player_id
+  WHERE a.name_key = ? AND p.guid IS NULL ORDER BY a.last_seen DESC LIMIT 1
+`);
+const selPlayerByMergedAliasKey = db.prepare(`
+  SELECT p.* FROM player_aliases a JOIN players p ON p.id = a.player_id
+  WHERE a.name_key = ? AND a.merged = 1 ORDER BY a.last_seen DESC LIMIT 1
+`);
+// A name keeps resolving to the player it was merged into (the merged row is gone, its aliases aren't)
+const selNameKeyNoGuid = (key) => selPlayerByKeyNoGuid.get(key) || selPlayerByAliasKeyNoGuid.get(key);
 
 const insPlayer = HAS_NAME_COLORED
   ? db.prepare(`
-      INSERT INTO players (name, name_colored, name_key, is_bot, first_seen, last_seen, last_model, last_hmodel)
-      VALUES (@name, @name, @name_key, @is_bot, @ts, @ts, @last_model, @last_hmodel)
+      INSERT INTO players (name, name_colored, name_key, is_bot, bot_reason, bot_skill, first_seen, last_seen,
+                           last_model, last_hmodel, guid)
+      VALUES (@name, @name, @name_key, @is_bot, @bot_reason, @bot_skill, @ts, @ts, @last_model, @last_hmodel, @guid)
     `)
   : db.prepare(`
-      INSERT INTO players (name, name_key, is_bot, first_seen, last_seen, last_model, last_hmodel)
-      VALUES (@name, @name_key, @is_bot, @ts, @ts, @last_model, @last_hmodel)
+      INSERT INTO players (name, name_key, is_bot, bot_reason, bot_skill, first_seen, last_seen, last_model, last_hmodel, guid)
+      VALUES (@name, @name_key, @is_bot, @bot_reason, @bot_skill, @ts, @ts, @last_model, @last_hmodel, @guid)
     `);
+const updPlayerGuid = db.prepare(`UPDATE players SET guid = ? WHERE id = ? AND guid IS NULL`);
+
+const upsertAliasStmt = db.prepare(`
+  INSERT INTO player_aliases (player_id, name, name_key, first_seen, last_seen)
+  VALUES (@player_id, @name, @name_key, @ts, @ts)
+  ON CONFLICT(player_id, name) DO UPDATE SET
+    first_seen = MIN(COALESCE(first_seen, excluded.first_seen), excluded.first_seen),
+    last_seen  = MAX(COALESCE(last_seen, 0), excluded.last_seen)
+`);
+const selAliasId = db.prepare(`SELECT id FROM player_aliases WHERE player_id = ? AND name = ?`);
 
 const updPlayerSeen = HAS_NAME_COLORED
   ? db.prepare(`
       UPDATE players
-      SET name=@name,
-          name_colored=@name,
-          is_bot=CASE WHEN @bset=1 THEN MAX(is_bot, @is_bot) ELSE is_bot END,
+      SET name=CASE WHEN @ts >= COALESCE(last_seen, 0) THEN @name ELSE name END,
+          name_colored=CASE WHEN @ts >= COALESCE(last_seen, 0) THEN @name ELSE name_colored END,
+          name_key=CASE WHEN @ts >= COALESCE(last_seen, 0) THEN @name_key ELSE name_key END,
+          is_bot=COALESCE(bot_override, CASE WHEN @bset=1 THEN @is_bot ELSE is_bot END),
+          bot_reason=CASE WHEN @bset=1 THEN @bot_reason ELSE bot_reason END,
+          bot_skill=CASE WHEN @bset=1 AND @is_bot=1 THEN COALESCE(@bot_skill, bot_skill)
+                         WHEN @bset=1 THEN NULL ELSE bot_skill END,
           last_model=COALESCE(@last_model, last_model),
           last_hmodel=COALESCE(@last_hmodel, last_hmodel),
-          last_seen=@ts
+          first_seen=MIN(COALESCE(first_seen, @ts), @ts),
+          last_seen=MAX(COALESCE(last_seen, 0), @ts)
       WHERE id=@id
     `)
   : db.prepare(`
       UPDATE players
-      SET name=@name,
-          is_bot=CASE WHEN @bset=1 THEN MAX(is_bot, @is_bot) ELSE is_bot END,
+      SET name=CASE WHEN @ts >= COALESCE(last_seen, 0) THEN @name ELSE name END,
+          name_key=CASE WHEN @ts >= COALESCE(last_seen, 0) THEN @name_key ELSE name_key END,
+          is_bot=COALESCE(bot_override, CASE WHEN @bset=1 THEN @is_bot ELSE is_bot END),
+          bot_reason=CASE WHEN @bset=1 THEN @bot_reason ELSE bot_reason END,
+          bot_skill=CASE WHEN @bset=1 AND @is_bot=1 THEN COALESCE(@bot_skill, bot_skill)
+                         WHEN @bset=1 THEN NULL ELSE bot_skill END,
           last_model=COALESCE(@last_model, last_model),
           last_hmodel=COALESCE(@last_hmodel, last_hmodel),
-          last_seen=@ts
+          first_seen=MIN(COALESCE(first_seen, @ts), @ts),
+          last_seen=MAX(COALESCE(last_seen, 0), @ts)
       WHERE id=@id
     `);
 
-const insFrag = FRAGS_HAS_MATCH_ID
-  ? db.prepare(`
-      INSERT INTO frags (ts, killer_id, victim_id, mod, match_id)
-      VALUES (@ts, @killer_id, @victim_id, @mod, @match_id)
-    `)
-  : db.prepare(`
-      INSERT INTO frags (ts, killer_id, victim_id, mod)
-      VALUES (@ts, @killer_id, @victim_id, @mod)
-    `);
+// OR IGNORE: an imported frag whose source_key is already stored is a no-op (changes === 0)
+const insFrag = db.prepare(`
+  INSERT OR IGNORE INTO frags (ts, killer_id, victim_id, mod, match_id, source_key, server_id,
+                               killer_alias_id, victim_alias_id, teamkill, victim_skill)
+  VALUES (@ts, @killer_id, @victim_id, @mod, @match_id, @source_key, @server_id,
+          @killer_alias_id, @victim_alias_id, @teamkill, @victim_skill)
+`);
+
+const insMatch = db.prepare(`
+  INSERT INTO matches (map, gametype, hostname, started_at, source_key, server_id)
+  VALUES (@map, @gametype, @hostname, @started_at, @source_key, @server_id)
+`);
+const selMatchBySourceKey = db.prepare(`SELECT id FROM matches WHERE source_key = ?`);
+const closeMatchStmt = db.prepare(`
+  UPDATE matches SET ended_at = @ended_at, end_reason = @end_reason
+  WHERE id = @id AND ended_at IS NULL
+`);
+const updPlayerRating = db.prepare(`
+  UPDATE players SET rating = @rating, rated_frags = rated_frags + 1 WHERE id = @id
+`);
+const insRatingHistory = db.prepare(`
+  INSERT INTO rating_history (player_id, ts, frag_id, match_id, rating, delta)
+  VALUES (@player_id, @ts, @frag_id, @match_id, @rating, @delta)
+`);
+
+const selOpenMatchId = db.prepare(`
+  SELECT id FROM matches WHERE ended_at IS NULL AND server_id IS ? ORDER BY id DESC LIMIT 1
+`);
+const selMatchById   = db.prepare(`SELECT * FROM matches WHERE id = ?`);
+
+const insMatchPlayer = db.prepare(`
+  INSERT OR IGNORE INTO match_players (match_id, player_id) VALUES (?, ?)
+`);
+// Final scoreboard from the match's own frags (FFA scoring: +1 per frag, -1 per suicide/world death,
+// -1 per teamkill). Upsert, so players seated without a single frag keep their (zero) row.
+const insMatchScoreboard = db.prepare(`
+  INSERT INTO match_players (match_id, player_id, score, kills, deaths, suicides, teamkills)
+  SELECT @id, p.id,
+         COALESCE(k.c, 0) - COALESCE(s.c, 0) - COALESCE(t.c, 0),
+         COALESCE(k.c, 0),
+         COALESCE(d.c, 0),
+         COALESCE(s.c, 0),
+         COALESCE(t.c, 0)
+  FROM players p
+  LEFT JOIN (SELECT killer_id AS id, COUNT(*) c FROM frags
+             WHERE match_id = @id AND killer_id <> victim_id AND teamkill = 0 GROUP BY killer_id) k ON k.id = p.id
+  LEFT JOIN (SELECT killer_id AS id, COUNT(*) c FROM frags
+             WHERE match_id = @id AND teamkill = 1 GROUP BY killer_id) t ON t.id = p.id
+  LEFT JOIN (SELECT victim_id AS id, COUNT(*) c FROM frags
+             WHERE match_id = @id GROUP BY victim_id) d ON d.id = p.id
+  LEFT JOIN (SELECT victim_id AS id, COUNT(*) c FROM frags
+             WHERE match_id = @id AND (killer_id IS NULL OR killer_id = victim_id) GROUP BY victim_id) s ON s.id = p.id
+  WHERE p.id IN (SELECT player_id FROM match_players WHERE match_id = @id
+                 UNION SELECT killer_id FROM frags WHERE match_id = @id AND killer_id IS NOT NULL
+                 UNION SELECT victim_id FROM frags WHERE match_id = @id)
+  ON CONFLICT(match_id, player_id) DO UPDATE SET
+    score = COALESCE(match_players.reported_score, excluded.score),
+    kills = excluded.kills, deaths = excluded.deaths, suicides = excluded.suicides, teamkills = excluded.teamkills
+`);
+
+// Streak records only ever grow (MAX), so replaying the same frags is harmless
+const updPlayerStreakBest = db.prepare(`
+  UPDATE players SET best_streak = MAX(best_streak, @streak), best_multikill = MAX(best_multikill, @multi)
+  WHERE id = @id
+`);
+const upsertMatchStreakBest = db.prepare(`
+  INSERT INTO match_players (match_id, player_id, best_streak, best_multikill)
+  VALUES (@match_id, @player_id, @streak, @multi)
+  ON CONFLICT(match_id, player_id) DO UPDATE SET
+    best_streak = MAX(best_streak, excluded.best_streak),
+    best_multikill = MAX(best_multikill, excluded.best_multikill)
+`);
+const addMatchSpreeEnded = db.prepare(`
+  INSERT INTO match_players (match_id, player_id, sprees_ended) VALUES (?, ?, 1)
+  ON CONFLICT(match_id, player_id) DO UPDATE SET sprees_ended = sprees_ended + 1
+`);
+
+// OR IGNORE throughout: re-imported lines carry the same source_key
+const insAward = db.prepare(`
+  INSERT OR IGNORE INTO awards (ts, player_id, award, match_id, server_id, source_key)
+  VALUES (@ts, @player_id, @award, @match_id, @server_id, @source_key)
+`);
+const insItemPickup = db.prepare(`
+  INSERT OR IGNORE INTO item_pickups (ts, player_id, item, match_id, server_id, source_key)
+  VALUES (@ts, @player_id, @item, @match_id, @server_id, @source_key)
+`);
+const insChat = db.prepare(`
+  INSERT OR IGNORE INTO chat_messages (ts, player_id, name, team, message, match_id, server_id, source_key)
+  VALUES (@ts, @player_id, @name, @team, @message, @match_id, @server_id, @source_key)
+`);
+const insSession = db.prepare(`
+  INSERT OR IGNORE INTO sessions (player_id, client_id, match_id, server_id, connected_at, source_key)
+  VALUES (@player_id, @client_id, @match_id, @server_id, @connected_at, @source_key)
+`);
+const selSessionBySourceKey = db.prepare(`SELECT id FROM sessions WHERE source_key = ?`);
+const claimSession = db.prepare(`UPDATE sessions SET player_id = ? WHERE id = ? AND player_id IS NULL`);
+const beginSession = db.prepare(`UPDATE sessions SET began_at = COALESCE(began_at, ?) WHERE id = ?`);
+const endSessionStmt = db.prepare(`
+  UPDATE sessions SET ended_at = @ts, end_reason = @reason WHERE id = @id AND ended_at IS NULL
+`);
+const insFlagEvent = db.prepare(`
+  INSERT OR IGNORE INTO flag_events (ts, player_id, team, flag, action, match_id, server_id, source_key)
+  VALUES (@ts, @player_id, @team, @flag, @action, @match_id, @server_id, @source_key)
+`);
+const insRound = db.prepare(`
+  INSERT OR IGNORE INTO rounds (ts, match_id, round, winner, server_id, source_key)
+  VALUES (@ts, @match_id, @round, @winner, @server_id, @source_key)
+`);
+const updMatchTeamScore = db.prepare(`UPDATE matches SET red_score = ?, blue_score = ? WHERE id = ?`);
+const upsertSeatTeam = db.prepare(`
+  INSERT INTO match_players (match_id, player_id, team) VALUES (?, ?, ?)
+  ON CONFLICT(match_id, player_id) DO UPDATE SET team = excluded.team
+`);
+const upsertReportedScore = db.prepare(`
+  INSERT INTO match_players (match_id, player_id, reported_score, ping) VALUES (@match_id, @player_id, @score, @ping)
+  ON CONFLICT(match_id, player_id) DO UPDATE SET reported_score = excluded.reported_score, ping = excluded.ping
+`);
+const insServerSample = db.prepare(`
+  INSERT INTO server_samples (server_id, ts, up, map, players, bots, max_clients)
+  VALUES (@server_id, @ts, @up, @map, @players, @bots, @max_clients)
+`);
+const selOpenPlaySessions = db.prepare(`SELECT * FROM play_sessions WHERE server_id = ? AND left_at IS NULL`);
+const insPlaySession = db.prepare(`
+  INSERT INTO play_sessions (player_id, server_id, joined_at, last_seen_at, ping_samples, ping_sum, ping_min, ping_max)
+  VALUES (@player_id, @server_id, @ts, @ts, @n, @ping, @ping_or_null, @ping_or_null)
+`);
+const touchPlaySession = db.prepare(`
+  UPDATE play_sessions SET
+    last_seen_at = @ts,
+    ping_samples = ping_samples + @n,
+    ping_sum     = ping_sum + @ping,
+    ping_min     = CASE WHEN @n = 0 THEN ping_min ELSE MIN(COALESCE(ping_min, @ping), @ping) END,
+    ping_max     = CASE WHEN @n = 0 THEN ping_max ELSE MAX(COALESCE(ping_max, @ping), @ping) END
+  WHERE id = @id
+`);
+// Nobody watches the gap between two ticks, so a stay ends when the player was last seen
+const closePlaySession = db.prepare(`UPDATE play_sessions SET left_at = last_seen_at WHERE id = ?`);
+
+// ---------- bot registry ----------
+// Bots are told apart by what the log says about each client (bots.js), then by the editable bot_names
+// registry; players.bot_override (admin) beats both. Frags remember the victim bot's skill level.
+// name_keys from bot_names, cached; every edit goes through addBotName/removeBotName
+const botNames = new Set(db.prepare(`SELECT name_key FROM bot_names`).pluck().all());
+
+// A client the log said nothing conclusive about (bots.detectBot -> bot: null): a GUID makes it human,
+// otherwise the registry decides by name
+const botByName = (key, guid) => (!guid && botNames.has(key)
+  ? { bot: true, skill: null, reason: 'name' }
+  : { bot: false, skill: null, reason: null });
+
+const botOut = (p) => ({
+  reason: p.bot_reason || null,
+  skill: p.bot_skill ?? null,
+  skill_label: bots.SKILLS[p.bot_skill - 1]?.label ?? null,
+  override: p.bot_override == null ? null : !!p.bot_override,
+});
+
+const listBotNames = () => db.prepare(`
+  SELECT b.name_key AS name, b.added_at, b.added_by,
+         (SELECT COUNT(*) FROM players p WHERE p.name_key = b.name_key AND p.bot_reason = 'name') AS players
+  FROM bot_names b ORDER BY b.name_key
+`).all();
+
+// Registry edits apply to the GUID-less players already known by that name -> { name, players: n changed }
+const addBotName = (name, { by = null } = {}) => {
+  const key = nameKeyOf(name);
+  if (!key) throw new Error('name is empty');
+  db.exec('BEGIN');
+  try {
+    db.prepare(`INSERT OR IGNORE INTO bot_names (name_key, added_at, added_by) VALUES (?, ?, ?)`).run(key, Date.now(), by);
+    const n = db.prepare(`
+      UPDATE players SET is_bot = COALESCE(bot_override, 1), bot_reason = 'name'
+      WHERE name_key = ? AND guid IS NULL AND bot_reason IS NULL
+    `).run(key).changes;
+    db.exec('COMMIT');
+    botNames.add(key);
+    return { name: key, players: n };
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+};
+
+// -> null when the name wasn't registered
+const removeBotName = (name) => {
+  const key = nameKeyOf(name);
+  db.exec('BEGIN');
+  try {
+    if (!db.prepare(`DELETE FROM bot_names WHERE name_key = ?`).run(key).changes) {
+      db.exec('ROLLBACK');
+      return null;
+    }
+    const n = db.prepare(`
+      UPDATE players SET is_bot = COALESCE(bot_override, 0), bot_reason = NULL, bot_skill = NULL
+      WHERE name_key = ? AND bot_reason = 'name'
+    `).run(key).changes;
+    db.exec('COMMIT');
+    botNames.delete(key);
+    return { name: key, players: n };
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+};
+
+// value: true/false pins the player as bot/human, null goes back to detection. -> the player's bot info, or null
+const setBotOverride = (playerId, value) => {
+  const id = Number(playerId);
+  const ov = value == null ? null : value ? 1 : 0;
+  const n = db.prepare(`
+    UPDATE players SET bot_override = @ov, is_bot = COALESCE(@ov, bot_reason IS NOT NULL) WHERE id = @id
+  `).run({ id, ov }).changes;
+  if (!n) return null;
+  const p = selPlayerById.get(id);
+  return { id: p.id, name: p.name, is_bot: !!p.is_bot, ...botOut(p) };
+};
+
+const listBotOverrides = () => db.prepare(`
+  SELECT * FROM players WHERE bot_override IS NOT NULL ORDER BY last_seen DESC
+`).all().map(p => ({ id: p.id, name: p.name, is_bot: !!p.is_bot, ...botOut(p) }));
 
 // ---------- public API: persistence ----------
-const upsertPlayer = (rawName, { ts = Date.now(), model, hmodel } = {}) => {
+// Identity: players are keyed by cl_guid when the client sends one, otherwise by name_key. Every name a
+// player used is kept in player_aliases, and frags remember which alias fragged.
+// Resolve (or create) the player behind a name, preferring GUID identity. Returns { id, aliasId }.
+// bot: what the log said about the client ({ bot, skill, reason }, see the userinfo handler); without it an
+// existing player's bot status stays as it is and a new player is judged by name.
+const resolvePlayer = (rawName, { ts = Date.now(), model, hmodel, guid, bot } = {}) => {
   if (!rawName) return null;
   const key = nameKeyOf(rawName);
   if (!key) return null;
+  guid = guid ? String(guid).trim() : null;
 
-  const existing = selPlayerByKey.get(key);
-  const bot = isBotClean(key) ? 1 : 0;
+  let existing = null;
+  if (guid) {
+    existing = selPlayerByGuid.get(guid);
+    // First time we see this GUID: claim a name-keyed player of the same name (never a bot's)
+    if (!existing) {
+      existing = selNameKeyNoGuid(key);
+      if (existing?.is_bot) existing = null;
+      if (existing) updPlayerGuid.run(guid, existing.id);
+    }
+  } else {
+    // A GUID-less name stays on a player without a GUID; it only reaches a GUID player when an admin
+    // merged it there. Bots never send a GUID, so a bot doesn't follow even those.
+    existing = selNameKeyNoGuid(key) || (bot?.bot ? null : selPlayerByMergedAliasKey.get(key));
+  }
+  const b = bot || botByName(key, guid);
 
+  let id;
   if (!existing) {
     const info = insPlayer.run({
       name: rawName,
       name_key: key,
-      is_bot: bot,
+      is_bot: b.bot ? 1 : 0,
+      bot_reason: b.bot ? b.reason : null,
+      bot_skill: b.skill,
       ts,
       last_model: model || null,
-      last_hmodel: hmodel || null
+      last_hmodel: hmodel || null,
+      guid
     });
-    return info.lastInsertRowid;
+    id = Number(info.lastInsertRowid);
   } else {
     updPlayerSeen.run({
       id: existing.id,
       name: rawName,
-      bset: 1,
-      is_bot: bot,
+      name_key: key,
+      bset: bot ? 1 : 0,
+      is_bot: b.bot ? 1 : 0,
+      bot_reason: b.bot ? b.reason : null,
+      bot_skill: b.skill,
       last_model: model || null,
       last_hmodel: hmodel || null,
       ts
     });
-    return existing.id;
+    id = existing.id;
   }
+
+  upsertAliasStmt.run({ player_id: id, name: rawName, name_key: key, ts });
+  return { id, aliasId: selAliasId.get(id, rawName)?.id ?? null };
 };
 
-const persistFragFromNames = ({ ts = Date.now(), killerName, victimName, mod, matchId }) => {
-  const world = (killerName || '').trim().toLowerCase() === '<world>' ? 1 : 0;
-  const victimId = upsertPlayer(victimName, { ts });
-  if (!victimId) return;
+const upsertPlayer = (rawName, opts = {}) => resolvePlayer(rawName, opts)?.id ?? null;
 
-  const killerId = world ? null : upsertPlayer(killerName, { ts });
+// Client slot -> player, per server (key = server id). Kill lines carry slot numbers, which is the
+// only way to tell apart two GUID-identified players that happen to use the same name.
+const slotPlayers = new Map();
+const WORLD_SLOT = 1022;
 
-  let mId = null;
-  if (FRAGS_HAS_MATCH_ID) {
-    mId = (typeof matchId === 'number' ? matchId : null);
-    if (mId == null && selLastMatchId) mId = selLastMatchId.get()?.id ?? null;
-    if (FRAGS_MATCH_ID_NOTNULL && mId == null) {
-      console.warn('persistFragFromNames: missing match_id and frags.match_id is NOT NULL — skipping frag');
-      return;
+const slotsFor = (serverId) => {
+  if (!slotPlayers.has(serverId)) slotPlayers.set(serverId, new Map());
+  return slotPlayers.get(serverId);
+};
+
+// Slot mapping is trusted only while the name still matches; anything else falls back to the name
+const resolveFragParty = (rawName, clientId, { ts, serverId }) => {
+  const slot = clientId != null ? slotsFor(serverId).get(clientId) : null;
+  if (slot && slot.key === nameKeyOf(rawName)) {
+    return resolvePlayer(rawName, { ts, guid: slot.guid, bot: slot.bot });
+  }
+  return resolvePlayer(rawName, { ts });
+};
+
+// A new frag, its rollup counts and its rating change are stored together, so a crash can't leave the
+// rollups or the ratings behind
+const insFragCounted = db.transaction((row, counts) => {
+  const frag = insFrag.run(row);
+  if (frag.changes > 0) {
+    bumpRollups(counts);
+    if (!row.teamkill) {
+      applyFragRating({
+        ts: row.ts, killerId: row.killer_id, victimId: row.victim_id, fragId: Number(frag.lastInsertRowid), matchId: row.match_id
+      });
     }
   }
+  return frag;
+});
 
-  if (FRAGS_HAS_MATCH_ID) {
-    insFrag.run({ ts, killer_id: killerId, victim_id: victimId, mod: mod || null, match_id: mId });
-  } else {
-    insFrag.run({ ts, killer_id: killerId, victim_id: victimId, mod: mod || null });
+const persistFragFromNames = ({
+  ts = Date.now(), killerName, victimName, killerClient, victimClient, mod, matchId, sourceKey, serverId = null
+}) => {
+  const world = (killerName || '').trim().toLowerCase() === '<world>' || killerClient === WORLD_SLOT ? 1 : 0;
+  const victim = resolveFragParty(victimName, victimClient, { ts, serverId });
+  if (!victim) return null;
+  const victimId = victim.id;
+
+  const killer = world ? null : resolveFragParty(killerName, killerClient, { ts, serverId });
+  const killerId = killer?.id ?? null;
+
+  let mId = (typeof matchId === 'number' ? matchId : null);
+  if (mId == null) mId = getCurrentMatchId(serverId);
+  if (FRAGS_MATCH_ID_NOTNULL && mId == null) {
+    console.warn('persistFragFromNames: missing match_id and frags.match_id is NOT NULL — skipping frag');
+    return null;
+  }
+
+  const teamkill = killerId && killerId !== victimId && isTeamkill(serverId, killerClient, victimClient) ? 1 : 0;
+  const victimSlot = victimClient != null ? slotsFor(serverId).get(victimClient) : null;
+
+  const skill = victimSlot?.id === victimId ? victimSlot.bot?.skill ?? null : null;
+  const frag = insFragCounted({
+    ts, killer_id: killerId, victim_id: victimId, mod: mod || null, match_id: mId,
+    source_key: sourceKey || null, server_id: serverId,
+    killer_alias_id: killer?.aliasId ?? null, victim_alias_id: victim.aliasId, teamkill, victim_skill: skill
+  }, { ts, killerId, victimId, mod, teamkill, skill, serverId });
+  const record = frag.changes > 0;
+  // Streak/flag state advances even for already-imported frags so a partly re-imported match stays in
+  // step. A teamkill ends the victim's streak but doesn't extend the killer's.
+  applyFragStreaks({ ts, killerId: teamkill ? null : killerId, victimId, matchId: mId, serverId, record });
+  dropCarriedFlag({
+    ts, serverId, matchId: mId, victimClient, killerClient, killerId: teamkill ? null : killerId, victimId, record,
+    sourceKey: sourceKey ? `${sourceKey}:carrier` : null
+  });
+  if (!record) return null; // already imported
+  const fragId = Number(frag.lastInsertRowid);
+  if (!teamkill && killerId && killerId !== victimId) {
+    checkAchievements('frag', killerId, fragSubject({ fragId, killerId, victimId, mod, matchId: mId }), { ts, matchId: mId, serverId });
   }
+  return fragId;
 };
 
-// Bridge from logtail/status events into DB
-const onEvent = (evt) => {
-  if (!evt || !evt.type) return;
-  const t = evt.ts || Date.now();
-  const type = String(evt.type).toLowerCase();
+// ---------- rollups ----------
+// Per-player totals, per day, per weapon and per opponent, kept in step with every stored frag; they
+// serve the ladder and profiles, and rebuildRollups() recomputes them from raw frags.
+const bumpStats = db.prepare(`
+  INSERT INTO player_stats (player_id, server_id, kills, teamkills, deaths, suicides) VALUES (@id, @sid, @k, @tk, @d, @s)
+  ON CONFLICT(player_id, server_id) DO UPDATE SET kills = kills + @k, teamkills = teamkills + @tk,
+    deaths = deaths + @d, suicides = suicides + @s
+`);
+const bumpDaily = db.prepare(`
+  INSERT INTO player_daily (player_id, server_id, day, kills, teamkills, deaths, suicides) VALUES (@id, @sid, @day, @k, @tk, @d, @s)
+  ON CONFLICT(player_id, server_id, day) DO UPDATE SET kills = kills + @k, teamkills = teamkills + @tk,
+    deaths = deaths + @d, suicides = suicides + @s
+`);
+const bumpWeapon = db.prepare(`
+  INSERT INTO player_weapons (player_id, server_id, day, mod, kills, deaths) VALUES (@id, @sid, @day, @mod, @k, @d)
+  ON CONFLICT(player_id, server_id, day, mod) DO UPDATE SET kills = kills + @k, deaths = deaths + @d
+`);
+const bumpOpponent = db.prepare(`
+  INSERT INTO player_opponents (player_id, opponent_id, server_id, day, skill, kills, teamkills)
+  VALUES (@id, @opp, @sid, @day, @skill, 1, @tk)
+  ON CONFLICT(player_id, opponent_id, server_id, day, skill) DO UPDATE SET kills = kills + 1, teamkills = teamkills + @tk
+`);
 
-  switch (type) {
-    case 'initgame':
-      // no-op (match creation is managed in index.js, which can stamp ms.currentMatchId)
-      return;
+// One newly stored frag into every rollup (same rules as rebuildRollups below)
+const bumpRollups = ({ ts, killerId, victimId, mod, teamkill, skill, serverId }) => {
+  const base = { sid: serverId != null ? String(serverId) : '', day: Math.floor(ts / DAY_MS), mod: mod || '' };
+  const selfOrWorld = !killerId || killerId === victimId ? 1 : 0;
+  if (killerId) {
+    const k = { ...base, id: killerId, k: teamkill ? 0 : 1, tk: teamkill ? 1 : 0, d: 0, s: 0 };
+    bumpStats.run(k);
+    bumpDaily.run(k);
+    if (!selfOrWorld && !teamkill) bumpWeapon.run({ ...base, id: killerId, k: 1, d: 0 });
+    if (!selfOrWorld) bumpOpponent.run({ ...base, id: killerId, opp: victimId, skill: skill || 0, tk: teamkill ? 1 : 0 });
+  }
+  const v = { ...base, id: victimId, k: 0, tk: 0, d: 1, s: selfOrWorld };
+  bumpStats.run(v);
+  bumpDaily.run(v);
+  bumpWeapon.run({ ...base, id: victimId, k: 0, d: 1 });
+};
 
-    case 'clientuserinfochanged': {
-      const raw = evt.name_colored || evt.nameColored || evt.name || '';
-      const model = evt.model || null;
-      const hmodel = evt.hmodel || null;
-      if (raw) upsertPlayer(raw, { ts: t, model, hmodel });
-      return;
-    }
+// What each rollup holds according to raw frags (same rules as bumpRollups): its columns, and a SELECT of
+// its rows that reads only frags where only(column) holds (rebuildRollupsTx limits it to some players)
+const DAY_SQL = `CAST(ts / ${DAY_MS} AS INTEGER)`;
+const SID_SQL = `COALESCE(server_id, '')`;
+const rawCounts = (only) => `
+  SELECT killer_id AS id, ${SID_SQL} AS sid, ${DAY_SQL} AS day, (teamkill = 0) AS k, teamkill AS tk, 0 AS d, 0 AS s
+  FROM frags WHERE killer_id IS NOT NULL AND ${only('killer_id')}
+  UNION ALL
+  SELECT victim_id, ${SID_SQL}, ${DAY_SQL}, 0, 0, 1, (killer_id IS NULL OR killer_id = victim_id)
+  FROM frags WHERE ${only('victim_id')}
+`;
+const ROLLUPS = {
+  player_stats: {
+    cols: 'player_id, server_id, kills, teamkills, deaths, suicides',
+    raw: (only) => `SELECT id, sid, SUM(k), SUM(tk), SUM(d), SUM(s) FROM (${rawCounts(only)}) GROUP BY id, sid`,
+  },
+  player_daily: {
+    cols: 'player_id, server_id, day, kills, teamkills, deaths, suicides',
+    raw: (only) => `SELECT id, sid, day, SUM(k), SUM(tk), SUM(d), SUM(s) FROM (${rawCounts(only)}) GROUP BY id, sid, day`,
+  },
+  player_weapons: {
+    cols: 'player_id, server_id, day, mod, kills, deaths',
+    raw: (only) => `
+      SELECT id, sid, day, mod, SUM(k), SUM(d) FROM (
+        SELECT killer_id AS id, ${SID_SQL} AS sid, ${DAY_SQL} AS day, COALESCE(mod, '') AS mod, 1 AS k, 0 AS d
+        FROM frags WHERE killer_id IS NOT NULL AND killer_id <> victim_id AND teamkill = 0 AND ${only('killer_id')}
+        UNION ALL
+        SELECT victim_id, ${SID_SQL}, ${DAY_SQL}, COALESCE(mod, ''), 0, 1
+        FROM frags WHERE ${only('victim_id')}
+      ) GROUP BY id, sid, day, mod`,
+  },
+  player_opponents: {
+    cols: 'player_id, opponent_id, server_id, day, skill, kills, teamkills',
+    raw: (only) => `
+      SELECT killer_id, victim_id, ${SID_SQL}, ${DAY_SQL}, COALESCE(victim_skill, 0), COUNT(*), SUM(teamkill)
+      FROM frags WHERE killer_id IS NOT NULL AND killer_id <> victim_id AND (${only('killer_id')} OR ${only('victim_id')})
+      GROUP BY killer_id, victim_id, ${SID_SQL}, ${DAY_SQL}, COALESCE(victim_skill, 0)`,
+  },
+};
 
-    case 'kill':
-    case 'kill:':
-    case 'kill ':
-      persistFragFromNames({
-        ts: t,
-        killerName: evt.killerName || evt.killer?.name || evt.killer || '',
-        victimName: evt.victimName || evt.victim?.name || evt.victim || '',
-        mod: evt.mod,
-        matchId: evt.matchId // supplied by index.js from current match state
-      });
-      return;
+// Recompute rollups from raw frags: everything, or only rows touching the given players (merge/split).
+// Runs inside the caller's transaction; rebuildRollups() is the standalone version.
+const rebuildRollupsTx = (playerIds = null) => {
+  const ids = playerIds ? [...new Set(playerIds.map(Number).filter(Boolean))] : null;
+  if (ids && !ids.length) return;
+  const inIds = (col) => (ids ? `${col} IN (${ids.join(',')})` : '1'); // numbers only, safe to inline
 
-    default:
-      return;
-  }
+  db.exec(`
+    DELETE FROM player_stats     WHERE ${inIds('player_id')};
+    DELETE FROM player_daily     WHERE ${inIds('player_id')};
+    DELETE FROM player_weapons   WHERE ${inIds('player_id')};
+    DELETE FROM player_opponents WHERE ${inIds('player_id')} OR ${inIds('opponent_id')};
+
+    INSERT INTO player_daily (${ROLLUPS.player_daily.cols}) ${ROLLUPS.player_daily.raw(inIds)};
+
+    INSERT INTO player_stats (${ROLLUPS.player_stats.cols})
+    SELECT player_id, server_id, SUM(kills), SUM(teamkills), SUM(deaths), SUM(suicides)
+    FROM player_daily WHERE ${inIds('player_id')} GROUP BY player_id, server_id;
+
+    INSERT INTO player_weapons (${ROLLUPS.player_weapons.cols}) ${ROLLUPS.player_weapons.raw(inIds)};
+
+    INSERT INTO player_opponents (${ROLLUPS.player_opponents.cols}) ${ROLLUPS.player_opponents.raw(inIds)};
+  `);
 };
 
-// ---------- stats & queries ----------
-const sinceMs = (days) => (days && Number(days) > 0) ? (Date.now() - Number(days) * 86400000) : null;
+const rebuildRollups = ({ playerIds = null } = {}) => {
+  db.exec('BEGIN');
+  try {
+    rebuildRollupsTx(playerIds);
+    db.exec('COMMIT');
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+};
 
-const getPlayerTotals = (playerId, { since } = {}) => {
-  const WS = since ? ' AND ts >= ? ' : '';
-  const args = since ? [since] : [];
+// Compare every rollup with raw frags; returns the players with rows that differ (empty = in step), each
+// with the tables it's out of step in and its total kills/deaths both ways
+const checkRollups = () => {
+  const out = new Map();
+  for (const [table, { cols, raw }] of Object.entries(ROLLUPS)) {
+    const ids = db.prepare(`
+      WITH raw (${cols}) AS (${raw(() => '1')})
+      SELECT player_id FROM (SELECT * FROM raw EXCEPT SELECT ${cols} FROM ${table})
+      UNION
+      SELECT player_id FROM (SELECT ${cols} FROM ${table} EXCEPT SELECT * FROM raw)
+    `).all();
+    for (const { player_id } of ids) {
+      if (!out.has(player_id)) out.set(player_id, { player_id, tables: [] });
+      out.get(player_id).tables.push(table);
+    }
+  }
+  if (!out.size) return [];
+
+  const totals = db.prepare(`
+    WITH raw AS (
+      SELECT id, SUM(k) AS kills, SUM(d) AS deaths FROM (${rawCounts(() => '1')}) GROUP BY id
+    )
+    SELECT p.id, raw.kills AS raw_kills, raw.deaths AS raw_deaths,
+           (SELECT SUM(kills) FROM player_stats WHERE player_id = p.id) AS kills,
+           (SELECT SUM(deaths) FROM player_stats WHERE player_id = p.id) AS deaths
+    FROM (SELECT value AS id FROM json_each(?)) p LEFT JOIN raw ON raw.id = p.id
+  `).all(JSON.stringify([...out.keys()]));
+  for (const t of totals) {
+    Object.assign(out.get(t.id), { raw_kills: t.raw_kills, kills: t.kills, raw_deaths: t.raw_deaths, deaths: t.deaths });
+  }
+  return [...out.values()];
+};
 
-  const kills    = db.prepare(`SELECT COUNT(*) c FROM frags WHERE killer_id = ?${WS}`).get(playerId, ...args).c;
-  const deaths   = db.prepare(`SELECT COUNT(*) c FROM frags WHERE victim_id = ?${WS}`).get(playerId, ...args).c;
-  const suicides = db.prepare(`SELECT COUNT(*) c FROM frags WHERE victim_id = ?${WS} AND (killer_id IS NULL OR killer_id = victim_id)`).get(playerId, ...args).c;
+// First start with rollup tables: fill them from whatever frags are already stored (index.js reports it)
+const rollupsBuiltOnOpen =
+  !db.prepare(`SELECT 1 FROM player_stats LIMIT 1`).get() && !!db.prepare(`SELECT 1 FROM frags LIMIT 1`).get();
+if (rollupsBuiltOnOpen) rebuildRollups();
 
-  const railKills   = db.prepare(`SELECT COUNT(*) c FROM frags WHERE killer_id = ? AND mod = 'MOD_RAILGUN'${WS}`).get(playerId, ...args).c;
-  const railDeaths  = db.prepare(`SELECT COUNT(*) c FROM frags WHERE victim_id = ? AND mod = 'MOD_RAILGUN'${WS}`).get(playerId, ...args).c;
+// Reads built from a handful of SQL shapes (rollup windows, profile helpers) keep their statements
+// instead of re-preparing them on every call
+const stmtCache = new Map();
+const cachedStmt = (sql) => {
+  if (!stmtCache.has(sql)) stmtCache.set(sql, db.prepare(sql));
+  return stmtCache.get(sql);
+};
 
-  const gauntKills  = db.prepare(`SELECT COUNT(*) c FROM frags WHERE killer_id = ? AND mod = 'MOD_GAUNTLET'${WS}`).get(playerId, ...args).c;
-  const gauntDeaths = db.prepare(`SELECT COUNT(*) c FROM frags WHERE victim_id = ? AND mod = 'MOD_GAUNTLET'${WS}`).get(playerId, ...args).c;
+// Rollups are per UTC day. A [since, until) window reads whole days from them and the ragged edges
+// from raw frags (by ts index), so windowed numbers stay exact. Returns SQL conditions for both parts:
+//   day:  condition on a rollup's `day` column ('0' = no whole day in the window)
+//   edge: condition on frags.ts           ('0' = no ragged edge)
+const rollupWindow = (since, until) => {
+  since = since ? Number(since) : null;
+  until = until ? Number(until) : null;
+  const args = {};
+  const day = [];
+  const edge = [];
+  const d0 = since != null ? Math.ceil(since / DAY_MS) : null;
+  const d1 = until != null ? Math.floor(until / DAY_MS) : null;
+  if (d0 != null && d1 != null && d0 >= d1) {
+    return { day: '0', edge: 'ts >= @w_since AND ts < @w_until', args: { w_since: since, w_until: until } };
+  }
+  if (d0 != null) {
+    day.push('day >= @w_d0');
+    args.w_d0 = d0;
+    if (since < d0 * DAY_MS) { edge.push('(ts >= @w_since AND ts < @w_e0)'); args.w_since = since; args.w_e0 = d0 * DAY_MS; }
+  }
+  if (d1 != null) {
+    day.push('day < @w_d1');
+    args.w_d1 = d1;
+    if (until > d1 * DAY_MS) { edge.push('(ts >= @w_e1 AND ts < @w_until)'); args.w_e1 = d1 * DAY_MS; args.w_until = until; }
+  }
+  return { day: day.join(' AND ') || '1', edge: edge.join(' OR ') || '0', args };
+};
 
-  const kd = deaths ? +(kills / deaths).toFixed(2) : kills;
+// ---------- streaks ----------
+// Kill streaks/multikills are tracked per server (streaks.js); best-ever records land on players and
+// match_players, and notable moments are emitted on `events` ('streak') for the live feed.
+const events = new EventEmitter();
+const streakTrackers = new Map(); // key = server id
+// "server|player" -> best streak before the current life began (null once this life beat it and was announced);
+// best_streak itself climbs with every frag, so it can't tell a new record from the life that's setting it
+const lifeBest = new Map();
 
-  return {
-    kills, deaths, kd,
-    suicides,
-    rail: { kills: railKills, deaths: railDeaths },
-    gauntlet: { kills: gauntKills, deaths: gauntDeaths }
-  };
+const streaksFor = (serverId) => {
+  if (!streakTrackers.has(serverId)) streakTrackers.set(serverId, createStreakTracker());
+  return streakTrackers.get(serverId);
 };
 
-const mostKilled = (playerId, { since, bots = 0, limit = 5 } = {}) => {
-  const WS = since ? ' AND f.ts >= ? ' : '';
-  const args = since ? [since] : [];
-  return db.prepare(`
-    SELECT v.id, v.name AS name, COUNT(*) AS count
-    FROM frags f
-    JOIN players v ON v.id = f.victim_id
-    WHERE f.killer_id = ?
-      AND v.id <> ?
-      AND v.is_bot = ?
-      ${WS}
-    GROUP BY v.id
-    ORDER BY count DESC
-    LIMIT ?
-  `).all(playerId, playerId, bots, ...args, limit);
+const partyOut = (id) => {
+  if (!id) return null;
+  const p = selPlayerById.get(id);
+  return p ? { id: p.id, name: p.name } : null;
 };
 
-const killedBy = (playerId, { since, bots = 0, limit = 5 } = {}) => {
-  const WS = since ? ' AND f.ts >= ? ' : '';
-  const args = since ? [since] : [];
-  return db.prepare(`
-    SELECT k.id, k.name AS name, COUNT(*) AS count
-    FROM frags f
-    JOIN players k ON k.id = f.killer_id
-    WHERE f.victim_id = ?
-      AND k.id <> ?
-      AND k.is_bot = ?
-      AND k.id IS NOT NULL
-      ${WS}
-    GROUP BY k.id
-    ORDER BY count DESC
-    LIMIT ?
-  `).all(playerId, playerId, bots, ...args, limit);
+// One frag through the server's streak tracker; `record` = the frag is new, so persist and announce.
+// Emits 'streak' with { type: 'spree'|'multikill'|'spree_end', server, match_id, player, count, label, by, ts },
+// and { type: 'personal_best', ..., count, previous } once per life when a (non-bot) player's streak first
+// beats their best ever (from SPREE_MIN frags up).
+const applyFragStreaks = ({ ts, killerId, victimId, matchId, serverId, record }) => {
+  const { killer, notables } = streaksFor(serverId).onKill({ killer: killerId, victim: victimId, ts });
+  if (!record) return;
+
+  if (killer) {
+    const life = `${serverId ?? ''}|${killerId}`;
+    const before = selPlayerById.get(killerId);
+    if (before && (killer.streak === 1 || !lifeBest.has(life))) lifeBest.set(life, before.best_streak);
+    const previous = lifeBest.get(life);
+    if (before && !before.is_bot && previous != null && killer.streak > previous && killer.streak >= SPREE_MIN) {
+      lifeBest.set(life, null);
+      events.emit('streak', {
+        type: 'personal_best', server: serverId, match_id: matchId, player: partyOut(killerId),
+        count: killer.streak, previous, ts,
+      });
+    }
+    const best = { streak: killer.streak, multi: killer.multi };
+    updPlayerStreakBest.run({ id: killerId, ...best });
+    if (matchId != null) upsertMatchStreakBest.run({ match_id: matchId, player_id: killerId, ...best });
+  }
+  for (const n of notables) {
+    if (n.type === 'spree_end' && n.by && matchId != null) addMatchSpreeEnded.run(matchId, n.by);
+    events.emit('streak', {
+      type: n.type,
+      server: serverId,
+      match_id: matchId,
+      player: partyOut(n.player),
+      count: n.count,
+      label: n.label || null,
+      by: partyOut(n.by),
+      ts,
+    });
+    if (n.type !== 'spree_end') checkAchievements('streak', n.player, n, { ts, matchId, serverId });
+  }
 };
 
-const ladder = (limit = 25, offset = 0, { includeBots = false } = {}) => {
-  const rows = db.prepare(`
-    WITH k AS (SELECT killer_id AS id, COUNT(*) c FROM frags GROUP BY killer_id),
-         d AS (SELECT victim_id AS id, COUNT(*) c FROM frags GROUP BY victim_id)
-    SELECT p.id,
-           p.name AS name,
-           COALESCE(k.c,0) AS kills,
-           COALESCE(d.c,0) AS deaths
-    FROM players p
-    LEFT JOIN k ON k.id = p.id
-    LEFT JOIN d ON d.id = p.id
-    WHERE (? = 1 OR p.is_bot = 0)
-    ORDER BY kills DESC,
-             (CASE WHEN COALESCE(d.c,0)=0 THEN COALESCE(k.c,0)
-                   ELSE (1.0*COALESCE(k.c,0)/COALESCE(d.c,0)) END) DESC,
-             deaths ASC
-    LIMIT ? OFFSET ?
-  `).all(includeBots ? 1 : 0, limit, offset);
+// Elo update for one frag (inside insFragCounted's transaction). Suicides, <world> deaths and anything
+// involving a bot are unrated, so bot farming can't inflate a rating.
+const applyFragRating = ({ ts, killerId, victimId, fragId, matchId }) => {
+  if (!killerId || !victimId || killerId === victimId) return;
+  const killer = selPlayerById.get(killerId);
+  const victim = selPlayerById.get(victimId);
+  if (!killer || !victim || killer.is_bot || victim.is_bot) return;
 
-  return rows.map(r => ({
-    id: r.id,
-    name: r.name,
-    kills: r.kills,
-    deaths: r.deaths,
-    kd: r.deaths ? +(r.kills / r.deaths).toFixed(2) : r.kills
-  }));
+  const r = rateFrag(killer, victim);
+  updPlayerRating.run({ id: killerId, rating: r.killer });
+  updPlayerRating.run({ id: victimId, rating: r.victim });
+  insRatingHistory.run({ player_id: killerId, ts, frag_id: fragId, match_id: matchId, rating: r.killer, delta: r.killerDelta });
+  insRatingHistory.run({ player_id: victimId, ts, frag_id: fragId, match_id: matchId, rating: r.victim, delta: r.victimDelta });
 };
 
-const sparkline24h = (playerId) => {
-  const end = Date.now();
-  const start = end - 24 * 3600 * 1000;
-  const rows = db.prepare(`
-    SELECT (ts/3600000)*3600000 AS bucket, COUNT(*) AS c
-    FROM frags
-    WHERE ts >= ? AND (killer_id = ? OR victim_id = ?)
-    GROUP BY bucket
-    ORDER BY bucket
-  `).all(start, playerId, playerId);
+// ---------- achievements ----------
+// Checked as frags, streaks and closed matches come in (achievements.js), stored once per player and
+// emitted on `events` ('achievement').
+// Aggregates rules can require (achievements.js `stat`); each gets the player id, the rule's `arg` and
+// the time of the event being judged. They run in the frag write path, so frag counts come from
+// player_weapons (whose kills already leave out self-kills and teamkills), not from raw frags.
+const NEMESIS_MIN_FRAGS = 3;
+const ACHIEVEMENT_STATS = {
+  frags: (playerId) => cachedStmt(`
+    SELECT COALESCE(SUM(kills), 0) c FROM player_weapons WHERE player_id = ?
+  `).get(playerId).c,
+  weapon_kills: (playerId, weapon) => {
+    const mods = weapons.resolveWeapon(weapon)?.mods || [];
+    if (!mods.length) return 0;
+    return cachedStmt(`
+      SELECT COALESCE(SUM(kills), 0) c FROM player_weapons
+      WHERE player_id = ? AND mod IN (${mods.map(() => '?').join(',')})
+    `).get(playerId, ...mods).c;
+  },
+  matches: (playerId) => cachedStmt(`
+    SELECT COUNT(*) c FROM match_players mp JOIN matches m ON m.id = mp.match_id
+    WHERE mp.player_id = ? AND m.ended_at IS NOT NULL
+  `).get(playerId).c,
+  // consecutive (UTC) days with a match, counting back from the day of `ts`
+  play_day_streak: (playerId, _arg, ts) => {
+    const days = cachedStmt(`
+      SELECT DISTINCT CAST(m.started_at / ${DAY_MS} AS INTEGER) AS d
+      FROM match_players mp JOIN matches m ON m.id = mp.match_id
+      WHERE mp.player_id = ? AND m.started_at <= ?
+      ORDER BY d DESC LIMIT 366
+    `).all(playerId, ts).map(r => r.d);
+    let n = 0;
+    for (let want = Math.floor(ts / DAY_MS); days[n] === want; want--) n++;
+    return n;
+  },
+};
 
-  const out = [];
-  const firstBucket = Math.floor(start / 3600000) * 3600000;
-  const map = new Map(rows.map(r => [Number(r.bucket), r.c]));
-  for (let i = 0; i < 24; i++) {
-    const t = firstBucket + i * 3600000;
-    out.push({ t, c: map.get(t) || 0 });
+const insAchievement = db.prepare(`
+  INSERT OR IGNORE INTO player_achievements (player_id, achievement, earned_at, match_id, server_id)
+  VALUES (@player_id, @achievement, @ts, @match_id, @server_id)
+`);
+const selEarned = db.prepare(`SELECT achievement FROM player_achievements WHERE player_id = ?`);
+
+// Subject fields that cost a query are computed on first read, and only if some rule reads them
+const lazySubject = (fields) => {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (typeof v !== 'function') { out[k] = v; continue; }
+    Object.defineProperty(out, k, {
+      enumerable: true,
+      configurable: true,
+      get() { const x = v(); Object.defineProperty(this, k, { value: x, enumerable: true }); return x; },
+    });
   }
   return out;
 };
 
-const findPlayerByName = (rawName) => {
-  const key = nameKeyOf(rawName || '');
-  if (!key) return null;
-  return selPlayerByKey.get(key) || null;
-};
-const getPlayer = (id) => selPlayerById.get(id) || null;
+const fragSubject = ({ fragId, killerId, victimId, mod, matchId }) => lazySubject({
+  weapon: weapons.groupOfMod(mod).id,
+  mod,
+  victimId,
+  // no earlier frag (suicides and teamkills don't count) in this match
+  first: () => matchId != null && !cachedStmt(`
+    SELECT 1 FROM frags WHERE match_id = ? AND id < ? AND killer_id IS NOT NULL AND killer_id <> victim_id AND teamkill = 0 LIMIT 1
+  `).get(matchId, fragId),
+  // the victim tops the killer's killedBy list (among players of the victim's kind), with a few frags at least
+  victimIsNemesis: () => {
+    const top = killedBy(killerId, { bots: selPlayerById.get(victimId)?.is_bot ? 1 : 0, limit: 1 })[0];
+    return !!top && top.id === victimId && top.count >= NEMESIS_MIN_FRAGS;
+  },
+});
+
+// Run the rules for one trigger; stores and announces every newly passed one. Bots don't earn badges.
+// Emits 'achievement' with { type: 'achievement', server, match_id, player, achievement, ts }.
+const checkAchievements = (trigger, playerId, subject, { ts = Date.now(), matchId = null, serverId = null } = {}) => {
+  if (!playerId) return [];
+  const rules = achievements.achievementsOn(trigger);
+  if (!rules.length) return [];
+  const player = selPlayerById.get(playerId);
+  if (!player || player.is_bot) return [];
+
+  const earned = new Set(selEarned.all(playerId).map(r => r.achievement));
+  const got = [];
+  for (const a of rules) {
+    if (earned.has(a.id)) continue;
+    try {
+      if (!a.when(subject)) continue;
+      if (a.stat && !(ACHIEVEMENT_STATS[a.stat]?.(playerId, a.arg, ts) >= a.atLeast)) continue;
+    } catch (e) {
+      console.error(`achievement ${a.id}: rule error:`, e.message);
+      continue;
+    }
+    const info = insAchievement.run({ player_id: playerId, achievement: a.id, ts, match_id: matchId, server_id: serverId });
+    if (!info.changes) continue;
+    got.push(a.id);
+    events.emit('achievement', {
+      type: 'achievement',
+      server: serverId,
+      match_id: matchId,
+      player: { id: player.id, name: player.name },
+      achievement: achievements.describe(a),
+      ts,
+    });
+  }
+  return got;
+};
+
+// 'match_end' rules for everyone on a closed match's scoreboard
+const checkMatchAchievements = (matchId, { ts, serverId }) => {
+  const match = selMatchById.get(matchId);
+  if (!match) return;
+  const gametype = gametypeOf(match.gametype).id;
+  const rows = cachedStmt(`SELECT player_id, kills, deaths, score, result FROM match_players WHERE match_id = ?`).all(matchId);
+  for (const r of rows) {
+    checkAchievements('match_end', r.player_id, {
+      kills: r.kills || 0, deaths: r.deaths || 0, score: r.score, result: r.result, gametype,
+    }, { ts, matchId, serverId });
+  }
+};
+
+// ---------- sessions, awards, items, chat ----------
+// What else games.log says about a player: awards, tracked item pickups (items.js), sessions, the final
+// Exit scoreboard and chat.
+// A session is one client slot's stay on a server for one match: ClientConnect opens it, the first
+// userinfo names its player, ClientBegin marks entering the game, and ClientDisconnect or the end of
+// the match closes it (Q3 re-connects everyone on a map change, so the next match opens new ones).
+const openSession = ({ ts, serverId, clientId, playerId = null, sourceKey = null }) => {
+  const info = insSession.run({
+    player_id: playerId, client_id: clientId, match_id: getCurrentMatchId(serverId),
+    server_id: serverId, connected_at: ts, source_key: sourceKey
+  });
+  if (info.changes) return Number(info.lastInsertRowid);
+  return sourceKey ? (selSessionBySourceKey.get(sourceKey)?.id ?? null) : null;
+};
+
+const endSession = (slot, { ts, reason }) => {
+  if (!slot?.sessionId) return;
+  endSessionStmt.run({ id: slot.sessionId, ts, reason });
+  slot.sessionId = null;
+};
+
+const endAllSessions = ({ ts, reason, serverId }) => {
+  for (const slot of slotsFor(serverId).values()) endSession(slot, { ts, reason });
+};
+
+// Who is behind a line that carries only a name (chat): a connected slot of that name, else a
+// known player. Never creates players, so a GUID player can't be shadowed by a name-keyed twin.
+const playerByLoggedName = (rawName, serverId) => {
+  const key = nameKeyOf(rawName);
+  if (!key) return null;
+  for (const slot of slotsFor(serverId).values()) if (slot.key === key && slot.id) return slot.id;
+  return findPlayerByNameKey(key)?.id ?? null;
+};
+
+// ---------- status poller ----------
+// Server population/uptime samples and presence sessions with pings, from poller.js
+// getstatus ping 999 means "still connecting": present, but not a ping worth averaging
+const CONNECTING_PING = 999;
+
+// A getstatus row -> player id. Rcon rows carry the slot, which the log already tied to a player;
+// otherwise a connected slot or a known player of that name, and only then a new player.
+const polledPlayer = (p, serverId, ts) => {
+  const key = nameKeyOf(p.name);
+  if (!key) return null;
+  const slots = slotsFor(serverId);
+  const bySlot = p.num != null ? slots.get(p.num) : null;
+  if (bySlot?.id && bySlot.key === key) return bySlot.id;
+  for (const slot of slots.values()) if (slot.key === key && slot.id) return slot.id;
+  return findPlayerByNameKey(key)?.id ?? upsertPlayer(p.name, { ts });
+};
+
+// One poller tick for one server: a population sample, then presence sessions diffed against the
+// sessions still open. Sessions last seen more than staleMs ago (poller or server was away) are closed
+// instead of stretched over the gap; a down server closes everything.
+const recordStatusSample = ({ serverId, ts = Date.now(), up, map = null, maxClients = null, players = [], staleMs = 90000 }) => {
+  serverId = String(serverId);
+  db.exec('BEGIN');
+  try {
+    const open = new Map();
+    for (const row of selOpenPlaySessions.all(serverId)) {
+      if (!up || ts - row.last_seen_at > staleMs || open.has(row.player_id)) closePlaySession.run(row.id);
+      else open.set(row.player_id, row);
+    }
+
+    const seen = new Map(); // player id -> ping (null = no usable sample)
+    let bots = 0;
+    if (up) {
+      for (const p of players) {
+        const id = polledPlayer(p, serverId, ts);
+        if (!id || seen.has(id)) continue;
+        const bot = !!selPlayerById.get(id)?.is_bot;
+        if (bot) bots++;
+        const ping = Number(p.ping);
+        seen.set(id, !bot && Number.isFinite(ping) && ping > 0 && ping < CONNECTING_PING ? ping : null);
+      }
+    }
+
+    const joined = [];
+    for (const [id, ping] of seen) {
+      const args = { ts, n: ping == null ? 0 : 1, ping: ping ?? 0 };
+      const row = open.get(id);
+      if (row) {
+        touchPlaySession.run({ ...args, id: row.id });
+        open.delete(id);
+      } else {
+        insPlaySession.run({ ...args, player_id: id, server_id: serverId, ping_or_null: ping });
+        joined.push(id);
+      }
+    }
+    const left = [...open.values()].map(row => (closePlaySession.run(row.id), row.player_id));
+
+    insServerSample.run({
+      server_id: serverId, ts, up: up ? 1 : 0, map: map || null,
+      players: seen.size - bots, bots, max_clients: Number(maxClients) || null,
+    });
+    db.exec('COMMIT');
+    return { joined, left, online: seen.size };
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+};
+
+// ---------- team play ----------
+// Team gametypes (gametypes.js): team per match seat, teamkills flagged (and penalized, never credited),
+// CTF flag events derived from flag pickups, rounds, team scores and per-player win/loss results.
+const matchGametype = (serverId) => {
+  const id = getCurrentMatchId(serverId);
+  return gametypeOf(id != null ? selMatchById.get(id)?.gametype : null);
+};
+
+// Same-team frag in a team gametype, judged by the slots' current teams
+const isTeamkill = (serverId, killerClient, victimClient) => {
+  if (!matchGametype(serverId).team || killerClient == null || victimClient == null) return false;
+  const slots = slotsFor(serverId);
+  const kt = slots.get(killerClient)?.team;
+  return isPlayingTeam(kt) && kt === slots.get(victimClient)?.team;
+};
+
+// Emits 'flag' with { server, match_id, player, team, flag, action, ts } for new rows only
+const recordFlagEvent = ({ ts, serverId, matchId, playerId, team, flag, action, sourceKey }) => {
+  const info = insFlagEvent.run({
+    ts, player_id: playerId, team: team || null, flag, action, match_id: matchId, server_id: serverId,
+    source_key: sourceKey || null
+  });
+  if (info.changes) {
+    events.emit('flag', { type: 'flag', server: serverId, match_id: matchId, player: partyOut(playerId), team, flag, action, ts });
+  }
+};
+
+// games.log has no flag lines of its own; "Item: <slot> team_CTF_<color>flag" is the tell. Touching
+// the enemy flag picks it up; touching your own either returns it or, while carrying, captures.
+const touchFlag = ({ ts, serverId, slot, flag, sourceKey }) => {
+  if (!slot?.id || !isPlayingTeam(slot.team) || !matchGametype(serverId).flags) return;
+  let action = 'pickup';
+  let which = flag;
+  if (slot.team === flag) {
+    action = slot.flag ? 'capture' : 'return';
+    which = slot.flag || flag;
+    slot.flag = null;
+  } else {
+    slot.flag = flag;
+  }
+  recordFlagEvent({ ts, serverId, matchId: getCurrentMatchId(serverId), playerId: slot.id, team: slot.team, flag: which, action, sourceKey });
+};
+
+// A carrier's death drops the flag; an enemy frag on them counts as a carrier kill
+const dropCarriedFlag = ({ ts, serverId, matchId, victimClient, killerClient, killerId, victimId, record, sourceKey }) => {
+  const slots = slotsFor(serverId);
+  const vslot = victimClient != null ? slots.get(victimClient) : null;
+  if (!vslot?.flag) return;
+  const carried = vslot.flag;
+  vslot.flag = null;
+  if (!record || !killerId || killerId === victimId) return;
+  recordFlagEvent({
+    ts, serverId, matchId, playerId: killerId, team: slots.get(killerClient)?.team || null,
+    flag: carried, action: 'carrier_kill', sourceKey
+  });
+};
+
+// Team scores when the log has no "red:/blue:" line: rounds won, captures, or summed player scores
+const deriveTeamScores = (matchId, gt) => {
+  let rows;
+  if (gt.rounds) {
+    rows = db.prepare(`SELECT winner AS team, COUNT(*) AS c FROM rounds WHERE match_id = ? GROUP BY winner`).all(matchId);
+  } else if (gt.flags) {
+    rows = db.prepare(`
+      SELECT team, COUNT(*) AS c FROM flag_events WHERE match_id = ? AND action = 'capture' GROUP BY team
+    `).all(matchId);
+  } else {
+    rows = db.prepare(`SELECT team, SUM(score) AS c FROM match_players WHERE match_id = ? GROUP BY team`).all(matchId);
+  }
+  const by = Object.fromEntries(rows.map(r => [r.team, r.c]));
+  return { red: by.red || 0, blue: by.blue || 0 };
+};
+
+// Winner and per-player results of a closed match (team gametypes and duels; FFA has no losers)
+const settleMatch = (matchId) => {
+  const m = selMatchById.get(matchId);
+  if (!m) return;
+  const gt = gametypeOf(m.gametype);
+  if (gt.team) {
+    let red = m.red_score;
+    let blue = m.blue_score;
+    if (red == null || blue == null) ({ red, blue } = deriveTeamScores(matchId, gt));
+    const winner = red > blue ? 'red' : blue > red ? 'blue' : 'draw';
+    db.prepare(`UPDATE matches SET red_score = ?, blue_score = ?, winner = ? WHERE id = ?`).run(red, blue, winner, matchId);
+    db.prepare(`
+      UPDATE match_players SET result = CASE
+        WHEN team NOT IN ('red', 'blue') OR team IS NULL THEN NULL
+        WHEN @winner = 'draw' THEN 'draw'
+        WHEN team = @winner THEN 'win' ELSE 'loss' END
+      WHERE match_id = @id
+    `).run({ winner, id: matchId });
+  } else if (gt.duel) {
+    // The two players who actually fought; anyone else in the queue was only spectating
+    const top = db.prepare(`
+      SELECT player_id, score FROM match_players
+      WHERE match_id = ? AND kills + deaths > 0 AND COALESCE(team, 'free') <> 'spectator'
+      ORDER BY score DESC LIMIT 3
+    `).all(matchId);
+    if (top.length !== 2) return;
+    const [a, b] = top;
+    const set = db.prepare(`UPDATE match_players SET result = ? WHERE match_id = ? AND player_id = ?`);
+    set.run(a.score === b.score ? 'draw' : 'win', matchId, a.player_id);
+    set.run(a.score === b.score ? 'draw' : 'loss', matchId, b.player_id);
+  }
+};
+
+// ---------- public API: matches ----------
+// The matches table: opened on InitGame, closed on ShutdownGame with the Exit reason; frags are stamped
+// with it, and both carry the id of the server (servers.js) whose log produced them.
+// The running match per server lives here (key = server id, null for single-server setups);
+// after a restart mid-match each server adopts its newest still-open row (once).
+const currentMatchIds = new Map();
+let adoptOpenMatches = true;
+
+const getCurrentMatchId = (serverId = null) => {
+  if (!currentMatchIds.has(serverId)) {
+    currentMatchIds.set(serverId, adoptOpenMatches ? (selOpenMatchId.get(serverId)?.id ?? null) : null);
+  }
+  return currentMatchIds.get(serverId);
+};
+
+// Forget (without closing) whatever matches this process was tracking. import.js uses this so it
+// never adopts or supersedes the live match the API process is writing to.
+const detachCurrentMatch = () => {
+  adoptOpenMatches = false;
+  currentMatchIds.clear();
+};
+
+// Exit: is followed by the final "score:" lines, so it only notes the reason; the ShutdownGame (or
+// the next InitGame, when a mod never logs one) that follows closes the match with it.
+const exitReasons = new Map(); // key = server id
+
+const closeMatch = ({ ts = Date.now(), reason = 'ShutdownGame', serverId = null } = {}) => {
+  if (exitReasons.has(serverId)) {
+    reason = exitReasons.get(serverId);
+    exitReasons.delete(serverId);
+  }
+  endAllSessions({ ts, reason: 'match_end', serverId });
+  for (const slot of slotsFor(serverId).values()) slot.flag = null;
+  const id = getCurrentMatchId(serverId);
+  if (id == null) return null;
+  db.exec('BEGIN');
+  try {
+    insMatchScoreboard.run({ id });
+    settleMatch(id);
+    closeMatchStmt.run({ id, ended_at: ts, end_reason: reason });
+    db.exec('COMMIT');
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+  currentMatchIds.set(serverId, null);
+  checkMatchAchievements(id, { ts, serverId });
+  return id;
+};
+
+const openMatch = ({ ts = Date.now(), map, gametype, hostname, sourceKey, serverId = null } = {}) => {
+  // An InitGame without a preceding ShutdownGame (crash, map_restart) closes the previous match
+  closeMatch({ ts, reason: 'superseded', serverId });
+
+  // Re-imported match: keep using the row from the first import
+  const existing = sourceKey ? selMatchBySourceKey.get(sourceKey) : null;
+  if (existing) {
+    currentMatchIds.set(serverId, existing.id);
+    // results are settled again on close (from this import's own red:/blue: line, if any)
+    db.prepare(`UPDATE matches SET ended_at = NULL, red_score = NULL, blue_score = NULL, winner = NULL WHERE id = ?`)
+      .run(existing.id);
+    return existing.id;
+  }
+
+  const info = insMatch.run({
+    map: map || null,
+    gametype: gametype != null ? String(gametype) : null,
+    hostname: hostname || null,
+    started_at: ts,
+    source_key: sourceKey || null,
+    server_id: serverId
+  });
+  const id = Number(info.lastInsertRowid);
+  currentMatchIds.set(serverId, id);
+  return id;
+};
+
+// Seat a player on the current scoreboard even if they never frag or die
+const joinCurrentMatch = (playerId, serverId = null) => {
+  const id = getCurrentMatchId(serverId);
+  if (id != null && playerId) insMatchPlayer.run(id, playerId);
+};
+
+// Bridge from logtail/status events into DB (evt.server = servers.js id, when tagged)
+const onEvent = (evt) => {
+  if (!evt || !evt.type) return;
+  const t = evt.ts || Date.now();
+  const type = String(evt.type).toLowerCase();
+  const serverId = evt.server ?? null;
+
+  switch (type) {
+    case 'initgame':
+      streaksFor(serverId).reset();
+      openMatch({
+        ts: t, map: evt.map, gametype: evt.gametype, hostname: evt.hostname, sourceKey: evt.sourceKey, serverId
+      });
+      return;
+
+    case 'shutdowngame':
+      closeMatch({ ts: t, reason: 'ShutdownGame', serverId });
+      return;
+
+    case 'exit':
+      if (getCurrentMatchId(serverId) != null) exitReasons.set(serverId, evt.reason || 'Exit');
+      return;
+
+    case 'score': {
+      const matchId = getCurrentMatchId(serverId);
+      const p = resolveFragParty(evt.name, evt.clientId, { ts: t, serverId });
+      if (matchId == null || !p) return;
+      upsertReportedScore.run({ match_id: matchId, player_id: p.id, score: evt.score, ping: evt.ping ?? null });
+      return;
+    }
+
+    case 'teamscore': {
+      const matchId = getCurrentMatchId(serverId);
+      if (matchId != null) updMatchTeamScore.run(evt.red, evt.blue, matchId);
+      return;
+    }
+
+    case 'roundend': {
+      const matchId = getCurrentMatchId(serverId);
+      if (matchId == null) return;
+      insRound.run({
+        ts: t, match_id: matchId, round: evt.round ?? null, winner: evt.winner || null,
+        server_id: serverId, source_key: evt.sourceKey || null
+      });
+      return;
+    }
+
+    case 'clientconnect': {
+      if (evt.clientId == null) return;
+      const slots = slotsFor(serverId);
+      endSession(slots.get(evt.clientId), { ts: t, reason: 'reconnect' });
+      const sessionId = openSession({ ts: t, serverId, clientId: evt.clientId, sourceKey: evt.sourceKey });
+      slots.set(evt.clientId, { key: null, guid: null, id: null, sessionId, connectBot: !!evt.bot });
+      return;
+    }
+
+    case 'clientbegin': {
+      const slot = evt.clientId != null ? slotsFor(serverId).get(evt.clientId) : null;
+      if (slot?.sessionId) beginSession.run(t, slot.sessionId);
+      return;
+    }
+
+    case 'award': {
+      const p = resolveFragParty(evt.name, evt.clientId, { ts: t, serverId });
+      if (!p || !evt.award) return;
+      insAward.run({
+        ts: t, player_id: p.id, award: String(evt.award), match_id: getCurrentMatchId(serverId),
+        server_id: serverId, source_key: evt.sourceKey || null
+      });
+      return;
+    }
+
+    case 'item': {
+      // Item lines carry only the slot; pickups before we've seen the slot's userinfo are dropped
+      const item = items.itemOf(evt.item);
+      const slot = evt.clientId != null ? slotsFor(serverId).get(evt.clientId) : null;
+      if (!item || !slot?.id) return;
+      if (item.kind === 'flag') {
+        touchFlag({ ts: t, serverId, slot, flag: item.id === 'red_flag' ? 'red' : 'blue', sourceKey: evt.sourceKey });
+        return;
+      }
+      insItemPickup.run({
+        ts: t, player_id: slot.id, item: item.id, match_id: getCurrentMatchId(serverId),
+        server_id: serverId, source_key: evt.sourceKey || null
+      });
+      return;
+    }
+
+    case 'say': {
+      if (!evt.name || evt.message == null) return;
+      insChat.run({
+        ts: t, player_id: playerByLoggedName(evt.name, serverId), name: evt.name, team: evt.team ? 1 : 0,
+        message: String(evt.message), match_id: getCurrentMatchId(serverId),
+        server_id: serverId, source_key: evt.sourceKey || null
+      });
+      return;
+    }
+
+    case 'clientuserinfochanged': {
+      const raw = evt.name_colored || evt.nameColored || evt.name || '';
+      const model = evt.model || null;
+      const hmodel = evt.hmodel || null;
+      const guid = evt.guid || null;
+      if (!raw) return;
+      const slots = slotsFor(serverId);
+      const prev = evt.clientId != null ? slots.get(evt.clientId) : null;
+      const seen = bots.detectBot({ connectBot: prev?.connectBot, skill: evt.skill, ip: evt.ip, guid });
+      const bot = seen.bot == null ? botByName(nameKeyOf(raw), guid) : seen;
+      const p = resolvePlayer(raw, { ts: t, model, hmodel, guid, bot });
+      if (!p) return;
+      if (evt.clientId != null) {
+        // No ClientConnect seen for this slot (tail started mid-match): the session starts now
+        let sessionId = prev?.sessionId ?? null;
+        if (sessionId) claimSession.run(p.id, sessionId);
+        else sessionId = openSession({ ts: t, serverId, clientId: evt.clientId, playerId: p.id, sourceKey: evt.sourceKey });
+        // Switching teams drops a carried flag
+        const team = teamOf(evt.team);
+        const flag = prev?.id === p.id && prev?.team === team ? prev.flag ?? null : null;
+        slots.set(evt.clientId, {
+          key: nameKeyOf(raw), guid, id: p.id, sessionId, team, flag, connectBot: prev?.connectBot ?? false, bot,
+        });
+      }
+      joinCurrentMatch(p.id, serverId);
+      const matchId = getCurrentMatchId(serverId);
+      if (matchId != null && teamOf(evt.team)) upsertSeatTeam.run(matchId, p.id, teamOf(evt.team));
+      return;
+    }
+
+    case 'clientdisconnect': {
+      if (evt.clientId == null) return;
+      const slot = slotsFor(serverId).get(evt.clientId);
+      if (slot?.id) streaksFor(serverId).drop(slot.id);
+      endSession(slot, { ts: t, reason: 'disconnect' });
+      slotsFor(serverId).delete(evt.clientId);
+      return;
+    }
+
+    case 'kill':
+    case 'kill:':
+    case 'kill ':
+      return persistFragFromNames({
+        ts: t,
+        killerName: evt.killerName || evt.killer?.name || evt.killer || '',
+        victimName: evt.victimName || evt.victim?.name || evt.victim || '',
+        killerClient: evt.killer?.clientId,
+        victimClient: evt.victim?.clientId,
+        mod: evt.mod,
+        matchId: evt.matchId, // optional override; defaults to the match opened by InitGame
+        sourceKey: evt.sourceKey, // import.js / logtail.js: a replayed line is ignored
+        serverId
+      });
+
+    default:
+      return;
+  }
+};
+
+// ---------- stats & queries ----------
+const sinceMs = (days) => (days && Number(days) > 0) ? (Date.now() - Number(days) * 86400000) : null;
+
+const getPlayerTotals = (playerId, { since } = {}) => {
+  const w = rollupWindow(since, null);
+  const t = cachedStmt(`
+    SELECT COALESCE(SUM(kills), 0) AS kills, COALESCE(SUM(teamkills), 0) AS teamkills,
+           COALESCE(SUM(deaths), 0) AS deaths, COALESCE(SUM(suicides), 0) AS suicides
+    FROM (
+      SELECT kills, teamkills, deaths, suicides
+      FROM ${since ? `player_daily WHERE player_id = @p AND ${w.day}` : 'player_stats WHERE player_id = @p'}
+      UNION ALL
+      SELECT (killer_id = @p AND teamkill = 0), (killer_id = @p AND teamkill = 1), (victim_id = @p),
+             (victim_id = @p AND (killer_id IS NULL OR killer_id = victim_id))
+      FROM frags WHERE (killer_id = @p OR victim_id = @p) AND (${w.edge})
+    )
+  `).get({ p: playerId, ...w.args });
+  const { kills, teamkills, deaths, suicides } = t;
+
+  const byWeapon = getPlayerWeapons(playerId, { since });
+  const wp = (id) => byWeapon.find(x => x.weapon === id) || { kills: 0, deaths: 0 };
+
+  const kd = deaths ? +(kills / deaths).toFixed(2) : kills;
+
+  return {
+    kills, deaths, kd,
+    net_kills: kills - teamkills, // the ladder's kills sort
+    suicides,
+    teamkills,
+    record: getPlayerRecord(playerId, { since }),
+    rail: { kills: wp('railgun').kills, deaths: wp('railgun').deaths },
+    gauntlet: { kills: wp('gauntlet').kills, deaths: wp('gauntlet').deaths }
+  };
+};
+
+// K/D against humans and against bots (whoever counts as a bot now). Bot kills also come per skill level
+// and weighted by it (bots.skillWeight); a death has no skill on record, so deaths only split two ways.
+// Suicides, world deaths and teamkills count in neither.
+const getPlayerVersus = (playerId, { since } = {}) => {
+  const w = rollupWindow(since, null);
+  const rows = cachedStmt(`
+    SELECT o.is_bot AS bot, x.skill, SUM(x.k) AS kills, SUM(x.d) AS deaths
+    FROM (
+      SELECT opponent_id AS oid, NULLIF(skill, 0) AS skill, kills - teamkills AS k, 0 AS d
+      FROM player_opponents WHERE player_id = @p AND ${w.day}
+      UNION ALL
+      SELECT player_id, NULL, 0, kills - teamkills FROM player_opponents WHERE opponent_id = @p AND ${w.day}
+      UNION ALL
+      SELECT victim_id, victim_skill, 1, 0 FROM frags
+      WHERE killer_id = @p AND victim_id <> @p AND teamkill = 0 AND (${w.edge})
+      UNION ALL
+      SELECT killer_id, NULL, 0, 1 FROM frags
+      WHERE victim_id = @p AND killer_id IS NOT NULL AND killer_id <> @p AND teamkill = 0 AND (${w.edge})
+    ) x
+    JOIN players o ON o.id = x.oid
+    GROUP BY o.is_bot, x.skill
+  `).all({ p: playerId, ...w.args });
+
+  const side = (bot) => {
+    const mine = rows.filter(r => !!r.bot === bot);
+    const kills = mine.reduce((n, r) => n + r.kills, 0);
+    const deaths = mine.reduce((n, r) => n + r.deaths, 0);
+    return { kills, deaths, kd: deaths ? +(kills / deaths).toFixed(2) : kills };
+  };
+  const botKills = rows.filter(r => r.bot && r.kills);
+  return {
+    humans: side(false),
+    bots: {
+      ...side(true),
+      weighted_kills: +botKills.reduce((n, r) => n + r.kills * bots.skillWeight(r.skill), 0).toFixed(2),
+      by_skill: botKills.sort((a, b) => (a.skill ?? 0) - (b.skill ?? 0)).map(r => ({
+        skill: r.skill, label: bots.SKILLS[r.skill - 1]?.label ?? null, kills: r.kills,
+      })),
+    },
+  };
+};
+
+// Win/loss/draw over settled team and duel matches
+const getPlayerRecord = (playerId, { since } = {}) => {
+  const rows = cachedStmt(`
+    SELECT mp.result, COUNT(*) AS c
+    FROM match_players mp JOIN matches m ON m.id = mp.match_id
+    WHERE mp.player_id = ? AND mp.result IS NOT NULL${since ? ' AND m.started_at >= ? ' : ''}
+    GROUP BY mp.result
+  `).all(playerId, ...(since ? [since] : []));
+  const by = Object.fromEntries(rows.map(r => [r.result, r.c]));
+  return { wins: by.win || 0, losses: by.loss || 0, draws: by.draw || 0 };
+};
+
+// ---------- weapons ----------
+// Fold per-MOD counts into weapon groups (weapons.js), keeping per-mod kills for reference
+const foldMods = (rows) => {
+  const out = new Map();
+  for (const r of rows) {
+    const g = weapons.groupOfMod(r.mod);
+    const slot = out.get(g.id) || { weapon: g.id, label: g.label, kind: g.kind, kills: 0, deaths: 0, mods: {} };
+    slot.kills += r.kills || 0;
+    slot.deaths += r.deaths || 0;
+    if (r.kills) slot.mods[r.mod || 'MOD_UNKNOWN'] = (slot.mods[r.mod || 'MOD_UNKNOWN'] || 0) + r.kills;
+    out.set(g.id, slot);
+  }
+  return [...out.values()];
+};
+
+// Per-weapon kills/deaths for one player; share = fraction of the player's kills (self-kills excluded)
+const getPlayerWeapons = (playerId, { since } = {}) => {
+  const w = rollupWindow(since, null);
+  const rows = cachedStmt(`
+    SELECT NULLIF(mod, '') AS mod, SUM(kills) AS kills, SUM(deaths) AS deaths FROM (
+      SELECT mod, kills, deaths FROM player_weapons WHERE player_id = @p AND ${w.day}
+      UNION ALL
+      SELECT COALESCE(mod, ''), (killer_id = @p AND victim_id <> @p AND teamkill = 0), (victim_id = @p)
+      FROM frags WHERE (killer_id = @p OR victim_id = @p) AND (${w.edge})
+    )
+    GROUP BY mod
+  `).all({ p: playerId, ...w.args });
+
+  const list = foldMods(rows);
+  const total = list.reduce((n, x) => n + x.kills, 0);
+  return list
+    .map(x => ({ ...x, share: total ? +(x.kills / total).toFixed(3) : 0 }))
+    .sort((a, b) => b.kills - a.kills || b.deaths - a.deaths);
+};
+
+// Scene-wide weapon usage with the top fragger per weapon
+const weaponStats = ({ since, server = null, includeBots = false } = {}) => {
+  const where = ['f.killer_id IS NOT NULL', 'f.killer_id <> f.victim_id', 'f.teamkill = 0'];
+  const args = {};
+  if (since)          { where.push('f.ts >= @since'); args.since = since; }
+  if (server != null) { where.push('f.server_id = @server'); args.server = String(server); }
+  if (!includeBots)   where.push('k.is_bot = 0');
+  const W = where.join(' AND ');
+
+  const perMod = db.prepare(`
+    SELECT f.mod, COUNT(*) AS kills
+    FROM frags f JOIN players k ON k.id = f.killer_id
+    WHERE ${W}
+    GROUP BY f.mod
+  `).all(args);
+  const perPlayerMod = db.prepare(`
+    SELECT f.mod, f.killer_id AS id, k.name AS name, COUNT(*) AS kills
+    FROM frags f JOIN players k ON k.id = f.killer_id
+    WHERE ${W}
+    GROUP BY f.mod, f.killer_id
+  `).all(args);
+
+  // top player per weapon group
+  const top = new Map();
+  const sums = new Map();
+  for (const r of perPlayerMod) {
+    const g = weapons.groupOfMod(r.mod).id;
+    const key = `${g}|${r.id}`;
+    const n = (sums.get(key)?.kills || 0) + r.kills;
+    sums.set(key, { id: r.id, name: r.name, kills: n });
+    if (!top.has(g) || top.get(g).kills < n) top.set(g, { id: r.id, name: r.name, kills: n });
+  }
+
+  const list = foldMods(perMod);
+  const total = list.reduce((n, x) => n + x.kills, 0);
+  return list
+    .map(x => ({
+      weapon: x.weapon,
+      label: x.label,
+      kind: x.kind,
+      kills: x.kills,
+      share: total ? +(x.kills / total).toFixed(3) : 0,
+      mods: x.mods,
+      top: top.get(x.weapon) || null,
+    }))
+    .sort((a, b) => b.kills - a.kills);
+};
+
+// Leaderboard for one weapon group ("rocket", "MOD_ROCKET_SPLASH", ...)
+const weaponLadder = (weapon, { limit = 25, offset = 0, since, server = null, includeBots = false } = {}) => {
+  const group = weapons.resolveWeapon(weapon);
+  if (!group) return null;
+
+  const mods = group.mods.map((_, i) => `@m${i}`).join(',');
+  const args = Object.fromEntries(group.mods.map((m, i) => [`m${i}`, m]));
+  const where = [];
+  if (since)          { where.push('ts >= @since'); args.since = since; }
+  if (server != null) { where.push('server_id = @server'); args.server = String(server); }
+  const W = where.length ? `AND ${where.join(' AND ')}` : '';
+
+  const players = db.prepare(`
+    WITH wk AS (SELECT killer_id AS id, COUNT(*) c FROM frags
+                WHERE mod IN (${mods}) AND killer_id <> victim_id AND teamkill = 0 ${W} GROUP BY killer_id),
+         wd AS (SELECT victim_id AS id, COUNT(*) c FROM frags
+                WHERE mod IN (${mods}) ${W} GROUP BY victim_id),
+         tk AS (SELECT killer_id AS id, COUNT(*) c FROM frags
+                WHERE killer_id <> victim_id AND teamkill = 0 ${W} GROUP BY killer_id)
+    SELECT p.id, p.name AS name,
+           wk.c AS kills,
+           COALESCE(wd.c, 0) AS deaths,
+           COALESCE(tk.c, 0) AS total_kills
+    FROM wk
+    JOIN players p ON p.id = wk.id
+    LEFT JOIN wd ON wd.id = p.id
+    LEFT JOIN tk ON tk.id = p.id
+    WHERE (@bots = 1 OR p.is_bot = 0)
+    ORDER BY kills DESC, deaths ASC
+    LIMIT @limit OFFSET @offset
+  `).all({ ...args, bots: includeBots ? 1 : 0, limit, offset });
+
+  return {
+    weapon: group.id,
+    label: group.label,
+    mods: group.mods,
+    players: players.map(r => ({
+      id: r.id,
+      name: r.name,
+      kills: r.kills,
+      deaths: r.deaths,
+      share: r.total_kills ? +(r.kills / r.total_kills).toFixed(3) : 0,
+    })),
+  };
+};
+
+const mostKilled = (playerId, { since, bots = 0, limit = 5 } = {}) => {
+  const w = rollupWindow(since, null);
+  return cachedStmt(`
+    SELECT v.id, v.name AS name, SUM(x.c) AS count
+    FROM (
+      SELECT opponent_id AS vid, kills AS c FROM player_opponents WHERE player_id = @p AND ${w.day}
+      UNION ALL
+      SELECT victim_id, 1 FROM frags WHERE killer_id = @p AND victim_id <> @p AND (${w.edge})
+    ) x
+    JOIN players v ON v.id = x.vid
+    WHERE v.is_bot = @bots
+    GROUP BY v.id
+    ORDER BY count DESC, v.id
+    LIMIT @limit
+  `).all({ p: playerId, bots, limit, ...w.args });
+};
+
+const killedBy = (playerId, { since, bots = 0, limit = 5 } = {}) => {
+  const w = rollupWindow(since, null);
+  return cachedStmt(`
+    SELECT k.id, k.name AS name, SUM(x.c) AS count
+    FROM (
+      SELECT player_id AS kid, kills AS c FROM player_opponents WHERE opponent_id = @p AND ${w.day}
+      UNION ALL
+      SELECT killer_id, 1 FROM frags WHERE victim_id = @p AND killer_id IS NOT NULL AND killer_id <> @p AND (${w.edge})
+    ) x
+    JOIN players k ON k.id = x.kid
+    WHERE k.is_bot = @bots
+    GROUP BY k.id
+    ORDER BY count DESC, k.id
+    LIMIT @limit
+  `).all({ p: playerId, bots, limit, ...w.args });
+};
+
+// ---------- maps ----------
+// Per-map rotation stats from the matches table. Length and frags-per-minute only count matches that
+// were closed (a still-running or crashed match has no length).
+const MAP_SORTS = {
+  played: 'matches DESC, last_played DESC',
+  recent: 'last_played DESC',
+  players: 'avg_players DESC, matches DESC',
+  fpm: '(CASE WHEN played_ms > 0 THEN 60000.0 * timed_frags / played_ms ELSE 0 END) DESC, matches DESC',
+};
+
+const mapStats = ({ since, server = null, map, sort = 'played' } = {}) => {
+  const where = ['m.map IS NOT NULL'];
+  const args = {};
+  if (since)          { where.push('m.started_at >= @since'); args.since = since; }
+  if (server != null) { where.push('m.server_id = @server');  args.server = String(server); }
+  if (map)            { where.push('m.map = @map COLLATE NOCASE'); args.map = String(map); }
+
+  return db.prepare(`
+    WITH mf AS (SELECT match_id, COUNT(*) c FROM frags WHERE match_id IS NOT NULL GROUP BY match_id),
+         mp AS (SELECT match_id, COUNT(*) c FROM match_players GROUP BY match_id)
+    SELECT m.map,
+           COUNT(*) AS matches,
+           AVG(CASE WHEN m.ended_at IS NOT NULL THEN m.ended_at - m.started_at END) AS avg_ms,
+           AVG(COALESCE(mp.c, 0)) AS avg_players,
+           SUM(COALESCE(mf.c, 0)) AS frags,
+           SUM(CASE WHEN m.ended_at IS NOT NULL THEN m.ended_at - m.started_at ELSE 0 END) AS played_ms,
+           SUM(CASE WHEN m.ended_at IS NOT NULL THEN COALESCE(mf.c, 0) ELSE 0 END) AS timed_frags,
+           MAX(m.started_at) AS last_played
+    FROM matches m
+    LEFT JOIN mf ON mf.match_id = m.id
+    LEFT JOIN mp ON mp.match_id = m.id
+    WHERE ${where.join(' AND ')}
+    GROUP BY m.map COLLATE NOCASE
+    ORDER BY ${MAP_SORTS[sort] || MAP_SORTS.played}
+  `).all(args).map(r => ({
+    map: r.map,
+    matches: r.matches,
+    avg_length_ms: r.avg_ms != null ? Math.round(r.avg_ms) : null,
+    avg_players: +Number(r.avg_players || 0).toFixed(1),
+    frags: r.frags,
+    frags_per_min: r.played_ms > 0 ? +(60000 * r.timed_frags / r.played_ms).toFixed(2) : null,
+    last_played: r.last_played,
+  }));
+};
+
+// One map: the summary row plus weapons, top players and gametypes played on it
+const getMapStats = (name, { since, server = null, limit = 10, includeBots = false } = {}) => {
+  const summary = mapStats({ since, server, map: name })[0];
+  if (!summary) return null;
+
+  const where = ['m.map = @map COLLATE NOCASE'];
+  const args = { map: String(name) };
+  if (since)          { where.push('m.started_at >= @since'); args.since = since; }
+  if (server != null) { where.push('m.server_id = @server');  args.server = String(server); }
+  const W = where.join(' AND ');
+
+  const perMod = db.prepare(`
+    SELECT f.mod, COUNT(*) AS kills
+    FROM frags f JOIN matches m ON m.id = f.match_id
+    WHERE ${W} AND f.killer_id IS NOT NULL AND f.killer_id <> f.victim_id AND f.teamkill = 0
+    GROUP BY f.mod
+  `).all(args);
+  const total = perMod.reduce((n, r) => n + r.kills, 0);
+  const weaponRows = foldMods(perMod)
+    .map(x => ({ weapon: x.weapon, label: x.label, kind: x.kind, kills: x.kills, share: total ? +(x.kills / total).toFixed(3) : 0 }))
+    .sort((a, b) => b.kills - a.kills);
+
+  const players = db.prepare(`
+    SELECT p.id, p.name AS name,
+           SUM(mp.kills) AS kills, SUM(mp.deaths) AS deaths, COUNT(*) AS matches,
+           COALESCE(SUM(mp.result = 'win'), 0) AS wins
+    FROM match_players mp
+    JOIN matches m ON m.id = mp.match_id
+    JOIN players p ON p.id = mp.player_id
+    WHERE ${W} AND m.ended_at IS NOT NULL AND (@bots = 1 OR p.is_bot = 0)
+    GROUP BY p.id
+    HAVING SUM(mp.kills) > 0
+    ORDER BY kills DESC, deaths ASC
+    LIMIT @limit
+  `).all({ ...args, bots: includeBots ? 1 : 0, limit });
+
+  const gametypes = db.prepare(`
+    SELECT m.gametype, COUNT(*) AS matches FROM matches m WHERE ${W} GROUP BY m.gametype ORDER BY matches DESC
+  `).all(args);
+
+  return {
+    ...summary,
+    weapons: weaponRows,
+    top_players: players.map(r => ({ ...r, kd: r.deaths ? +(r.kills / r.deaths).toFixed(2) : r.kills })),
+    // raw values like '4' and 'ctf' name the same gametype, so fold them together
+    gametypes: [...gametypes.reduce((acc, r) => {
+      const gt = gametypeOf(r.gametype);
+      const row = acc.get(gt.id) || { gametype: gt.id, label: gt.label, matches: 0 };
+      row.matches += r.matches;
+      return acc.set(gt.id, row);
+    }, new Map()).values()],
+  };
+};
+
+// A player's maps ranked by K/D (from closed scoreboards); maps with too few frags to judge are skipped
+const getPlayerMaps = (playerId, { since, minFrags = 10, limit = 3 } = {}) => {
+  const rows = cachedStmt(`
+    SELECT m.map, COUNT(*) AS matches, SUM(mp.kills) AS kills, SUM(mp.deaths) AS deaths
+    FROM match_players mp JOIN matches m ON m.id = mp.match_id
+    WHERE mp.player_id = ? AND m.map IS NOT NULL AND m.ended_at IS NOT NULL${since ? ' AND m.started_at >= ? ' : ''}
+    GROUP BY m.map COLLATE NOCASE
+  `).all(playerId, ...(since ? [since] : []))
+    .filter(r => r.kills + r.deaths >= minFrags)
+    .map(r => ({ ...r, kd: r.deaths ? +(r.kills / r.deaths).toFixed(2) : r.kills }))
+    .sort((a, b) => b.kd - a.kd || b.kills - a.kills);
+
+  return {
+    best: rows.slice(0, limit),
+    worst: rows.slice(-limit).reverse().filter(r => !rows.slice(0, limit).includes(r)),
+  };
+};
+
+// ---------- head to head ----------
+// Everything two players did to each other (teamkills excluded: those aren't duels won).
+// Sides are 'a' and 'b' in the order given; each count is "frags by that side on the other".
+const headToHead = (aId, bId, { since, server = null } = {}) => {
+  const a = selPlayerById.get(Number(aId));
+  const b = selPlayerById.get(Number(bId));
+  if (!a || !b) return null;
+
+  const where = ['f.teamkill = 0', '((f.killer_id = @a AND f.victim_id = @b) OR (f.killer_id = @b AND f.victim_id = @a))'];
+  const args = { a: a.id, b: b.id };
+  if (since)          { where.push('f.ts >= @since'); args.since = since; }
+  if (server != null) { where.push('f.server_id = @server'); args.server = String(server); }
+  const W = where.join(' AND ');
+  const side = (killerId) => (killerId === a.id ? 'a' : 'b');
+
+  const kills = { a: 0, b: 0 };
+  const byMod = { a: [], b: [] };
+  for (const r of db.prepare(`SELECT f.killer_id, f.mod, COUNT(*) AS kills FROM frags f WHERE ${W} GROUP BY f.killer_id, f.mod`).all(args)) {
+    kills[side(r.killer_id)] += r.kills;
+    byMod[side(r.killer_id)].push({ mod: r.mod, kills: r.kills });
+  }
+  const weaponsOf = (rows) => {
+    const total = rows.reduce((n, x) => n + x.kills, 0);
+    return foldMods(rows)
+      .map(x => ({ weapon: x.weapon, label: x.label, kills: x.kills, share: total ? +(x.kills / total).toFixed(3) : 0 }))
+      .sort((p, q) => q.kills - p.kills);
+  };
+
+  // per UTC day
+  const days = new Map();
+  for (const r of db.prepare(`
+    SELECT (f.ts / 86400000) * 86400000 AS t, f.killer_id, COUNT(*) AS c
+    FROM frags f WHERE ${W} GROUP BY t, f.killer_id ORDER BY t
+  `).all(args)) {
+    const d = days.get(r.t) || { t: r.t, a: 0, b: 0 };
+    d[side(r.killer_id)] += r.c;
+    days.set(r.t, d);
+  }
+
+  const maps = new Map();
+  for (const r of db.prepare(`
+    SELECT m.map, f.killer_id, COUNT(*) AS c
+    FROM frags f JOIN matches m ON m.id = f.match_id
+    WHERE ${W} AND m.map IS NOT NULL
+    GROUP BY m.map, f.killer_id
+  `).all(args)) {
+    const x = maps.get(r.map) || { map: r.map, a: 0, b: 0 };
+    x[side(r.killer_id)] += r.c;
+    maps.set(r.map, x);
+  }
+  const mapList = [...maps.values()]
+    .map(x => ({ ...x, leader: x.a > x.b ? 'a' : x.b > x.a ? 'b' : null }))
+    .sort((p, q) => (q.a + q.b) - (p.a + p.b));
+
+  // longest run of frags one side got in before the other answered
+  const streaks = { a: 0, b: 0 };
+  let run = { side: null, n: 0 };
+  for (const r of db.prepare(`SELECT f.killer_id FROM frags f WHERE ${W} ORDER BY f.ts, f.id`).iterate(args)) {
+    const s = side(r.killer_id);
+    run = { side: s, n: run.side === s ? run.n + 1 : 1 };
+    if (run.n > streaks[s]) streaks[s] = run.n;
+  }
+
+  return {
+    a: { id: a.id, name: a.name },
+    b: { id: b.id, name: b.name },
+    kills,
+    weapons: { a: weaponsOf(byMod.a), b: weaponsOf(byMod.b) },
+    timeline: [...days.values()],
+    maps: mapList,
+    dominates: {
+      a: mapList.filter(x => x.leader === 'a').map(x => x.map),
+      b: mapList.filter(x => x.leader === 'b').map(x => x.map),
+    },
+    longest_streak: streaks,
+  };
+};
+
+// sort: 'kills' (default: kills, then K/D) or 'rating' (Elo, players with rated frags first)
+const LADDER_ORDER = {
+  kills: `net_kills DESC,
+             (CASE WHEN COALESCE(t.deaths,0)=0 THEN COALESCE(t.kills,0)
+                   ELSE (1.0*COALESCE(t.kills,0)/t.deaths) END) DESC,
+             deaths ASC`,
+  rating: `(p.rated_frags > 0) DESC, p.rating DESC, kills DESC`,
+};
+
+// server: restrict frags (and therefore the ranked players) to one servers.js id; omit for the
+// combined cross-server ladder. since/until (ms, until exclusive) restrict frags to a time window.
+// kills and kd match the profile (teamkills left out); net_kills also charges every teamkill against
+// them and is what the kills sort ranks by. Wins/losses come from settled team and duel matches.
+const ladder = (limit = 25, offset = 0, { includeBots = false, sort = 'kills', server = null, since, until } = {}) => {
+  const order = LADDER_ORDER[sort] || LADDER_ORDER.kills;
+  const windowed = !!(since || until);
+  const w = rollupWindow(since, until);
+  const args = { ...w.args };
+  const SC = server != null ? 'server_id = @server' : '1';
+  if (server != null) args.server = String(server);
+  const MW = [
+    server != null ? ' AND m.server_id = @server' : '',
+    since ? ' AND m.started_at >= @since' : '',
+    until ? ' AND m.started_at < @until' : '',
+  ].join('');
+  if (since) args.since = Number(since);
+  if (until) args.until = Number(until);
+  // kills/deaths from the rollups (whole days) plus raw frags on the window's ragged edges
+  const rows = cachedStmt(`
+    WITH s AS (SELECT player_id AS id, kills, teamkills, deaths
+               FROM ${windowed ? 'player_daily' : 'player_stats'} WHERE ${SC} AND ${w.day}
+               UNION ALL
+               SELECT killer_id, teamkill = 0, teamkill, 0 FROM frags
+               WHERE killer_id IS NOT NULL AND ${SC} AND (${w.edge})
+               UNION ALL
+               SELECT victim_id, 0, 0, 1 FROM frags WHERE ${SC} AND (${w.edge})),
+         t AS (SELECT id, SUM(kills) AS kills, SUM(teamkills) AS teamkills, SUM(deaths) AS deaths
+               FROM s GROUP BY id),
+         r AS (SELECT mp.player_id AS id,
+                      SUM(mp.result = 'win') AS w, SUM(mp.result = 'loss') AS l, SUM(mp.result = 'draw') AS dr
+               FROM match_players mp JOIN matches m ON m.id = mp.match_id
+               WHERE mp.result IS NOT NULL${MW}
+               GROUP BY mp.player_id)
+    SELECT p.id,
+           p.name AS name,
+           COALESCE(t.kills,0) AS kills,
+           COALESCE(t.kills,0) - COALESCE(t.teamkills,0) AS net_kills,
+           COALESCE(t.deaths,0) AS deaths,
+           COALESCE(t.teamkills,0) AS teamkills,
+           COALESCE(r.w,0) AS wins,
+           COALESCE(r.l,0) AS losses,
+           COALESCE(r.dr,0) AS draws,
+           p.rating,
+           p.rated_frags
+    FROM players p
+    LEFT JOIN t ON t.id = p.id
+    LEFT JOIN r ON r.id = p.id
+    WHERE (@bots = 1 OR p.is_bot = 0)
+      ${windowed || server != null ? 'AND t.id IS NOT NULL' : ''}
+    ORDER BY ${order}
+    LIMIT @limit OFFSET @offset
+  `).all({ bots: includeBots ? 1 : 0, limit, offset, ...args });
+
+  return rows.map(r => ({
+    id: r.id,
+    name: r.name,
+    kills: r.kills,
+    net_kills: r.net_kills,
+    deaths: r.deaths,
+    kd: r.deaths ? +(r.kills / r.deaths).toFixed(2) : r.kills,
+    teamkills: r.teamkills,
+    wins: r.wins,
+    losses: r.losses,
+    draws: r.draws,
+    rating: Math.round(r.rating),
+    rated_frags: r.rated_frags
+  }));
+};
+
+// ---------- seasons ----------
+// A season is a named [starts_at, ends_at) window over the same frags table. Once it ends its
+// standings are frozen into season_standings, so later merges/splits don't rewrite history.
+const SEASON_SLUG_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+const selSeasonBySlug = db.prepare(`SELECT * FROM seasons WHERE slug = ?`);
+
+const seasonOut = (s) => s && ({
+  id: s.id,
+  slug: s.slug,
+  name: s.name,
+  starts_at: s.starts_at,
+  ends_at: s.ends_at,
+  frozen: s.frozen_at != null,
+  frozen_at: s.frozen_at,
+});
+
+const createSeason = ({ slug, name, startsAt, endsAt } = {}) => {
+  slug = String(slug || '').trim();
+  if (!SEASON_SLUG_RE.test(slug)) throw new Error('season slug must be letters, digits, _ or -');
+  startsAt = Number(startsAt); endsAt = Number(endsAt);
+  if (!Number.isFinite(startsAt) || !Number.isFinite(endsAt) || endsAt <= startsAt) {
+    throw new Error('season needs starts_at < ends_at');
+  }
+  if (selSeasonBySlug.get(slug)) throw new Error(`season "${slug}" already exists`);
+  db.prepare(`INSERT INTO seasons (slug, name, starts_at, ends_at) VALUES (?, ?, ?, ?)`)
+    .run(slug, String(name || slug), startsAt, endsAt);
+  return seasonOut(selSeasonBySlug.get(slug));
+};
+
+const deleteSeason = (slug) => {
+  const s = selSeasonBySlug.get(String(slug));
+  if (!s) return false;
+  db.exec('BEGIN');
+  try {
+    db.prepare(`DELETE FROM season_standings WHERE season_id = ?`).run(s.id);
+    db.prepare(`DELETE FROM seasons WHERE id = ?`).run(s.id);
+    db.exec('COMMIT');
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+  return true;
+};
+
+const listSeasons = () =>
+  db.prepare(`SELECT * FROM seasons ORDER BY starts_at DESC`).all().map(seasonOut);
+
+const getSeason = (slug) => seasonOut(selSeasonBySlug.get(String(slug || '')));
+
+// Store final standings of every season that has ended and isn't frozen yet
+const freezeEndedSeasons = (now = Date.now()) => {
+  const due = db.prepare(`SELECT * FROM seasons WHERE frozen_at IS NULL AND ends_at <= ?`).all(now);
+  const ins = db.prepare(`
+    INSERT INTO season_standings (season_id, rank, player_id, name, kills, deaths, kd)
+    VALUES (@season_id, @rank, @player_id, @name, @kills, @deaths, @kd)
+  `);
+  for (const s of due) {
+    const rows = ladder(-1, 0, { since: s.starts_at, until: s.ends_at });
+    db.exec('BEGIN');
+    try {
+      db.prepare(`DELETE FROM season_standings WHERE season_id = ?`).run(s.id);
+      rows.forEach((r, i) => ins.run({
+        season_id: s.id, rank: i + 1, player_id: r.id, name: r.name, kills: r.kills, deaths: r.deaths, kd: r.kd
+      }));
+      db.prepare(`UPDATE seasons SET frozen_at = ? WHERE id = ?`).run(now, s.id);
+      db.exec('COMMIT');
+    } catch (e) { db.exec('ROLLBACK'); throw e; }
+  }
+  return due.length;
+};
+
+// Standings for a season: frozen rows once it has ended, a live windowed ladder while it runs. Only the
+// default standings (cross-server, humans, by kills) are frozen, so a frozen season asked for any other
+// kind answers { season, error } instead of recomputing it from today's frags.
+const seasonStandings = (slug, { limit = 25, offset = 0, includeBots = false, sort = 'kills', server = null } = {}) => {
+  const s = selSeasonBySlug.get(String(slug || ''));
+  if (!s) return null;
+  if (s.frozen_at != null) {
+    if (sort !== 'kills' || server != null || includeBots) {
+      return {
+        season: seasonOut(s),
+        error: `season "${s.slug}" is frozen: only its final cross-server standings by kills, without bots, are kept`,
+      };
+    }
+    const players = db.prepare(`
+      SELECT rank, player_id AS id, name, kills, deaths, kd
+      FROM season_standings WHERE season_id = ?
+      ORDER BY rank LIMIT ? OFFSET ?
+    `).all(s.id, limit, offset);
+    return { season: seasonOut(s), frozen: true, players };
+  }
+  const players = ladder(limit, offset, { includeBots, sort, server, since: s.starts_at, until: s.ends_at })
+    .map((r, i) => ({ rank: offset + i + 1, ...r }));
+  return { season: seasonOut(s), frozen: false, players };
+};
+
+// ---------- streak records (profile) ----------
+// All-time records (not windowed: a streak is a moment, not a rate)
+const getPlayerStreaks = (player) => {
+  if (!player) return null;
+  const ended = cachedStmt(`SELECT COALESCE(SUM(sprees_ended), 0) c FROM match_players WHERE player_id = ?`).get(player.id).c;
+  const bestMatch = player.best_streak > 0
+    ? cachedStmt(`
+        SELECT m.id AS match_id, m.map, m.started_at, mp.best_streak
+        FROM match_players mp JOIN matches m ON m.id = mp.match_id
+        WHERE mp.player_id = ? AND mp.best_streak > 0
+        ORDER BY mp.best_streak DESC, m.started_at DESC
+        LIMIT 1
+      `).get(player.id) || null
+    : null;
+  return {
+    best_streak: player.best_streak || 0,
+    best_multikill: player.best_multikill || 0,
+    sprees_ended: ended,
+    best_match: bestMatch,
+  };
+};
+
+// ---------- awards, items, activity ----------
+const AWARD_IDS = ['excellent', 'impressive', 'humiliation', 'defend', 'assist', 'capture'];
+
+// Medal counts plus per-match rates (over matches the player was seated in)
+const getPlayerAwards = (playerId, { since } = {}) => {
+  const WS = since ? ' AND ts >= ? ' : '';
+  const args = since ? [since] : [];
+  const rows = cachedStmt(`
+    SELECT award, COUNT(*) AS c FROM awards WHERE player_id = ?${WS} GROUP BY award
+  `).all(playerId, ...args);
+  const matches = cachedStmt(`
+    SELECT COUNT(*) c FROM match_players mp JOIN matches m ON m.id = mp.match_id
+    WHERE mp.player_id = ?${since ? ' AND m.started_at >= ? ' : ''}
+  `).get(playerId, ...args).c;
+
+  const totals = Object.fromEntries(AWARD_IDS.map(a => [a, 0]));
+  for (const r of rows) totals[r.award] = r.c;
+  const per_match = Object.fromEntries(
+    Object.entries(totals).map(([a, c]) => [a, matches ? +(c / matches).toFixed(2) : 0])
+  );
+  return { matches, totals, per_match };
+};
+
+const getPlayerItems = (playerId, { since } = {}) => {
+  const WS = since ? ' AND ts >= ? ' : '';
+  const args = since ? [since] : [];
+  const counts = new Map(cachedStmt(`
+    SELECT item, COUNT(*) AS c FROM item_pickups WHERE player_id = ?${WS} GROUP BY item
+  `).all(playerId, ...args).map(r => [r.item, r.c]));
+  // flags are flag_events, not pickups
+  return items.ITEMS.filter(i => i.kind !== 'flag')
+    .map(i => ({ item: i.id, label: i.label, kind: i.kind, count: counts.get(i.id) || 0 }));
+};
+
+// Sessions, time actually in game (ClientBegin -> end) and chat volume
+const getPlayerActivity = (playerId, { since } = {}) => {
+  const s = cachedStmt(`
+    SELECT COUNT(*) AS sessions,
+           COALESCE(SUM(CASE WHEN ended_at IS NOT NULL THEN ended_at - COALESCE(began_at, connected_at) END), 0) AS ms,
+           MAX(connected_at) AS last_connected
+    FROM sessions WHERE player_id = ?${since ? ' AND connected_at >= ? ' : ''}
+  `).get(playerId, ...(since ? [since] : []));
+  const chat = cachedStmt(`
+    SELECT COUNT(*) c FROM chat_messages WHERE player_id = ?${since ? ' AND ts >= ? ' : ''}
+  `).get(playerId, ...(since ? [since] : [])).c;
+  return {
+    sessions: s.sessions,
+    playtime_ms: Math.max(0, s.ms),
+    last_connected: s.last_connected,
+    chat_messages: chat,
+  };
+};
+
+// Badges earned, newest first, plus how many of the total
+const getPlayerAchievements = (playerId) => {
+  const rows = cachedStmt(`
+    SELECT achievement, earned_at, match_id FROM player_achievements WHERE player_id = ? ORDER BY earned_at DESC, id DESC
+  `).all(playerId);
+  const earned = rows
+    .map(r => ({ a: achievements.achievementOf(r.achievement), r }))
+    .filter(x => x.a) // rule removed since
+    .map(({ a, r }) => ({ ...achievements.describe(a), earned_at: r.earned_at, match_id: r.match_id }));
+  return { earned, count: earned.length, total: achievements.ACHIEVEMENTS.length };
+};
+
+// Every badge with how many players hold it and who got it first
+const listAchievements = () => {
+  const stats = new Map(db.prepare(`
+    SELECT pa.achievement, COUNT(*) AS holders, MIN(pa.earned_at) AS first_at
+    FROM player_achievements pa GROUP BY pa.achievement
+  `).all().map(r => [r.achievement, r]));
+  const firstBy = db.prepare(`
+    SELECT p.id, p.name FROM player_achievements pa JOIN players p ON p.id = pa.player_id
+    WHERE pa.achievement = ? ORDER BY pa.earned_at, pa.id LIMIT 1
+  `);
+  return achievements.ACHIEVEMENTS.map(a => {
+    const st = stats.get(a.id);
+    return {
+      ...achievements.describe(a),
+      holders: st?.holders || 0,
+      first: st ? { ...firstBy.get(a.id), earned_at: st.first_at } : null,
+    };
+  });
+};
+
+// What the status poller saw: time online, pings, and a daily average ping (oldest first)
+const getPlayerPresence = (playerId, { since } = {}) => {
+  const WS = since ? ' AND joined_at >= ? ' : '';
+  const args = since ? [since] : [];
+  const s = cachedStmt(`
+    SELECT COUNT(*) AS sessions,
+           COALESCE(SUM(COALESCE(left_at, last_seen_at) - joined_at), 0) AS ms,
+           SUM(ping_sum) AS ping_sum, SUM(ping_samples) AS ping_n,
+           MIN(ping_min) AS ping_min, MAX(ping_max) AS ping_max,
+           MAX(last_seen_at) AS last_seen,
+           SUM(left_at IS NULL) AS open
+    FROM play_sessions WHERE player_id = ?${WS}
+  `).get(playerId, ...args);
+  const daily = cachedStmt(`
+    SELECT (joined_at / 86400000) * 86400000 AS day,
+           ROUND(1.0 * SUM(ping_sum) / SUM(ping_samples)) AS avg_ping,
+           SUM(COALESCE(left_at, last_seen_at) - joined_at) AS ms
+    FROM play_sessions WHERE player_id = ?${WS}
+    GROUP BY day HAVING SUM(ping_samples) > 0 OR ms > 0
+    ORDER BY day
+  `).all(playerId, ...args);
+  return {
+    sessions: s.sessions,
+    playtime_ms: s.ms,
+    minutes_played: Math.round(s.ms / 60000),
+    avg_ping: s.ping_n ? Math.round(s.ping_sum / s.ping_n) : null,
+    ping_min: s.ping_min,
+    ping_max: s.ping_max,
+    last_seen: s.last_seen,
+    online: !!s.open,
+    daily: daily.map(r => ({ day: r.day, avg_ping: r.avg_ping, minutes_played: Math.round(r.ms / 60000) })),
+  };
+};
+
+// Population over time from poller samples, bucketed. Uptime is the share of answered ticks;
+// up_since is the first sample after the most recent unanswered one.
+const serverHistory = (serverId, { since, until = Date.now(), bucketMs = 3600000 } = {}) => {
+  serverId = String(serverId);
+  since = since || until - 86400000;
+  bucketMs = Math.max(60000, Math.round(Number(bucketMs) || 3600000));
+  const args = { server: serverId, since, until, b: bucketMs };
+
+  const points = db.prepare(`
+    SELECT CAST(ts / @b AS INTEGER) * @b AS t,
+           COUNT(*) AS samples,
+           AVG(up) AS uptime,
+           AVG(CASE WHEN up = 1 THEN players END) AS players_avg,
+           MAX(players) AS players_max,
+           AVG(CASE WHEN up = 1 THEN bots END) AS bots_avg
+    FROM server_samples
+    WHERE server_id = @server AND ts >= @since AND ts < @until
+    GROUP BY t ORDER BY t
+  `).all(args);
+
+  const totals = db.prepare(`
+    SELECT COUNT(*) AS samples, AVG(up) AS uptime, MAX(players) AS peak, MAX(max_clients) AS max_clients
+    FROM server_samples WHERE server_id = @server AND ts >= @since AND ts < @until
+  `).get(args);
+  const lastDown = db.prepare(`SELECT MAX(ts) AS ts FROM server_samples WHERE server_id = ? AND up = 0`).get(serverId).ts;
+  const upSince = db.prepare(`
+    SELECT MIN(ts) AS ts FROM server_samples WHERE server_id = ? AND up = 1 AND ts > ?
+  `).get(serverId, lastDown ?? 0).ts;
+  const last = db.prepare(`SELECT * FROM server_samples WHERE server_id = ? ORDER BY ts DESC LIMIT 1`).get(serverId);
+
+  const round = (v, d = 2) => (v == null ? null : +Number(v).toFixed(d));
+  return {
+    server: serverId,
+    since,
+    until,
+    bucket_ms: bucketMs,
+    samples: totals.samples,
+    uptime: round(totals.uptime, 3),
+    peak_players: totals.peak,
+    max_clients: totals.max_clients,
+    up: last ? !!last.up : null,
+    up_since: last?.up ? upSince : null,
+    last_sample: last ? { ts: last.ts, map: last.map, players: last.players, bots: last.bots } : null,
+    points: points.map(r => ({
+      t: r.t,
+      samples: r.samples,
+      uptime: round(r.uptime, 3),
+      players_avg: round(r.players_avg, 1),
+      players_max: r.players_max,
+      bots_avg: round(r.bots_avg, 1),
+    })),
+  };
+};
+
+// ---------- ratings ----------
+const getPlayerRating = (player) => {
+  if (!player) return null;
+  const peak = cachedStmt(`SELECT MAX(rating) m FROM rating_history WHERE player_id = ?`).get(player.id).m;
+  const rank = player.rated_frags > 0
+    ? cachedStmt(`
+        SELECT COUNT(*) + 1 AS r FROM players
+        WHERE is_bot = 0 AND rated_frags > 0 AND rating > ?
+      `).get(player.rating).r
+    : null;
+  return {
+    value: Math.round(player.rating),
+    rated_frags: player.rated_frags,
+    peak: peak != null ? Math.round(Math.max(peak, DEFAULT_RATING)) : null,
+    rank,
+  };
+};
+
+// Rating-over-time series. With bucketMs the last rating in each bucket is returned.
+const ratingHistory = (playerId, { since, bucketMs } = {}) => {
+  const WS = since ? ' AND ts >= ? ' : '';
+  const args = since ? [since] : [];
+  if (bucketMs) {
+    const b = Math.max(1, Math.floor(Number(bucketMs)));
+    return db.prepare(`
+      SELECT (ts / ${b}) * ${b} AS t, rating AS r
+      FROM rating_history
+      WHERE id IN (
+        SELECT MAX(id) FROM rating_history
+        WHERE player_id = ?${WS}
+        GROUP BY ts / ${b}
+      )
+      ORDER BY t
+    `).all(playerId, ...args).map(x => ({ t: x.t, rating: Math.round(x.r) }));
+  }
+  return db.prepare(`
+    SELECT ts AS t, rating, delta, match_id
+    FROM rating_history
+    WHERE player_id = ?${WS}
+    ORDER BY ts, id
+  `).all(playerId, ...args);
+};
+
+// Hourly, so finer than any rollup: the last 24h are all ragged edge (see rollupWindow) and come from the
+// player's own frags by the (killer_id, ts) and (victim_id, ts) indexes
+const sparkline24h = (playerId) => {
+  const end = Date.now();
+  const start = end - 24 * 3600 * 1000;
+  const rows = cachedStmt(`
+    SELECT (ts/3600000)*3600000 AS bucket, COUNT(*) AS c
+    FROM (
+      SELECT ts FROM frags WHERE killer_id = @p AND ts >= @start
+      UNION ALL
+      SELECT ts FROM frags WHERE victim_id = @p AND ts >= @start AND (killer_id IS NULL OR killer_id <> @p)
+    )
+    GROUP BY bucket
+    ORDER BY bucket
+  `).all({ p: playerId, start });
+
+  const out = [];
+  const firstBucket = Math.floor(start / 3600000) * 3600000;
+  const map = new Map(rows.map(r => [Number(r.bucket), r.c]));
+  for (let i = 0; i < 24; i++) {
+    const t = firstBucket + i * 3600000;
+    out.push({ t, c: map.get(t) || 0 });
+  }
+  return out;
+};
+
+const findPlayerByName = (rawName) => {
+  const key = nameKeyOf(rawName || '');
+  if (!key) return null;
+  return selPlayerByKey.get(key) || null;
+};
+const getPlayer = (id) => selPlayerById.get(id) || null;
+
+// ---------- identity admin: aliases, merge, split ----------
+const getPlayerAliases = (playerId) => cachedStmt(`
+  SELECT id, name, first_seen, last_seen
+  FROM player_aliases WHERE player_id = ?
+  ORDER BY last_seen DESC
+`).all(playerId);
+
+// Re-derive closed scoreboards after frags moved between players
+const rescoreMatchesOf = (playerIds) => {
+  const ph = playerIds.map(() => '?').join(',');
+  const ids = db.prepare(`
+    SELECT DISTINCT match_id AS id FROM frags
+    WHERE match_id IS NOT NULL AND (killer_id IN (${ph}) OR victim_id IN (${ph}))
+    UNION SELECT match_id FROM match_players WHERE player_id IN (${ph})
+  `).all(...playerIds, ...playerIds, ...playerIds).map(r => r.id);
+  const closed = db.prepare(`SELECT ended_at FROM matches WHERE id = ?`);
+  for (const id of ids) {
+    if (closed.get(id)?.ended_at == null) continue; // live scoreboards are computed on read
+    insMatchScoreboard.run({ id });
+    settleMatch(id);
+  }
+};
+
+// Fold `fromId` into `intoId`: aliases, frags, rating history and scoreboards move; `fromId` is deleted.
+// Ratings are not replayed — `intoId` keeps its current rating.
+const mergePlayers = (fromId, intoId) => {
+  fromId = Number(fromId); intoId = Number(intoId);
+  if (!fromId || !intoId || fromId === intoId) throw new Error('merge needs two different player ids');
+  const from = selPlayerById.get(fromId);
+  const into = selPlayerById.get(intoId);
+  if (!from || !into) throw new Error('player not found');
+  if (from.guid && into.guid && from.guid !== into.guid) {
+    throw new Error('both players have different GUIDs; split or clear one first');
+  }
+
+  db.exec('BEGIN');
+  try {
+    // aliases: same raw name on both sides collapses into the target's row
+    for (const a of db.prepare(`SELECT * FROM player_aliases WHERE player_id = ?`).all(fromId)) {
+      const dup = selAliasId.get(intoId, a.name);
+      if (dup) {
+        db.prepare(`UPDATE frags SET killer_alias_id = ? WHERE killer_alias_id = ?`).run(dup.id, a.id);
+        db.prepare(`UPDATE frags SET victim_alias_id = ? WHERE victim_alias_id = ?`).run(dup.id, a.id);
+        upsertAliasStmt.run({ player_id: intoId, name: a.name, name_key: a.name_key, ts: a.first_seen ?? a.last_seen ?? 0 });
+        upsertAliasStmt.run({ player_id: intoId, name: a.name, name_key: a.name_key, ts: a.last_seen ?? a.first_seen ?? 0 });
+        db.prepare(`DELETE FROM player_aliases WHERE id = ?`).run(a.id);
+        db.prepare(`UPDATE player_aliases SET merged = 1 WHERE id = ?`).run(dup.id);
+      } else {
+        db.prepare(`UPDATE player_aliases SET player_id = ?, merged = 1 WHERE id = ?`).run(intoId, a.id);
+      }
+    }
+
+    db.prepare(`UPDATE frags SET killer_id = ? WHERE killer_id = ?`).run(intoId, fromId);
+    db.prepare(`UPDATE frags SET victim_id = ? WHERE victim_id = ?`).run(intoId, fromId);
+    db.prepare(`UPDATE rating_history SET player_id = ? WHERE player_id = ?`).run(intoId, fromId);
+    db.prepare(`UPDATE season_standings SET player_id = ? WHERE player_id = ?`).run(intoId, fromId);
+    for (const t of ['awards', 'item_pickups', 'sessions', 'play_sessions', 'chat_messages', 'flag_events']) {
+      db.prepare(`UPDATE ${t} SET player_id = ? WHERE player_id = ?`).run(intoId, fromId);
+    }
+    // a match both played keeps the target's seat, with the better of the two bests
+    db.prepare(`
+      UPDATE match_players SET
+        best_streak    = MAX(match_players.best_streak, f.best_streak),
+        best_multikill = MAX(match_players.best_multikill, f.best_multikill),
+        sprees_ended   = match_players.sprees_ended + f.sprees_ended
+      FROM (SELECT match_id, best_streak, best_multikill, sprees_ended FROM match_players WHERE player_id = @fromId) f
+      WHERE match_players.player_id = @intoId AND match_players.match_id = f.match_id
+    `).run({ fromId, intoId });
+    db.prepare(`UPDATE OR IGNORE match_players SET player_id = ? WHERE player_id = ?`).run(intoId, fromId);
+    db.prepare(`DELETE FROM match_players WHERE player_id = ?`).run(fromId);
+    db.prepare(`UPDATE OR IGNORE player_achievements SET player_id = ? WHERE player_id = ?`).run(intoId, fromId);
+    db.prepare(`DELETE FROM player_achievements WHERE player_id = ?`).run(fromId);
+
+    db.prepare(`
+      UPDATE players SET
+        guid        = COALESCE(guid, @guid),
+        first_seen  = MIN(COALESCE(first_seen, @first_seen), COALESCE(@first_seen, first_seen)),
+        last_seen   = MAX(COALESCE(last_seen, 0), COALESCE(@last_seen, 0)),
+        rated_frags = rated_frags + @rated_frags,
+        best_streak = MAX(best_streak, @best_streak),
+        best_multikill = MAX(best_multikill, @best_multikill)
+      WHERE id = @id
+    `).run({
+      id: intoId, guid: from.guid, first_seen: from.first_seen, last_seen: from.last_seen, rated_frags: from.rated_frags,
+      best_streak: from.best_streak, best_multikill: from.best_multikill
+    });
+    db.prepare(`DELETE FROM players WHERE id = ?`).run(fromId);
+
+    rescoreMatchesOf([intoId]);
+    rebuildRollupsTx([intoId, fromId]);
+    db.exec('COMMIT');
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+
+  // a merged player still in game carries on as `intoId`
+  for (const [serverId, slots] of slotPlayers) {
+    for (const slot of slots.values()) {
+      if (slot.id !== fromId) continue;
+      slot.id = intoId;
+      streaksFor(serverId).drop(fromId);
+    }
+  }
+  return selPlayerById.get(intoId);
+};
+
+// Move the given aliases (and every frag made under them) off `playerId` onto a new player.
+// opts.guid hands that GUID to the new player. Frags recorded before alias tracking stay put, and so do
+// streak records, awards, pickups, flag events, sessions (logged and polled), chat and achievements (none of
+// them remember the alias used).
+const splitPlayer = (playerId, aliasIds = [], { guid } = {}) => {
+  playerId = Number(playerId);
+  const player = selPlayerById.get(playerId);
+  if (!player) throw new Error('player not found');
+  const ids = [...new Set(aliasIds.map(Number).filter(Boolean))];
+  if (!ids.length) throw new Error('provide alias ids to split off');
+
+  const ph = ids.map(() => '?').join(',');
+  const aliases = db.prepare(`SELECT * FROM player_aliases WHERE player_id = ? AND id IN (${ph})`).all(playerId, ...ids);
+  if (aliases.length !== ids.length) throw new Error('alias does not belong to this player');
+  const remaining = db.prepare(`SELECT COUNT(*) c FROM player_aliases WHERE player_id = ?`).get(playerId).c - ids.length;
+  if (remaining < 1) throw new Error('cannot split off every alias; merge instead');
+  if (guid && guid !== player.guid && selPlayerByGuid.get(guid)) throw new Error('guid already belongs to another player');
+
+  const latest = aliases.slice().sort((a, b) => (b.last_seen || 0) - (a.last_seen || 0))[0];
+  const firstSeen = Math.min(...aliases.map(a => a.first_seen ?? Infinity));
+
+  db.exec('BEGIN');
+  try {
+    if (guid && guid === player.guid) db.prepare(`UPDATE players SET guid = NULL WHERE id = ?`).run(playerId);
+    const newId = Number(insPlayer.run({
+      name: latest.name,
+      name_key: latest.name_key,
+      is_bot: player.is_bot,
+      bot_reason: player.bot_reason,
+      bot_skill: player.bot_skill,
+      ts: Number.isFinite(firstSeen) ? firstSeen : latest.last_seen,
+      last_model: null,
+      last_hmodel: null,
+      guid: guid || null
+    }).lastInsertRowid);
+    db.prepare(`UPDATE players SET last_seen = ? WHERE id = ?`).run(latest.last_seen, newId);
+
+    db.prepare(`UPDATE player_aliases SET player_id = ? WHERE id IN (${ph})`).run(newId, ...ids);
+    db.prepare(`UPDATE frags SET killer_id = ? WHERE killer_alias_id IN (${ph})`).run(newId, ...ids);
+    db.prepare(`UPDATE frags SET victim_id = ? WHERE victim_alias_id IN (${ph})`).run(newId, ...ids);
+
+    // rating history follows the frags; the new player resumes from its last moved rating
+    const moved = db.prepare(`
+      UPDATE rating_history SET player_id = ?
+      WHERE player_id = ? AND frag_id IN (SELECT id FROM frags WHERE killer_id = ? OR victim_id = ?)
+    `).run(newId, playerId, newId, newId).changes;
+    const last = db.prepare(`SELECT rating FROM rating_history WHERE player_id = ? ORDER BY ts DESC, id DESC LIMIT 1`).get(newId);
+    db.prepare(`UPDATE players SET rating = ?, rated_frags = ? WHERE id = ?`).run(last?.rating ?? DEFAULT_RATING, moved, newId);
+    db.prepare(`UPDATE players SET rated_frags = MAX(0, rated_frags - ?) WHERE id = ?`).run(moved, playerId);
+
+    // the new player sat in the original's seats: team, result and the match's bests carry over, and
+    // rescoring below only re-derives the frag columns
+    db.prepare(`
+      INSERT INTO match_players (match_id, player_id, team, result, ping, best_streak, best_multikill)
+      SELECT match_id, @newId, team, result, ping, best_streak, best_multikill FROM match_players
+      WHERE player_id = @playerId
+        AND match_id IN (SELECT match_id FROM frags WHERE killer_id = @newId OR victim_id = @newId)
+      ON CONFLICT(match_id, player_id) DO NOTHING
+    `).run({ newId, playerId });
+
+    // the original keeps its most recent remaining name
+    const keep = db.prepare(`SELECT name, name_key FROM player_aliases WHERE player_id = ? ORDER BY last_seen DESC LIMIT 1`).get(playerId);
+    if (keep) db.prepare(`UPDATE players SET name = ?, name_key = ? WHERE id = ?`).run(keep.name, keep.name_key, playerId);
+    if (HAS_NAME_COLORED && keep) db.prepare(`UPDATE players SET name_colored = ? WHERE id = ?`).run(keep.name, playerId);
+
+    rescoreMatchesOf([playerId, newId]);
+    rebuildRollupsTx([playerId, newId]);
+    db.exec('COMMIT');
+    return selPlayerById.get(newId);
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+};
+
+// Single-server installs: rows written before the registry existed belong to that one server
+const claimUntaggedRows = (serverId) => {
+  if (serverId == null) return;
+  db.exec('BEGIN');
+  try {
+    const moved = db.prepare(`UPDATE frags SET server_id = ? WHERE server_id IS NULL`).run(String(serverId)).changes;
+    db.prepare(`UPDATE matches SET server_id = ? WHERE server_id IS NULL`).run(String(serverId));
+    if (moved) rebuildRollupsTx();
+    db.exec('COMMIT');
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+};
+
+// ---------- log follower offsets ----------
+const selLogOffset = db.prepare(`
+  SELECT o.path, o.inode, o.offset, o.file_id, f.head, f.head_len, o.match_key, o.match_line, o.updated_at
+  FROM log_offsets o LEFT JOIN log_files f ON f.id = o.file_id
+  WHERE o.server_id = ?
+`);
+const upsertLogOffset = db.prepare(`
+  INSERT INTO log_offsets (server_id, path, inode, offset, file_id, match_key, match_line, updated_at)
+  VALUES (@server_id, @path, @inode, @offset, @file_id, @match_key, @match_line, @ts)
+  ON CONFLICT(server_id) DO UPDATE SET path = excluded.path, inode = excluded.inode, offset = excluded.offset,
+    file_id = excluded.file_id, match_key = excluded.match_key, match_line = excluded.match_line,
+    updated_at = excluded.updated_at
+`);
+
+const getLogOffset = (serverId) => selLogOffset.get(String(serverId ?? '')) || null;
+const saveLogOffset = (serverId, { path: file, inode, offset, file: fileId = null, match = null, line = null }) =>
+  upsertLogOffset.run({
+    server_id: String(serverId ?? ''), path: file, inode: String(inode), offset, file_id: fileId,
+    match_key: match, match_line: line, ts: Date.now(),
+  });
+
+// Log files seen on a server (or on any, for null), newest first (logtail.js identifyFile)
+const listLogFiles = (serverId) => serverId == null
+  ? cachedStmt(`SELECT id, server_id, head, head_len FROM log_files ORDER BY id DESC`).all()
+  : cachedStmt(`SELECT id, server_id, head, head_len FROM log_files WHERE server_id = ? ORDER BY id DESC`).all(String(serverId));
+const addLogFile = (serverId, { head, headLen }) =>
+  Number(cachedStmt(`INSERT INTO log_files (server_id, head, head_len, first_seen) VALUES (?, ?, ?, ?)`)
+    .run(String(serverId ?? ''), head, headLen, Date.now()).lastInsertRowid);
+const extendLogFile = (id, { head, headLen }) =>
+  cachedStmt(`UPDATE log_files SET head = ?, head_len = ? WHERE id = ? AND head_len < ?`).run(head, headLen, id, headLen);
+
+// started_at of the match stored under an InitGame's source key (the follower's clock for replayed lines)
+const getMatchStart = (sourceKey) =>
+  cachedStmt(`SELECT started_at FROM matches WHERE source_key = ?`).get(String(sourceKey))?.started_at ?? null;
+
+// How far that match got: ended_at, else (cut off mid-match) its last frag, else its start
+const getMatchEnd = (sourceKey) => cachedStmt(`
+  SELECT COALESCE(ended_at, (SELECT MAX(ts) FROM frags WHERE match_id = m.id), started_at) AS t
+  FROM matches m WHERE source_key = ?
+`).get(String(sourceKey))?.t ?? null;
+
+// ---------- health ----------
+// Readiness: can we take the write lock right now? Fails on a read-only file or a lock held elsewhere.
+const checkWritable = () => {
+  if (db.readonly) return { ok: false, error: 'database opened read-only' };
+  try {
+    db.exec('BEGIN IMMEDIATE');
+    db.exec('ROLLBACK');
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+};
+
+// ---------- admin audit ----------
+const AUDIT_RESULT_MAX = 2000;
+
+const insAudit = db.prepare(`
+  INSERT INTO admin_audit (ts, actor, ip, server_id, action, target, command, args, ok, result)
+  VALUES (@ts, @actor, @ip, @server_id, @action, @target, @command, @args, @ok, @result)
+`);
+
+const logAdminAction = ({ ts = Date.now(), actor, ip = null, serverId = null, action, target = null, command = null, args = null, ok, result = null }) => {
+  const info = insAudit.run({
+    ts, actor: String(actor || 'unknown'), ip, server_id: serverId, action: String(action),
+    target: target == null ? null : String(target), command,
+    args: args == null ? null : JSON.stringify(args),
+    ok: ok ? 1 : 0,
+    result: result == null ? null : String(result).slice(0, AUDIT_RESULT_MAX),
+  });
+  return Number(info.lastInsertRowid);
+};
+
+// Newest first; filters are exact matches
+const listAdminAudit = ({ limit = 50, offset = 0, action, actor, server } = {}) => {
+  const where = [];
+  const args = { limit, offset };
+  if (action)         { where.push('action = @action');    args.action = String(action); }
+  if (actor)          { where.push('actor = @actor');      args.actor = String(actor); }
+  if (server != null) { where.push('server_id = @server'); args.server = String(server); }
+  const W = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) c FROM admin_audit ${W}`).get(args).c;
+  const rows = db.prepare(`
+    SELECT * FROM admin_audit ${W} ORDER BY ts DESC, id DESC LIMIT @limit OFFSET @offset
+  `).all(args).map(r => ({ ...r, ok: !!r.ok, args: r.args ? JSON.parse(r.args) : null }));
+  return { total, rows };
+};
+
+// ---------- webhooks ----------
+// Subscriptions and their delivery log; webhooks.js builds payloads and does the sending
+const DELIVERY_ERROR_MAX = 500;
+
+const webhookOut = (h) => (h ? {
+  ...h,
+  events: h.events === '*' ? ['*'] : h.events.split(','),
+  enabled: !!h.enabled,
+  secret: undefined,
+  signed: !!h.secret,
+} : null);
+
+const createWebhook = ({ name = null, url, format = 'json', events = ['*'], server = null, secret = null, createdBy = null }) => {
+  const info = db.prepare(`
+    INSERT INTO webhooks (name, url, format, events, server_id, secret, created_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(name, url, format, events.join(','), server, secret, Date.now(), createdBy);
+  return getWebhook(Number(info.lastInsertRowid));
+};
+
+const getWebhook = (id) => webhookOut(db.prepare(`SELECT * FROM webhooks WHERE id = ?`).get(Number(id)));
+
+// Full rows (with secrets) for the dispatcher; listWebhooks() is what the API shows
+const activeWebhooks = () => db.prepare(`SELECT * FROM webhooks WHERE enabled = 1`).all()
+  .map(h => ({ ...h, events: h.events === '*' ? ['*'] : h.events.split(',') }));
+
+const listWebhooks = () => db.prepare(`
+  SELECT h.*,
+         (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = h.id AND d.status = 'pending') AS pending,
+         (SELECT MAX(last_attempt_at) FROM webhook_deliveries d WHERE d.webhook_id = h.id AND d.status = 'ok') AS last_ok_at
+  FROM webhooks h ORDER BY h.id
+`).all().map(webhookOut);
+
+// patch: any of name, url, format, events, server, secret, enabled
+const updateWebhook = (id, patch) => {
+  const cols = { name: 'name', url: 'url', format: 'format', events: 'events', server: 'server_id', secret: 'secret', enabled: 'enabled' };
+  const sets = [];
+  const args = { id: Number(id) };
+  for (const [k, col] of Object.entries(cols)) {
+    if (patch[k] === undefined) continue;
+    sets.push(`${col} = @${k}`);
+    args[k] = k === 'events' ? patch.events.join(',') : k === 'enabled' ? (patch.enabled ? 1 : 0) : patch[k];
+  }
+  if (sets.length) db.prepare(`UPDATE webhooks SET ${sets.join(', ')} WHERE id = @id`).run(args);
+  return getWebhook(id);
+};
+
+const deleteWebhook = (id) => {
+  db.exec('BEGIN');
+  try {
+    db.prepare(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`).run(Number(id));
+    const n = db.prepare(`DELETE FROM webhooks WHERE id = ?`).run(Number(id)).changes;
+    db.exec('COMMIT');
+    return n;
+  } catch (e) { db.exec('ROLLBACK'); throw e; }
+};
+
+const enqueueWebhookDelivery = ({ webhookId, event, payload, ts = Date.now() }) => Number(db.prepare(`
+  INSERT INTO webhook_deliveries (webhook_id, event, payload, created_at, next_attempt_at) VALUES (?, ?, ?, ?, ?)
+`).run(webhookId, event, payload, ts, ts).lastInsertRowid);
+
+// Pending deliveries whose next attempt is due, oldest first, with their hook (secret included)
+const dueWebhookDeliveries = (now = Date.now(), limit = 20) => db.prepare(`
+  SELECT d.id, d.webhook_id, d.event, d.payload, d.attempts, h.url, h.secret
+  FROM webhook_deliveries d JOIN webhooks h ON h.id = d.webhook_id
+  WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+  ORDER BY d.next_attempt_at, d.id
+  LIMIT ?
+`).all(now, limit);
+
+const pendingWebhookDelivery = (id) => db.prepare(`
+  SELECT d.id, d.webhook_id, d.event, d.payload, d.attempts, h.url, h.secret
+  FROM webhook_deliveries d JOIN webhooks h ON h.id = d.webhook_id
+  WHERE d.id = ? AND d.status = 'pending'
+`).get(Number(id)) || null;
+
+// One attempt's outcome: status 'ok' / 'failed' (final) or 'pending' with the next retry time
+const recordWebhookAttempt = (id, { status, ts = Date.now(), nextAttemptAt = null, responseStatus = null, error = null }) =>
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = @status, attempts = attempts + 1, last_attempt_at = @ts, next_attempt_at = @next,
+        response_status = @code, error = @error
+    WHERE id = @id
+  `).run({
+    id, status, ts, next: status === 'pending' ? nextAttemptAt : null, code: responseStatus,
+    error: error == null ? null : String(error).slice(0, DELIVERY_ERROR_MAX),
+  });
+
+// Delivery log, newest first
+const listWebhookDeliveries = ({ webhookId, status, limit = 50, offset = 0 } = {}) => {
+  const where = [];
+  const args = { limit, offset };
+  if (webhookId != null) { where.push('webhook_id = @hook'); args.hook = Number(webhookId); }
+  if (status)            { where.push('status = @status');   args.status = String(status); }
+  const W = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) c FROM webhook_deliveries ${W}`).get(args).c;
+  const rows = db.prepare(`
+    SELECT * FROM webhook_deliveries ${W} ORDER BY created_at DESC, id DESC LIMIT @limit OFFSET @offset
+  `).all(args).map(r => ({ ...r, payload: JSON.parse(r.payload) }));
+  return { total, rows };
+};
+
+const getWebhookDelivery = (id) => {
+  const r = db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`).get(Number(id));
+  return r ? { ...r, payload: JSON.parse(r.payload) } : null;
+};
+
+// ---------- match history ----------
+// ?gametype= -> JSON list of the raw g_gametype values stored for it ('4', 'ctf' and 'CTF' are one
+// gametype; a missing one counts as FFA, like everywhere else). Unknown names match nothing.
+const gametypeValues = (gametype) => {
+  const s = String(gametype).trim().toLowerCase();
+  const gt = gametypeOf(s);
+  if (s !== gt.id && s !== String(gt.n)) return '[]';
+  const raw = cachedStmt(`SELECT DISTINCT COALESCE(gametype, '') FROM matches`).pluck().all();
+  return JSON.stringify(raw.filter(v => gametypeOf(v).id === gt.id));
+};
+
+const listMatches = ({ limit = 25, offset = 0, map, gametype, server } = {}) => {
+  const where = [];
+  const args = [];
+  if (server != null)   { where.push('m.server_id = ?'); args.push(String(server)); }
+  if (map)             { where.push('m.map = ?');      args.push(String(map)); }
+  if (gametype != null) {
+    where.push(`COALESCE(m.gametype, '') IN (SELECT value FROM json_each(?))`);
+    args.push(gametypeValues(gametype));
+  }
+  const W = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) c FROM matches m ${W}`).get(...args).c;
+  const matches = db.prepare(`
+    SELECT m.id, m.server_id, m.map, m.gametype, m.hostname, m.started_at, m.ended_at, m.end_reason,
+           m.red_score, m.blue_score, m.winner,
+           (SELECT COUNT(*) FROM match_players mp WHERE mp.match_id = m.id) AS player_count,
+           (SELECT COUNT(*) FROM frags f WHERE f.match_id = m.id) AS frag_count
+    FROM matches m
+    ${W}
+    ORDER BY m.started_at DESC, m.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...args, limit, offset).map((m) => {
+    const gt = gametypeOf(m.gametype);
+    return { ...m, gametype: gt.id, gametype_label: gt.label };
+  });
+
+  return { total, limit, offset, matches };
+};
+
+const getMatchScoreboard = (matchId) => db.prepare(`
+  SELECT p.id, p.name AS name, p.is_bot, mp.score, mp.kills, mp.deaths, mp.suicides,
+         mp.teamkills, mp.team, mp.result,
+         mp.best_streak, mp.best_multikill, mp.sprees_ended, mp.ping
+  FROM match_players mp
+  JOIN players p ON p.id = mp.player_id
+  WHERE mp.match_id = ?
+  ORDER BY mp.score DESC, mp.deaths ASC
+`).all(matchId).map(r => ({ ...r, is_bot: !!r.is_bot }));
+
+// Live scoreboard for a match that hasn't been closed yet (same math as insMatchScoreboard)
+const liveMatchScoreboard = (matchId) => db.prepare(`
+  WITH k AS (SELECT killer_id AS id, COUNT(*) c FROM frags
+             WHERE match_id = @id AND killer_id <> victim_id AND teamkill = 0 GROUP BY killer_id),
+       t AS (SELECT killer_id AS id, COUNT(*) c FROM frags
+             WHERE match_id = @id AND teamkill = 1 GROUP BY killer_id),
+       d AS (SELECT victim_id AS id, COUNT(*) c FROM frags WHERE match_id = @id GROUP BY victim_id),
+       s AS (SELECT victim_id AS id, COUNT(*) c FROM frags
+             WHERE match_id = @id AND (killer_id IS NULL OR killer_id = victim_id) GROUP BY victim_id),
+       ids AS (SELECT player_id AS id FROM match_players WHERE match_id = @id
+               UNION SELECT id FROM k UNION SELECT id FROM d)
+  SELECT p.id, p.name AS name, p.is_bot,
+         COALESCE(mp.reported_score, COALESCE(k.c,0) - COALESCE(s.c,0) - COALESCE(t.c,0)) AS score,
+         COALESCE(k.c,0) AS kills,
+         COALESCE(d.c,0) AS deaths,
+         COALESCE(s.c,0) AS suicides,
+         COALESCE(t.c,0) AS teamkills,
+         mp.team,
+         NULL AS result,
+         COALESCE(mp.best_streak,0) AS best_streak,
+         COALESCE(mp.best_multikill,0) AS best_multikill,
+         COALESCE(mp.sprees_ended,0) AS sprees_ended,
+         mp.ping
+  FROM ids
+  JOIN players p ON p.id = ids.id
+  LEFT JOIN match_players mp ON mp.match_id = @id AND mp.player_id = p.id
+  LEFT JOIN k ON k.id = p.id
+  LEFT JOIN t ON t.id = p.id
+  LEFT JOIN d ON d.id = p.id
+  LEFT JOIN s ON s.id = p.id
+  ORDER BY score DESC, deaths ASC
+`).all({ id: matchId }).map(r => ({ ...r, is_bot: !!r.is_bot }));
+
+const getMatch = (matchId, { withFrags = true } = {}) => {
+  matchId = Number(matchId);
+  if (!matchId) return null;
+  const match = selMatchById.get(matchId);
+  if (!match) return null;
+
+  const scoreboard = match.ended_at == null ? liveMatchScoreboard(matchId) : getMatchScoreboard(matchId);
+  const awards = new Map();
+  for (const a of db.prepare(`
+    SELECT player_id, award, COUNT(*) AS c FROM awards WHERE match_id = ? GROUP BY player_id, award
+  `).all(matchId)) {
+    awards.set(a.player_id, { ...awards.get(a.player_id), [a.award]: a.c });
+  }
+  for (const row of scoreboard) row.awards = awards.get(row.id) || {};
+
+  // Team gametypes: per-team totals (live ones derived the same way settleMatch does on close)
+  const gt = gametypeOf(match.gametype);
+  let teams;
+  if (gt.team) {
+    const live = match.red_score == null || match.blue_score == null ? deriveTeamScores(matchId, gt) : null;
+    const team = (name) => {
+      const rows = scoreboard.filter(r => r.team === name);
+      return {
+        score: live ? live[name] : match[`${name}_score`],
+        players: rows.map(r => r.id),
+        kills: rows.reduce((n, r) => n + r.kills, 0),
+        deaths: rows.reduce((n, r) => n + r.deaths, 0),
+        teamkills: rows.reduce((n, r) => n + r.teamkills, 0),
+      };
+    };
+    teams = { red: team('red'), blue: team('blue') };
+  }
+  const flags = gt.flags
+    ? db.prepare(`
+        SELECT f.ts, f.player_id, p.name, f.team, f.flag, f.action
+        FROM flag_events f JOIN players p ON p.id = f.player_id
+        WHERE f.match_id = ? ORDER BY f.ts, f.id
+      `).all(matchId)
+    : undefined;
+  const rounds = gt.rounds
+    ? db.prepare(`SELECT ts, round, winner FROM rounds WHERE match_id = ? ORDER BY ts, id`).all(matchId)
+    : undefined;
+  const frags = withFrags
+    ? db.prepare(`
+        SELECT f.id, f.ts, f.mod,
+               f.killer_id, k.name AS killer_name,
+               f.victim_id, v.name AS victim_name,
+               f.teamkill
+        FROM frags f
+        LEFT JOIN players k ON k.id = f.killer_id
+        JOIN players v ON v.id = f.victim_id
+        WHERE f.match_id = ?
+        ORDER BY f.ts, f.id
+      `).all(matchId).map(r => ({ ...r, teamkill: !!r.teamkill }))
+    : undefined;
+
+  return {
+    id: match.id,
+    map: match.map,
+    gametype: match.gametype,
+    gametype_id: gt.id,
+    gametype_label: gt.label,
+    hostname: match.hostname,
+    started_at: match.started_at,
+    ended_at: match.ended_at,
+    end_reason: match.end_reason,
+    server_id: match.server_id,
+    live: match.ended_at == null && match.id === getCurrentMatchId(match.server_id),
+    winner: match.winner,
+    teams,
+    scoreboard,
+    flags,
+    rounds,
+    frags,
+  };
+};
+
+// How a match unfolded, rebuilt from its frags and sessions (FFA scoring, as insMatchScoreboard):
+//   kills:    every frag in order, with the weapon and the score change it caused
+//   presence: joins (ClientBegin, else connect) and leaves of the match's client sessions
+//   leads:    each time a different player became the sole leader
+//   curves:   per-player cumulative score at the end of every bucketMs bucket from the start
+//             (null before the player's first join or frag)
+// Times are ms since epoch (ts) plus ms into the match (t). An open match runs up to `now`.
+// Names are the alias a player used at the time of the frag when known.
+const TIMELINE_MAX_BUCKETS = 1000;
+
+const getMatchTimeline = (matchId, { bucketMs = null, now = Date.now() } = {}) => {
+  const match = selMatchById.get(Number(matchId));
+  if (!match) return null;
+  const start = match.started_at;
+
+  const frags = db.prepare(`
+    SELECT f.id, f.ts, f.mod, f.teamkill,
+           f.killer_id, COALESCE(ka.name, k.name) AS killer,
+           f.victim_id, COALESCE(va.name, v.name) AS victim
+    FROM frags f
+    LEFT JOIN players k ON k.id = f.killer_id
+    LEFT JOIN player_aliases ka ON ka.id = f.killer_alias_id
+    JOIN players v ON v.id = f.victim_id
+    LEFT JOIN player_aliases va ON va.id = f.victim_alias_id
+    WHERE f.match_id = ?
+    ORDER BY f.ts, f.id
+  `).all(match.id);
+
+  const sessions = db.prepare(`
+    SELECT s.player_id, p.name, s.client_id, COALESCE(s.began_at, s.connected_at) AS joined_at,
+           s.ended_at, s.end_reason
+    FROM sessions s JOIN players p ON p.id = s.player_id
+    WHERE s.match_id = ?
+    ORDER BY joined_at, s.id
+  `).all(match.id);
+
+  const presence = sessions.flatMap(s => [
+    { type: 'join', ts: s.joined_at, t: s.joined_at - start, player_id: s.player_id, name: s.name, client_id: s.client_id },
+    ...(s.ended_at != null ? [{ type: 'leave', ts: s.ended_at, t: s.ended_at - start, player_id: s.player_id,
+      name: s.name, client_id: s.client_id, reason: s.end_reason }] : []),
+  ]).sort((a, b) => a.ts - b.ts);
+
+  const end = match.ended_at ?? Math.max(now, frags.length ? frags[frags.length - 1].ts : start);
+  const duration = Math.max(0, end - start);
+  let step = Number(bucketMs) > 0 ? Number(bucketMs) : Math.max(5000, Math.ceil(duration / 100 / 1000) * 1000);
+  if (duration / step > TIMELINE_MAX_BUCKETS) step = Math.ceil(duration / TIMELINE_MAX_BUCKETS);
+  const bucketCount = Math.max(1, Math.ceil(duration / step));
+
+  const players = new Map(); // id -> { id, name, score, kills, deaths, curve[], from }
+  const seat = (id, name, ts) => {
+    if (!players.has(id)) {
+      players.set(id, { id, name, score: 0, kills: 0, deaths: 0, curve: new Array(bucketCount).fill(null), from: ts });
+    }
+    return players.get(id);
+  };
+  for (const s of sessions) seat(s.player_id, s.name, s.joined_at);
+
+  const kills = [];
+  const leads = [];
+  let leader = null;
+  let bucket = 0;
+  const fill = (upTo) => {
+    for (; bucket < Math.min(upTo, bucketCount); bucket++) {
+      const bucketEnd = start + (bucket + 1) * step;
+      for (const p of players.values()) if (p.from < bucketEnd) p.curve[bucket] = p.score;
+    }
+  };
+
+  for (const f of frags) {
+    fill(Math.floor((f.ts - start) / step));
+    const suicide = f.killer_id == null || f.killer_id === f.victim_id;
+    const victim = seat(f.victim_id, f.victim, f.ts);
+    victim.deaths++;
+    // exactly one score moves: the victim's on a suicide/world death, the killer's otherwise
+    const scorer = suicide ? victim : seat(f.killer_id, f.killer, f.ts);
+    const delta = !suicide && !f.teamkill ? 1 : -1;
+    scorer.score += delta;
+    if (delta > 0) scorer.kills++;
+    kills.push({
+      ts: f.ts, t: f.ts - start,
+      killer_id: f.killer_id, killer: f.killer, victim_id: f.victim_id, victim: f.victim,
+      mod: f.mod, weapon: weapons.groupOfMod(f.mod).id, teamkill: !!f.teamkill, suicide,
+      scorer_id: scorer.id, score_delta: delta, score: scorer.score,
+    });
+
+    // sole leader only: a tie at the top isn't a lead change
+    const ranked = [...players.values()].sort((a, b) => b.score - a.score);
+    const top = ranked[0];
+    if (top && (ranked.length === 1 || ranked[1].score < top.score) && top.id !== leader) {
+      leads.push({ ts: f.ts, t: f.ts - start, player_id: top.id, name: top.name, score: top.score, previous_id: leader });
+      leader = top.id;
+    }
+  }
+  fill(bucketCount);
+
+  return {
+    id: match.id,
+    server_id: match.server_id,
+    map: match.map,
+    gametype: match.gametype,
+    started_at: start,
+    ended_at: match.ended_at,
+    live: match.ended_at == null && match.id === getCurrentMatchId(match.server_id),
+    duration_ms: duration,
+    bucket_ms: step,
+    buckets: Array.from({ length: bucketCount }, (_, i) => Math.min(start + (i + 1) * step, end)),
+    players: [...players.values()]
+      .sort((a, b) => b.score - a.score || a.deaths - b.deaths)
+      .map(({ from: _from, ...p }) => p),
+    leads,
+    kills,
+    presence,
+  };
+};
+
+// ---------- data export ----------
+// Keyset pages for /api/export: rows with id > after (and <= last), oldest first, so a dump can be
+// resumed from the last id it saw. since/until are ms (until exclusive).
+const ISO_TIME = (col) => `strftime('%Y-%m-%dT%H:%M:%fZ', ${col} / 1000.0, 'unixepoch')`;
+
+// player: frags where they are killer or victim; mods: weapons.js group mods; map: matches.map
+const exportFrags = ({ after = 0, last = null, limit = 1000, since, until, player, mods, map, server = null } = {}) => {
+  const where = ['f.id > @after'];
+  const args = { after: Number(after) || 0, limit };
+  if (last != null)   { where.push('f.id <= @last');        args.last = Number(last); }
+  if (since)          { where.push('f.ts >= @since');       args.since = Number(since); }
+  if (until)          { where.push('f.ts < @until');        args.until = Number(until); }
+  if (server != null) { where.push('f.server_id = @server'); args.server = String(server); }
+  if (player != null) { where.push('(f.killer_id = @player OR f.victim_id = @player)'); args.player = Number(player); }
+  if (map)            { where.push('m.map = @map COLLATE NOCASE'); args.map = String(map); }
+  if (mods) {
+    where.push(`f.mod IN (${mods.map((_, i) => `@mod${i}`).join(',')})`);
+    mods.forEach((m, i) => { args[`mod${i}`] = m; });
+  }
+  return cachedStmt(`
+    SELECT f.id, f.ts, ${ISO_TIME('f.ts')} AS time, f.server_id, f.match_id, m.map,
+           f.killer_id, k.name AS killer, f.victim_id, v.name AS victim, f.mod, f.teamkill
+    FROM frags f
+    LEFT JOIN matches m ON m.id = f.match_id
+    LEFT JOIN players k ON k.id = f.killer_id
+    JOIN players v ON v.id = f.victim_id
+    WHERE ${where.join(' AND ')}
+    ORDER BY f.id
+    LIMIT @limit
+  `).all(args).map(r => ({ ...r, weapon: weapons.groupOfMod(r.mod).id, teamkill: r.teamkill ? 1 : 0 }));
+};
+
+const exportMatches = ({ after = 0, last = null, limit = 1000, since, until, map, gametype, server = null } = {}) => {
+  const where = ['m.id > @after'];
+  const args = { after: Number(after) || 0, limit };
+  if (last != null)     { where.push('m.id <= @last');           args.last = Number(last); }
+  if (since)            { where.push('m.started_at >= @since');  args.since = Number(since); }
+  if (until)            { where.push('m.started_at < @until');   args.until = Number(until); }
+  if (server != null)   { where.push('m.server_id = @server');   args.server = String(server); }
+  if (map)              { where.push('m.map = @map COLLATE NOCASE'); args.map = String(map); }
+  if (gametype != null) {
+    where.push(`COALESCE(m.gametype, '') IN (SELECT value FROM json_each(@gametypes))`);
+    args.gametypes = gametypeValues(gametype);
+  }
+  return cachedStmt(`
+    SELECT m.id, m.server_id, m.map, m.gametype, m.hostname,
+           m.started_at, ${ISO_TIME('m.started_at')} AS started,
+           m.ended_at, CASE WHEN m.ended_at IS NOT NULL THEN ${ISO_TIME('m.ended_at')} END AS ended,
+           m.end_reason, m.red_score, m.blue_score, m.winner,
+           (SELECT COUNT(*) FROM match_players mp WHERE mp.match_id = m.id) AS player_count,
+           (SELECT COUNT(*) FROM frags f WHERE f.match_id = m.id) AS frag_count
+    FROM matches m
+    WHERE ${where.join(' AND ')}
+    ORDER BY m.id
+    LIMIT @limit
+  `).all(args);
+};
 
 // ---------- exports ----------
 module.exports = {
@@ -420,9 +3470,77 @@ module.exports = {
   getPlayerTotals,
   mostKilled,
   killedBy,
+  headToHead,
+  mapStats,
+  getMapStats,
+  getPlayerMaps,
   ladder,
   sparkline24h,
   getPlayerProfile,
+  ratingHistory,
+  getPlayerStreaks,
+  getPlayerAwards,
+  getPlayerItems,
+  getPlayerActivity,
+  getPlayerPresence,
+  getPlayerAchievements,
+  listAchievements,
+  recordStatusSample,
+  serverHistory,
+  logAdminAction,
+  getLogOffset,
+  rebuildRollups,
+  rollupsBuiltOnOpen,
+  checkRollups,
+  saveLogOffset,
+  listLogFiles,
+  addLogFile,
+  extendLogFile,
+  getMatchStart,
+  getMatchEnd,
+  checkWritable,
+  listAdminAudit,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  activeWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  enqueueWebhookDelivery,
+  dueWebhookDeliveries,
+  pendingWebhookDelivery,
+  recordWebhookAttempt,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  listBotNames,
+  addBotName,
+  removeBotName,
+  setBotOverride,
+  listBotOverrides,
+  getPlayerRecord,
+  getPlayerWeapons,
+  weaponStats,
+  weaponLadder,
+  createSeason,
+  deleteSeason,
+  listSeasons,
+  getSeason,
+  freezeEndedSeasons,
+  seasonStandings,
   sinceMs,
+  openMatch,
+  closeMatch,
+  getCurrentMatchId,
+  detachCurrentMatch,
+  claimUntaggedRows,
+  getPlayerAliases,
+  mergePlayers,
+  splitPlayer,
+  listMatches,
+  getMatch,
+  getMatchTimeline,
+  exportFrags,
+  exportMatches,
+  events,
 };
 
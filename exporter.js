@@ -0,0 +1,150 @@
+// exporter.js — writers for the /api/export routes: CSV, JSON and NDJSON
+// Rows are flat objects; `columns` fixes the CSV header (NDJSON/JSON carry each row as is).
+// Big tables are read in keyset pages (id > cursor) rather than with one open iterator: better-sqlite3
+// refuses every other query on the connection while an iterator is live, and the log follower
+// keeps writing while a slow client downloads.
+
+const FORMATS = {
+  json:   'application/json; charset=utf-8',
+  csv:    'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+const BY_TYPE = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+};
+
+const PAGE_ROWS = 2000;    // rows per query while streaming
+const DEFAULT_LIMIT = 1000; // page size when the caller pages (JSON, ?limit=, ?cursor=, Range)
+const MAX_LIMIT = 50000;
+
+// ?format= wins, then the Accept header; json by default. null = unsupported format.
+const formatOf = (req) => {
+  const q = String(req.query.format || '').toLowerCase();
+  if (q) return FORMATS[q] ? q : null;
+  return BY_TYPE[req.accepts(Object.keys(BY_TYPE))] || 'json';
+};
+
+// RFC 4180 cell. Text that a spreadsheet would run as a formula (=, +, -, @) gets a leading quote.
+const csvCell = (v) => {
+  if (v == null) return '';
+  if (typeof v === 'object') v = JSON.stringify(v);
+  if (typeof v !== 'string') return String(v);
+  if (/^[=+\-@\t\r]/.test(v)) v = `'${v}`;
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+};
+
+const csvLine = (columns, row) => columns.map(c => csvCell(row[c])).join(',') + '\r\n';
+const csvHeader = (columns) => columns.map(csvCell).join(',') + '\r\n';
+
+const encode = (format, rows, columns) => format === 'csv'
+  ? rows.map(r => csvLine(columns, r)).join('')
+  : rows.map(r => JSON.stringify(r) + '\n').join('');
+
+const startBody = (res, format, filename) => {
+  if (format === 'csv' && filename) res.attachment(`${filename}.csv`);
+  res.type(FORMATS[format]);
+};
+
+// Nested object -> [{ field: 'a.b.0.c', value }] (how a profile fits in a CSV)
+const flatten = (obj, prefix = '', out = []) => {
+  if (obj == null || typeof obj !== 'object') {
+    out.push({ field: prefix, value: obj });
+    return out;
+  }
+  const entries = Object.entries(obj);
+  if (!entries.length) out.push({ field: prefix, value: null });
+  for (const [k, v] of entries) flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  return out;
+};
+
+// One buffered response. meta goes next to `rows` in JSON (the other formats put paging in headers).
+const sendRows = (res, format, rows, { columns, filename, meta = {} } = {}) => {
+  startBody(res, format, filename);
+  if (format === 'json') return res.send(JSON.stringify({ ...meta, rows }));
+  res.send((format === 'csv' ? csvHeader(columns) : '') + encode(format, rows, columns));
+};
+
+// One object (a profile): JSON as is, NDJSON as one line, CSV as field,value rows
+const sendObject = (res, format, obj, { filename } = {}) => {
+  if (format === 'csv') return sendRows(res, format, flatten(obj), { columns: ['field', 'value'], filename });
+  startBody(res, format, filename);
+  res.send(JSON.stringify(obj) + (format === 'ndjson' ? '\n' : ''));
+};
+
+// "Range: <unit>=<from>-<to>" over row ids (both inclusive, either may be left out); null = no/other range
+const parseRange = (header, unit) => {
+  const m = new RegExp(`^${unit}=(\\d*)-(\\d*)$`).exec(String(header || '').replace(/\s+/g, ''));
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  const from = m[1] === '' ? 1 : Number(m[1]);
+  const to = m[2] === '' ? null : Number(m[2]);
+  return to != null && to < from ? null : { from, to };
+};
+
+// The same request with ?cursor= moved on (for Link: rel="next")
+const nextUrl = (req, cursor) => {
+  const u = new URL(req.originalUrl, 'http://localhost');
+  u.searchParams.set('cursor', String(cursor));
+  return u.pathname + u.search;
+};
+
+const waitDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Every row, page after page, honouring backpressure; stops when the client goes away
+const streamAll = async (res, format, { columns, filename, fetchPage }) => {
+  startBody(res, format, filename);
+  if (format === 'csv') res.write(csvHeader(columns));
+  let after = 0;
+  for (;;) {
+    if (res.destroyed) return;
+    const rows = fetchPage({ after, last: null, limit: PAGE_ROWS });
+    if (rows.length && !res.write(encode(format, rows, columns))) await waitDrain(res);
+    if (rows.length < PAGE_ROWS) break;
+    after = rows[rows.length - 1].id;
+  }
+  res.end();
+};
+
+// A keyset-paged table. fetchPage({ after, last, limit }) -> rows ordered by `id`.
+// CSV/NDJSON without ?limit=, ?cursor= or a Range header stream every matching row. Otherwise one page
+// is answered and the next one announced: X-Next-Cursor and Link rel="next" (plus next_cursor in JSON).
+// "Range: <unit>=A-B" narrows to ids A..B and answers 206 with the ids actually sent in Content-Range.
+const sendPaged = async (req, res, format, { unit, columns, filename, fetchPage, meta = {} }) => {
+  res.set('Accept-Ranges', unit);
+  const range = parseRange(req.headers.range, unit);
+  if (format !== 'json' && !range && req.query.limit == null && req.query.cursor == null) {
+    return streamAll(res, format, { columns, filename, fetchPage });
+  }
+
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT));
+  const cursor = Math.max(0, Number(req.query.cursor) || 0);
+  const after = range ? Math.max(cursor, range.from - 1) : cursor;
+  const rows = fetchPage({ after, last: range?.to ?? null, limit: limit + 1 });
+  const more = rows.length > limit;
+  if (more) rows.pop();
+  const next = more ? rows[rows.length - 1].id : null;
+
+  if (range) {
+    if (!rows.length) {
+      res.set('Content-Range', `${unit} */*`);
+      return res.status(416).json({ error: 'range not satisfiable' });
+    }
+    res.status(206).set('Content-Range', `${unit} ${rows[0].id}-${rows[rows.length - 1].id}/*`);
+  }
+  if (next != null) {
+    res.set('X-Next-Cursor', String(next));
+    res.links({ next: nextUrl(req, next) });
+  }
+  sendRows(res, format, rows, { columns, filename, meta: { ...meta, next_cursor: next } });
+};
+
+module.exports = { FORMATS, formatOf, csvCell, flatten, sendRows, sendObject, sendPaged };
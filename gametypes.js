@@ -0,0 +1,41 @@
+// gametypes.js — g_gametype values as logged in InitGame, and what each one means for stats
+// Numbers 0-4 are baseq3; 5+ follow excessiveplus (RTF, 1FCTF, Clan Arena, Freeze Tag, PTL).
+//   team:   players are split into red/blue, so same-team frags are teamkills
+//   flags:  CTF-style flag pickups/captures are tracked
+//   rounds: the match is decided by rounds won (RoundEnd lines), not by frags
+//   duel:   1v1, so the higher score wins and the other player loses
+
+const GAMETYPES = [
+  { n: 0, id: 'ffa',     label: 'Free For All' },
+  { n: 1, id: 'tourney', label: 'Tournament',          duel: true },
+  { n: 2, id: 'single',  label: 'Single Player' },
+  { n: 3, id: 'tdm',     label: 'Team Deathmatch',     team: true },
+  { n: 4, id: 'ctf',     label: 'Capture the Flag',    team: true, flags: true },
+  { n: 5, id: 'rtf',     label: 'Return the Flag',     team: true, flags: true },
+  { n: 6, id: '1fctf',   label: 'One Flag CTF',        team: true, flags: true },
+  { n: 7, id: 'ca',      label: 'Clan Arena',          team: true, rounds: true },
+  { n: 8, id: 'ftag',    label: 'Freeze Tag',          team: true, rounds: true },
+  { n: 9, id: 'ptl',     label: 'Protect the Leader',  team: true, rounds: true },
+].map(g => ({ team: false, flags: false, rounds: false, duel: false, ...g }));
+
+const BY_N = new Map(GAMETYPES.map(g => [g.n, g]));
+const BY_ID = new Map(GAMETYPES.map(g => [g.id, g]));
+
+// "4", 4, "ctf", "CTF" -> entry; anything unknown is treated as FFA
+const gametypeOf = (v) => {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (/^\d+$/.test(s)) return BY_N.get(Number(s)) || BY_ID.get('ffa');
+  return BY_ID.get(s) || BY_ID.get('ffa');
+};
+
+// userinfo "t" value -> team name
+const TEAMS = ['free', 'red', 'blue', 'spectator'];
+const teamOf = (t) => {
+  if (t == null || t === '') return null;
+  const s = String(t).trim().toLowerCase();
+  return /^\d+$/.test(s) ? (TEAMS[Number(s)] || null) : (TEAMS.includes(s) ? s : null);
+};
+
+const isPlayingTeam = (team) => team === 'red' || team === 'blue';
+
+module.exports = { GAMETYPES, gametypeOf, teamOf, isPlayingTeam };
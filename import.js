@@ -0,0 +1,215 @@
+// import.js — backfill ladder.db from a games.log (plain, rotated or .gz), reusing logtail's parser
+//
+//   node import.js <games.log[.gz]> [more files...] [--server <id>] [--start <date>] [--until <date>]
+//                  [--include-open] [--dry-run]
+//
+// Timestamps come from the log's own game clock ("  12:34 Kill: ..."), which restarts at 0:00 on every
+// InitGame. Matches are chained back to back starting at --start (default: file mtime minus the total
+// logged game time), or anchored to g_timestamp when the mod logs one.
+//
+// Idempotent: the file is recognised by its first bytes (the same log_files entry the live follower
+// uses, which also supplies the server when --server isn't given) and every match and line gets the
+// follower's source_key (logtail.js lineKeys), so importing the same file again, its rotated/gzipped
+// copy, or a log the follower already read never double-counts. The trailing match of a file is
+// skipped while it is still running (no ShutdownGame/Exit) unless --include-open is given, because the
+// import would close it before it's over.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+
+const { parseLine, parseGameTime, parseTimestamp, splitLines, lineKeys, identifyFile, HEAD_BYTES } = require('./logtail');
+
+/* ------------ helpers ------------ */
+
+const sha1 = (s) => crypto.createHash('sha1').update(s).digest('hex');
+
+const openStream = (file) => {
+  const raw = fs.createReadStream(file);
+  if (!/\.gz$/i.test(file)) return raw;
+  const gz = raw.pipe(zlib.createGunzip());
+  gz.on('close', () => raw.destroy());
+  return gz;
+};
+
+// { line, offset } in the order and with the byte offsets (of the uncompressed log) the follower sees them
+async function* readLines(file) {
+  let pos = 0;
+  let rest = Buffer.alloc(0);
+  const out = [];
+  const push = (line, offset) => out.push({ line, offset });
+  for await (const chunk of openStream(file)) {
+    const data = rest.length ? Buffer.concat([rest, chunk]) : chunk;
+    pos += chunk.length;
+    rest = data.subarray(splitLines(data, pos - data.length, push));
+    yield* out.splice(0);
+  }
+  splitLines(rest, pos - rest.length, push, { flush: true });
+  yield* out;
+}
+
+// The first HEAD_BYTES of the (uncompressed) log, which tell which file it is
+const readHead = async (file) => {
+  const parts = [];
+  let n = 0;
+  for await (const chunk of openStream(file)) {
+    parts.push(chunk);
+    n += chunk.length;
+    if (n >= HEAD_BYTES) break;
+  }
+  return Buffer.concat(parts).subarray(0, HEAD_BYTES);
+};
+
+const isInitGame = (line) => parseLine(line)?.type === 'InitGame';
+const isMatchEnd = (evt) => evt?.type === 'ShutdownGame' || evt?.type === 'Exit';
+
+const parseDateArg = (s) => {
+  if (s == null) return null;
+  const t = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  if (!Number.isFinite(t)) throw new Error(`bad date: ${s}`);
+  return t;
+};
+
+/* ------------ pass 1: how much game time does the file cover? ------------ */
+
+const measureFile = async (file) => {
+  let total = 0;   // seconds of all finished matches
+  let current = 0; // last game clock seen in the running match
+  for await (const { line } of readLines(file)) {
+    if (isInitGame(line)) { total += current; current = 0; }
+    const gt = parseGameTime(line);
+    if (gt != null && gt > current) current = gt;
+  }
+  return (total + current) * 1000;
+};
+
+/* ------------ pass 2: replay matches into the DB ------------ */
+
+// Group lines into matches (lines before the first InitGame form the file's prelude).
+// Yields { lines: [{ line, offset, evt }], last } where `last` marks the file's trailing match.
+async function* readMatches(file) {
+  let lines = [];
+  for await (const { line, offset } of readLines(file)) {
+    const evt = parseLine(line);
+    if (evt?.type === 'InitGame' && lines.length) {
+      yield { lines, last: false };
+      lines = [];
+    }
+    lines.push({ line, offset, evt });
+  }
+  if (lines.length) yield { lines, last: true };
+}
+
+const importFile = async (file, { start, until, server = null, includeOpen = false, dryRun = false } = {}) => {
+  const db = dryRun ? null : require('./db');
+  if (db) db.detachCurrentMatch(); // never adopt/close the live match the API is writing
+
+  const base = start != null ? start : fs.statSync(file).mtimeMs - await measureFile(file);
+  const stats = { file, server, lines: 0, events: 0, matches: 0, frags: 0, duplicates: 0, skipped: 0 };
+
+  // Which log this is: a file the follower (or an earlier import) has seen keeps its id and its server
+  const head = await readHead(file);
+  let fileId = sha1(head);
+  if (db) {
+    const files = {
+      list: () => db.listLogFiles(server),
+      add: (h) => db.addLogFile(server, h),
+      extend: (id, h) => db.extendLogFile(id, h),
+    };
+    fileId = identifyFile(files, head);
+    if (server == null) server = files.list().find(f => f.id === fileId)?.server_id || null;
+    stats.server = server;
+  }
+  const keys = lineKeys(fileId);
+
+  let clock = Math.round(base); // wall-clock ms of the current match's 0:00
+
+  for await (const { lines, last: trailing } of readMatches(file)) {
+    const init = lines[0].evt?.type === 'InitGame' ? lines[0].evt : null;
+    const hasInit = !!init;
+    const finished = lines.some(l => isMatchEnd(l.evt));
+    stats.lines += lines.length;
+
+    // Game clock for this match: g_timestamp if logged, otherwise continue where the last one ended
+    const matchStart = parseTimestamp(init?.timestamp) ?? clock;
+    let last = 0;
+
+    const events = [];
+    for (const { line, offset, evt } of lines) {
+      // Every stored line (frags, awards, pickups, chat, sessions) is keyed by its match and position
+      const sourceKey = keys(line, offset, evt);
+      const gt = parseGameTime(line);
+      if (gt != null && gt > last) last = gt;
+      if (!evt) continue;
+      if (server != null) evt.server = server;
+      evt.ts = matchStart + (gt != null ? gt : last) * 1000;
+      evt.sourceKey = sourceKey;
+      events.push(evt);
+    }
+    clock = matchStart + last * 1000;
+
+    if (hasInit && !finished && trailing && !includeOpen) {
+      stats.skipped++;
+      continue;
+    }
+
+    if (hasInit) stats.matches++;
+    for (const evt of events) {
+      if (until != null && evt.ts >= until) continue;
+      stats.events++;
+      if (!db) continue;
+      const res = db.onEvent(evt);
+      if (evt.type === 'Kill') res ? stats.frags++ : stats.duplicates++;
+    }
+    // A match cut short by a crash has no ShutdownGame; close it so its scoreboard is written
+    if (db && hasInit && !finished) db.onEvent({ type: 'ShutdownGame', ts: clock, server });
+  }
+
+  return stats;
+};
+
+/* ------------ CLI ------------ */
+
+const parseArgs = (argv) => {
+  const opts = { files: [], start: null, until: null, server: null, includeOpen: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--start') opts.start = parseDateArg(argv[++i]);
+    else if (a === '--until') opts.until = parseDateArg(argv[++i]);
+    else if (a === '--server') opts.server = argv[++i];
+    else if (a === '--include-open') opts.includeOpen = true;
+    else if (a === '--dry-run') opts.dryRun = true;
+    else opts.files.push(a);
+  }
+  return opts;
+};
+
+const main = async () => {
+  const { files, ...opts } = parseArgs(process.argv.slice(2));
+  if (!files.length) {
+    console.error(
+      'usage: node import.js <games.log[.gz]> [...] [--server <id>] [--start <date>] [--until <date>] ' +
+      '[--include-open] [--dry-run]'
+    );
+    process.exit(2);
+  }
+  // Oldest first when several rotated files are given (games.log.2.gz, games.log.1, games.log)
+  const ordered = files.slice().sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+  for (const file of ordered) {
+    const stats = await importFile(file, opts);
+    console.log(
+      `${file}${stats.server ? ` [${stats.server}]` : ''}: ${stats.lines} lines, ${stats.matches} matches, ` +
+      `${stats.frags} frags imported, ` +
+      `${stats.duplicates} already present, ${stats.skipped} running match skipped${opts.dryRun ? ' (dry run)' : ''}`
+    );
+  }
+};
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error('import failed:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { importFile };
@@ -7,46 +7,203 @@ const crypto = require('crypto');
 const db = require('./db');
 const { getStatus } = require('./status');
 const { startTail } = require('./logtail');
+const { createLiveFeed } = require('./live');
+const { createStatusPoller } = require('./poller');
+const { createMetrics } = require('./metrics');
+const { parseMasterAddress } = require('./master');
+const { createServerBrowser } = require('./scanner');
+const webhooks = require('./webhooks');
+const rcon = require('./rcon');
+const exporter = require('./exporter');
+const { loadServers } = require('./servers');
+const { gametypeOf, teamOf, isPlayingTeam } = require('./gametypes');
+const { resolveWeapon } = require('./weapons');
+const colors = require('./colors');
+const bots = require('./bots');
 
 // ---------------------------
 // Config
 // ---------------------------
-const Q3_HOST = process.env.Q3_HOST || '127.0.0.1';
-const Q3_PORT = Number(process.env.Q3_PORT || 27960);
 const API_PORT = Number(process.env.PORT || 3000);
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''; // API token (Bearer)
+// Basic-auth admins: "alice:secret,bob:hunter2" (user names land in the audit log)
+const ADMIN_USERS = new Map(
+  String(process.env.ADMIN_USERS || '').split(',').map(s => s.trim()).filter(Boolean)
+    .map(s => [s.slice(0, s.indexOf(':')), s.slice(s.indexOf(':') + 1)])
+    .filter(([u, p]) => u && p)
+);
+// neither set = admin API disabled
+const STATUS_POLL_MS = Number(process.env.STATUS_POLL_MS ?? 30000); // 0 = no background polling
+
+// Server registry (see servers.js); the first entry is the default for ?server-less requests
+const SERVERS = loadServers();
+const DEFAULT_SERVER = SERVERS[0];
+const SERVER_BY_ID = new Map(SERVERS.map(s => [s.id, s]));
+
+// Server browser (/api/servers): masters to ask ("host[:port],...", empty = only our own servers),
+// the protocol they list and the fs_game that counts as our scene
+const MASTER_SERVERS = String(process.env.MASTER_SERVERS ?? 'master.ioquake3.org:27950')
+  .split(',').map(parseMasterAddress).filter(Boolean);
+const Q3_PROTOCOL = Number(process.env.Q3_PROTOCOL || 68);
+const SCENE_GAME = process.env.SCENE_GAME || 'excessiveplus';
+const browser = createServerBrowser({
+  masters: MASTER_SERVERS,
+  extra: SERVERS,
+  protocol: Q3_PROTOCOL,
+  ttlMs: Number(process.env.BROWSER_TTL_MS || 120000),
+  scan: { concurrency: Number(process.env.SCAN_CONCURRENCY || 32), perSecond: Number(process.env.SCAN_RATE || 100) },
+});
+
+// Pre-registry rows belong to the only server there is
+if (SERVERS.length === 1 && db.claimUntaggedRows) db.claimUntaggedRows(DEFAULT_SERVER.id);
+if (db.rollupsBuiltOnOpen) console.log('built frag rollups from the stored frags');
 
 // ---------------------------
-// In-memory match state (for live deaths merge, not for storage)
+// In-memory match state per server (for live deaths merge, not for storage)
 // ---------------------------
-const ms = {
-  current: { startedAt: Date.now(), id: null, map: null, gametype: null },
-  // key = name_key (normalized), value = { deaths: number }
+const newMatchState = (server) => ({
+  server,
+  current: {
+    startedAt: Date.now(),
+    id: db.getCurrentMatchId ? db.getCurrentMatchId(server.id) : null,
+    map: null,
+    gametype: null,
+    exitReason: null, // from Exit:, announced when ShutdownGame closes the match
+  },
+  // key = name_key (normalized), value = { name, kills, deaths, score, streak }
   stats: Object.create(null),
+  // key = client slot from the log, value = raw colored name (drives join/leave/name-change events)
+  clients: Object.create(null),
+  // key = client slot, value = team (red/blue/free/spectator) from userinfo
+  teams: Object.create(null),
+  // streak/flag events db.js emitted while persisting the current tail event, published right after it
+  notables: [],
+});
+
+// key = server id
+const msByServer = Object.fromEntries(SERVERS.map(s => [s.id, newMatchState(s)]));
+
+// Live push feed (SSE + WebSocket) fed from the tail callback below
+const live = createLiveFeed({ bufferSize: Number(process.env.LIVE_BUFFER || 500) });
+
+// Prometheus metrics (GET /metrics). What the tails and the match state already count is read at
+// scrape time (see below the tail wiring); these are updated as things happen.
+const metrics = createMetrics();
+const mUdpStatus = metrics.histogram('q3_udp_status_seconds', 'getstatus round trip, answered queries only',
+  { buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5] });
+const mUdpResults = metrics.counter('q3_udp_status_requests_total', 'getstatus queries by result (ok, timeout, error)');
+const mSnapCache = metrics.counter('q3_snapshot_cache_requests_total', '/api/snapshot cache lookups by result (hit, miss)');
+const mDbWrite = metrics.histogram('q3_db_write_seconds', 'time to store one tail event, by event type',
+  { buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25] });
+
+// Sprees/multikills/flag plays/achievements are detected while db.js stores the event; queue them behind
+// the tail event that caused them
+if (db.events) {
+  const queue = (n) => {
+    const ms = msByServer[n.server];
+    if (ms) ms.notables.push(n);
+  };
+  db.events.on('streak', queue);
+  db.events.on('flag', queue);
+  db.events.on('achievement', queue);
+}
+
+// ---------------------------
+// Webhooks (see webhooks.js): a few notable things, derived from the live feed and the status poller
+// ---------------------------
+const hooks = webhooks.createWebhookDispatcher({
+  store: db,
+  pollMs: Number(process.env.WEBHOOK_POLL_MS ?? 1000),
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000),
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+  backoffMs: Number(process.env.WEBHOOK_BACKOFF_MS || 5000),
+});
+const emitHook = (event, data, opts) => {
+  try {
+    hooks.emit(event, data, opts);
+  } catch (e) {
+    console.error(`webhook ${event}:`, e.message);
+  }
+};
+
+const TOP_N = 10;
+const TOP_CHECK_MS = 2000; // frags come in bursts; look at the ladder once things settle
+let topIds = null;         // ids on the default ladder's top 10 at the last check
+let topTimer = null;
+const checkTop = () => {
+  topTimer = null;
+  const top = db.ladder(TOP_N, 0);
+  const ids = new Set(top.map(p => p.id));
+  if (topIds) {
+    top.forEach((p, i) => {
+      if (!topIds.has(p.id) && p.kills > 0) emitHook('ladder_top10', { player: { id: p.id, name: p.name }, rank: i + 1, rating: p.rating, kills: p.kills });
+    });
+  }
+  topIds = ids;
+};
+try { checkTop(); } catch (e) { console.error('ladder top 10 baseline:', e.message); }
+
+live.subscribe((evt) => {
+  const { server } = evt.data;
+  if (evt.type === 'match_end') {
+    const m = db.getMatch(evt.data.match_id, { withFrags: false });
+    if (m) {
+      emitHook('match_end', {
+        match_id: m.id, map: m.map, gametype: m.gametype_label, reason: evt.data.reason,
+        started_at: m.started_at, ended_at: m.ended_at,
+        duration_ms: m.ended_at != null ? m.ended_at - m.started_at : null,
+        winner: m.winner ?? null,
+        top: [...m.scoreboard].sort((a, b) => b.score - a.score).slice(0, 5)
+          .map(p => ({ id: p.id, name: p.name, score: p.score, kills: p.kills, deaths: p.deaths })),
+      }, { server, ts: evt.ts });
+    }
+  } else if (evt.type === 'personal_best') {
+    const map = msByServer[server]?.current.map ?? null;
+    emitHook('personal_best', { ...evt.data, map }, { server, ts: evt.ts });
+  }
+  if ((evt.type === 'kill' || evt.type === 'match_end') && !topTimer) {
+    topTimer = setTimeout(() => {
+      try { checkTop(); } catch (e) { console.error('ladder top 10 check:', e.message); }
+    }, TOP_CHECK_MS);
+    topTimer.unref();
+  }
+});
+
+// Humans (ping > 0; bots report 0) per server at the last answered poll; the first sample is the baseline
+const humansSeen = new Map();
+const notePopulation = (s) => {
+  if (!s.up) return;
+  const humans = s.players.filter(p => Number(p.ping) > 0).length;
+  const before = humansSeen.get(s.server);
+  humansSeen.set(s.server, humans);
+  if (before == null || !before === !humans) return;
+  const data = { server: s.server, name: s.info.sv_hostname || s.info.hostname || null, map: s.info.mapname || null, players: humans };
+  emitHook(humans ? 'server_populated' : 'server_emptied', data, { server: s.server, ts: s.ts });
 };
 
 // Same normalization DB uses for name_key lookups (keep storage raw; use this just for matching)
-const normalizeNameKey = (s = '') =>
-  String(s)
-    .replace(/\^x[0-9A-Fa-f]{6}/g, '')
-    .replace(/\^[0-9]/g, '')
-    .toLowerCase()
-    .normalize('NFKC')
-    .trim();
+const normalizeNameKey = colors.nameKey;
 
 // ---------------------------
 // Helpers
 // ---------------------------
-const statusWithTimeout = async (host = Q3_HOST, port = Q3_PORT, timeoutMs = 500) => {
+const statusWithTimeout = async (host = DEFAULT_SERVER.host, port = DEFAULT_SERVER.port, timeoutMs = 500) => {
+  const server = SERVERS.find(s => s.host === host && s.port === port)?.id ?? `${host}:${port}`;
+  const stop = mUdpStatus.startTimer({ server });
   try {
     const p = getStatus(host, port);
     const t = new Promise((_, rej) => setTimeout(() => rej(new Error('udp timeout')), timeoutMs));
-    return await Promise.race([p, t]);
-  } catch {
+    const status = await Promise.race([p, t]);
+    stop();
+    mUdpResults.inc({ server, result: 'ok' });
+    return status;
+  } catch (e) {
+    mUdpResults.inc({ server, result: /timeout/.test(e.message) ? 'timeout' : 'error' });
     return null;
   }
 };
 
-const mergeDeaths = (udpPlayers = [], state = ms) => {
+const mergeDeaths = (udpPlayers = [], state = msByServer[DEFAULT_SERVER.id]) => {
   const stats = state?.stats || {};
   return udpPlayers.map((p) => {
     const kills = Number(p.score || 0);
@@ -66,32 +223,308 @@ const sendJSONWithETag = (req, res, jsonString) => {
   res.type('application/json').send(jsonString);
 };
 
+// ?render=html,segments (colors.js RENDERERS: plain, html, ansi, segments) -> list of modes;
+// null when absent, undefined when a mode is unknown
+const RENDER_ERROR = `render must be a comma list of ${Object.keys(colors.RENDERERS).join(', ')}`;
+const renderParam = (req) => {
+  const list = String(req.query.render || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!list.length) return null;
+  return list.every(m => colors.RENDERERS[m]) ? [...new Set(list)] : undefined;
+};
+
+// Copy of `value` where every raw player name (name, killer, victim) also gets <key>_<mode> for each mode
+const RENDERED_KEYS = new Set(['name', 'killer', 'victim']);
+const renderNames = (value, modes) => {
+  if (!modes || !value || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(v => renderNames(v, modes));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = renderNames(v, modes);
+    if (RENDERED_KEYS.has(k) && typeof v === 'string') {
+      for (const m of modes) out[`${k}_${m}`] = colors.RENDERERS[m](v);
+    }
+  }
+  return out;
+};
+
+// ?since= / ?until= accept epoch ms or anything Date.parse understands; invalid -> undefined
+const timeParam = (v) => {
+  if (v == null || v === '') return null;
+  const t = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(String(v));
+  return Number.isFinite(t) ? t : undefined;
+};
+
+const safeEqual = (a, b) => {
+  const given = Buffer.from(String(a));
+  const want = Buffer.from(String(b));
+  return given.length === want.length && crypto.timingSafeEqual(given, want);
+};
+
+// Admin gate: "Authorization: Bearer <ADMIN_TOKEN>" or "Authorization: Basic <user:password>" (ADMIN_USERS).
+// Sets req.admin to who's acting, for the audit log.
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN && !ADMIN_USERS.size) {
+    return res.status(403).json({ error: 'admin API disabled (set ADMIN_TOKEN or ADMIN_USERS)' });
+  }
+  const m = /^(Bearer|Basic)\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (m && /^bearer$/i.test(m[1]) && ADMIN_TOKEN && safeEqual(m[2].trim(), ADMIN_TOKEN)) {
+    req.admin = 'token';
+    return next();
+  }
+  if (m && /^basic$/i.test(m[1])) {
+    const decoded = Buffer.from(m[2].trim(), 'base64').toString('utf8');
+    const i = decoded.indexOf(':');
+    const user = i > 0 ? decoded.slice(0, i) : '';
+    if (ADMIN_USERS.has(user) && safeEqual(decoded.slice(i + 1), ADMIN_USERS.get(user))) {
+      req.admin = user;
+      return next();
+    }
+  }
+  if (ADMIN_USERS.size) res.set('WWW-Authenticate', 'Basic realm="q3 ladder admin"');
+  res.status(401).json({ error: 'unauthorized' });
+};
+
+// Write an admin_audit row for this request; auditing must never break the action itself.
+// Routes pass the args worth keeping explicitly, so a request body never lands in the log as-is.
+const audit = (req, entry) => {
+  try {
+    db.logAdminAction({ actor: req.admin, ip: req.ip, ...entry });
+  } catch (e) {
+    console.error('audit log error:', e.message);
+  }
+};
+
+// ?server=<id> -> registry entry. Missing -> fallback (default server, or null = all servers);
+// unknown id -> undefined so routes can 404.
+const serverFromQuery = (req, fallback = DEFAULT_SERVER) => {
+  const id = req.query.server;
+  if (id == null || id === '') return fallback;
+  if (id === 'all' && fallback === null) return null;
+  return SERVER_BY_ID.get(String(id));
+};
+
 // ---------------------------
-// Tail wiring → persist to DB + keep a tiny deaths overlay in memory
+// Tail wiring → persist to DB + keep a tiny score overlay in memory + push to the live feed
 // ---------------------------
-startTail((e) => {
+const statSlot = (ms, name) => {
+  const key = normalizeNameKey(name);
+  if (!key) return null;
+  const slot = (ms.stats[key] = ms.stats[key] || { name, kills: 0, deaths: 0, score: 0, streak: 0 });
+  slot.name = name;
+  return slot;
+};
+
+// Same-team frag in a team gametype (the slot teams come from userinfo)
+const isTeamkill = (ms, e) => {
+  if (!gametypeOf(ms.current.gametype).team) return false;
+  const kt = ms.teams[e?.killer?.clientId];
+  return isPlayingTeam(kt) && kt === ms.teams[e?.victim?.clientId];
+};
+
+// Kill -> updated in-memory slots (FFA scoring: +1 frag, -1 suicide/world death/teamkill;
+// streak = frags this life)
+const trackKill = (ms, e) => {
+  const killerName = e?.killer?.name || '';
+  const victimName = e?.victim?.name || '';
+  const world = killerName === '<world>' || !killerName;
+  const suicide = world || normalizeNameKey(killerName) === normalizeNameKey(victimName);
+  const teamkill = !suicide && isTeamkill(ms, e);
+
+  const changed = [];
+  const victim = statSlot(ms, victimName);
+  if (victim) {
+    victim.deaths++;
+    victim.streak = 0;
+    if (suicide) victim.score--;
+    changed.push(victim);
+  }
+  if (teamkill) {
+    const killer = statSlot(ms, killerName);
+    if (killer) {
+      killer.score--;
+      changed.push(killer);
+    }
+  } else if (!suicide) {
+    const killer = statSlot(ms, killerName);
+    if (killer) {
+      killer.kills++;
+      killer.score++;
+      killer.streak++;
+      changed.push(killer);
+    }
+  }
+  return changed;
+};
+
+// Tail event -> typed live events (kill, scoreboard, award, chat, round_end, join, leave, name_change,
+// match_start, match_end); db.js-detected spree, multikill, spree_end and flag events follow it
+const publishLive = (ms, e, { prevMatchId, scoreDelta }) => {
+  const ts = e.ts || Date.now();
+  const server = ms.server.id;
+  switch (e.type) {
+    case 'InitGame':
+      live.publish('match_start', {
+        server, match_id: ms.current.id, map: e.map || null, gametype: e.gametype || null, hostname: e.hostname || null,
+      }, ts);
+      return;
+
+    case 'ShutdownGame':
+    case 'Exit':
+      // Exit only notes the reason (final scores follow it); whichever line closes the match announces it
+      if (prevMatchId != null && ms.current.id == null) {
+        live.publish('match_end', { server, match_id: prevMatchId, reason: ms.current.exitReason || e.reason || e.type }, ts);
+        ms.current.exitReason = null;
+      }
+      return;
+
+    case 'Award':
+      live.publish('award', { server, match_id: ms.current.id, client_id: e.clientId, name: e.name, award: e.award }, ts);
+      return;
+
+    case 'Say':
+      live.publish('chat', { server, match_id: ms.current.id, name: e.name, team: !!e.team, message: e.message }, ts);
+      return;
+
+    case 'ClientUserinfoChanged': {
+      const prev = ms.clients[e.clientId];
+      ms.clients[e.clientId] = e.name;
+      if (prev == null) live.publish('join', { server, client_id: e.clientId, name: e.name }, ts);
+      else if (prev !== e.name) {
+        live.publish('name_change', { server, client_id: e.clientId, old_name: prev, name: e.name }, ts);
+      }
+      return;
+    }
+
+    case 'ClientDisconnect': {
+      const name = ms.clients[e.clientId] ?? null;
+      delete ms.clients[e.clientId];
+      live.publish('leave', { server, client_id: e.clientId, name }, ts);
+      return;
+    }
+
+    case 'Kill':
+      live.publish('kill', {
+        server,
+        match_id: ms.current.id,
+        killer: e?.killer?.name || null,
+        victim: e?.victim?.name || null,
+        mod: e.mod || null,
+        teamkill: isTeamkill(ms, e),
+      }, ts);
+      if (scoreDelta?.length) {
+        live.publish('scoreboard', {
+          server,
+          match_id: ms.current.id,
+          players: scoreDelta.map(({ name, kills, deaths, score, streak }) => ({ name, kills, deaths, score, streak })),
+        }, ts);
+      }
+      return;
+
+    case 'RoundEnd':
+      live.publish('round_end', { server, match_id: ms.current.id, round: e.round ?? null, winner: e.winner || null }, ts);
+      return;
+
+    default:
+      return;
+  }
+};
+
+// Publish whatever db.js detected while storing the event (see db.events)
+const flushNotables = (ms) => {
+  for (const { type, server, ts, ...data } of ms.notables.splice(0)) live.publish(type, { server, ...data }, ts);
+};
+
+const onTailEvent = (ms) => (e) => {
   try {
+    const prevMatchId = ms.current.id;
+    let scoreDelta = null;
+
     if (e.type === 'InitGame') {
-      // Reset in-memory deaths overlay and note match metadata
+      // Reset in-memory overlay and note match metadata
       ms.stats = Object.create(null);
+      ms.clients = Object.create(null);
+      ms.teams = Object.create(null);
       ms.current.startedAt = e.ts || Date.now();
       ms.current.map = e.map || null;
       ms.current.gametype = e.gametype || null;
+      ms.current.exitReason = null;
+    } else if (e.type === 'Exit') {
+      ms.current.exitReason = e.reason || 'Exit';
+    } else if (e.type === 'ClientUserinfoChanged') {
+      ms.teams[e.clientId] = teamOf(e.team);
     } else if (e.type === 'Kill' && !e._seed) {
-      // Track deaths in-memory by normalized key for live KD
-      const victimName = e?.victim?.name || '';
-      const vKey = normalizeNameKey(victimName);
-      if (vKey) {
-        const slot = (ms.stats[vKey] = ms.stats[vKey] || { deaths: 0 });
-        slot.deaths++;
-      }
+      scoreDelta = trackKill(ms, e);
     }
 
-    // Persist everything authoritative to the DB (players, frags, models, bots, suicides, etc.)
-    if (db?.onEvent) db.onEvent(e, ms);
+    // Persist everything authoritative to the DB (players, frags, models, bots, suicides, matches, etc.)
+    if (db?.onEvent) {
+      const stop = mDbWrite.startTimer({ type: e.type });
+      db.onEvent(e, ms);
+      stop();
+    }
+    if (db?.getCurrentMatchId) ms.current.id = db.getCurrentMatchId(ms.server.id);
+
+    publishLive(ms, e, { prevMatchId, scoreDelta });
+    flushNotables(ms);
   } catch (err) {
-    console.error('onTailEvent error:', err);
+    console.error(`onTailEvent error [${ms.server.id}]:`, err);
   }
+};
+
+// key = server id (servers without a log have no tail)
+const tails = new Map();
+for (const s of SERVERS) {
+  if (!s.log) continue;
+  tails.set(s.id, startTail(onTailEvent(msByServer[s.id]), {
+    logPath: s.log,
+    server: s.id,
+    // resume where the last run stopped (see logtail.js)
+    offsets: {
+      load: () => db.getLogOffset(s.id),
+      save: (o) => db.saveLogOffset(s.id, o),
+      files: {
+        list: () => db.listLogFiles(s.id),
+        add: (h) => db.addLogFile(s.id, h),
+        extend: (id, h) => db.extendLogFile(id, h),
+      },
+      matchStart: (key) => db.getMatchStart(key),
+      matchEnd: (key) => db.getMatchEnd(key),
+    },
+  }));
+}
+
+// Scrape-time metrics: follower counters and the in-memory match state
+const perTail = (fn) => () => [...tails].flatMap(([server, t]) => fn(server, t.stats(), t));
+metrics.counter('q3_tail_lines_total', 'log lines read', {
+  collect: perTail((server, st) => [{ labels: { server }, value: st.lines }]),
+});
+metrics.counter('q3_tail_events_total', 'log lines parsed into events, by event type', {
+  collect: perTail((server, st) => Object.entries(st.events).map(([type, value]) => ({ labels: { server, type }, value }))),
+});
+metrics.counter('q3_tail_unparsed_lines_total', 'log lines no parser recognised', {
+  collect: perTail((server, st) => [{ labels: { server }, value: st.unparsed }]),
+});
+metrics.counter('q3_tail_errors_total', 'lines that threw while parsing (stage=parse) or being stored (stage=handler)', {
+  collect: perTail((server, st) => Object.entries(st.errors).map(([stage, value]) => ({ labels: { server, stage }, value }))),
+});
+metrics.counter('q3_tail_reopens_total', 'times the follower reopened the log, by reason (rotate, truncate, error)', {
+  collect: perTail((server, st) => Object.entries(st.reopens).map(([reason, value]) => ({ labels: { server, reason }, value }))),
+});
+metrics.gauge('q3_tail_up', '1 while the follower is polling the log without errors', {
+  collect: perTail((server, _st, t) => [{ labels: { server }, value: t.alive() ? 1 : 0 }]),
+});
+metrics.gauge('q3_players', 'clients connected according to the log', {
+  collect: () => SERVERS.map(s => ({ labels: { server: s.id }, value: Object.keys(msByServer[s.id].clients).length })),
+});
+metrics.gauge('q3_match_age_seconds', 'seconds since the current match started (absent between matches)', {
+  collect: () => SERVERS.filter(s => msByServer[s.id].current.id != null).map(s => ({
+    labels: { server: s.id },
+    value: Math.round((Date.now() - msByServer[s.id].current.startedAt) / 1000),
+  })),
+});
+metrics.gauge('process_resident_memory_bytes', 'resident set size', { collect: () => process.memoryUsage().rss });
+metrics.gauge('process_start_time_seconds', 'process start, unix time', {
+  collect: () => Math.round(Date.now() / 1000 - process.uptime()),
 });
 
 // ---------------------------
@@ -106,44 +539,201 @@ app.use(express.json());
 // Routes
 // ---------------------------
 
-// Health
-app.get('/health', (_req, res) => res.json({ ok: true }));
+// Readiness checks: the DB takes writes, every tail is polling its log and every server answers getstatus
+const readiness = async () => {
+  const tail = Object.fromEntries([...tails].map(([id, t]) => [id, { ok: t.alive(), ...t.position() }]));
+  const udp = Object.fromEntries(await Promise.all(SERVERS.map(async (s) => {
+    const status = await statusWithTimeout(s.host, s.port);
+    return [s.id, { ok: !!status, map: status?.info?.mapname || null }];
+  })));
+  const checks = {
+    db: db.checkWritable(),
+    tail: { ok: Object.values(tail).every(t => t.ok), servers: tail },
+    udp: { ok: Object.values(udp).every(u => u.ok), servers: udp },
+  };
+  return { ready: checks.db.ok && checks.tail.ok && checks.udp.ok, checks };
+};
+
+// Two probes over the same checks:
+//   /health  liveness: always 200 while the process serves ({ ok: true }), with the readiness checks in the
+//            body for dashboards ({ ready, checks }), so a game server that stops answering never gets the
+//            API restarted
+//   /ready   readiness gate: 200 when every check passes, 503 otherwise
+app.get('/health', async (_req, res) => {
+  try {
+    res.json({ ok: true, ...(await readiness()) });
+  } catch (e) {
+    res.json({ ok: true, ready: false, error: e.message });
+  }
+});
 
-// Raw UDP status passthrough (debug)
-app.get('/api/status', async (_req, res) => {
-  const s = await statusWithTimeout();
-  if (!s) return res.json({ ok: false, error: 'no-udp' });
-  res.json({ ok: true, ...s });
+app.get('/ready', async (_req, res) => {
+  try {
+    const { ready, checks } = await readiness();
+    res.status(ready ? 200 : 503).json({ ok: ready, checks });
+  } catch (e) {
+    res.status(503).json({ ok: false, error: e.message });
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (_req, res) => {
+  res.type(metrics.contentType).send(metrics.render());
+});
+
+// Live event stream (SSE). Reconnects send Last-Event-ID to replay buffered events.
+// WebSocket variant: ws://host/api/live/ws?types=kill,scoreboard&lastEventId=<id>
+app.get('/api/live', live.sseHandler);
+
+// Raw UDP status passthrough (debug); ?server=<id>
+app.get('/api/status', async (req, res) => {
+  const server = serverFromQuery(req);
+  if (!server) return res.status(404).json({ error: 'unknown server' });
+  const s = await statusWithTimeout(server.host, server.port);
+  if (!s) return res.json({ ok: false, server: server.id, error: 'no-udp' });
+  res.json({ ok: true, server: server.id, ...s });
+});
+
+// Population/uptime graph from the background poller; ?server=<id>&hours=24&bucket=<minutes>
+// (or ?since=&until=, ms or ISO dates)
+app.get('/api/server/history', (req, res) => {
+  const server = serverFromQuery(req);
+  if (!server) return res.status(404).json({ error: 'unknown server' });
+  const hours = Math.max(1, Math.min(Number(req.query.hours) || 24, 24 * 90));
+  const untilQ = timeParam(req.query.until);
+  const sinceQ = timeParam(req.query.since);
+  if (sinceQ === undefined || untilQ === undefined) return res.status(400).json({ error: 'bad since/until' });
+  const until = untilQ ?? Date.now();
+  const since = sinceQ ?? until - hours * 3600 * 1000;
+  // default to ~48 points across the window
+  const bucketMs = req.query.bucket ? Number(req.query.bucket) * 60000 : Math.ceil((until - since) / 48);
+  try {
+    res.json({ ...db.serverHistory(server.id, { since, until, bucketMs }), poll_ms: STATUS_POLL_MS });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Server browser for the wider scene (master servers + our own, getinfo'd in the background; see scanner.js)
+// GET /api/servers?game=<fs_game|all>&map=&empty=0&render= — fullest first, then by ping
+app.get('/api/servers', async (req, res) => {
+  const render = renderParam(req);
+  if (render === undefined) return res.status(400).json({ error: RENDER_ERROR });
+  try {
+    const game = String(req.query.game || SCENE_GAME).toLowerCase();
+    const map = req.query.map ? String(req.query.map).toLowerCase() : null;
+    const scan = await browser.list();
+    const ours = new Map(SERVERS.map(s => [`${s.host}:${s.port}`, s.id]));
+    const servers = scan.servers
+      .filter(s => game === 'all' || s.game.toLowerCase() === game)
+      .filter(s => !map || (s.map || '').toLowerCase() === map)
+      .filter(s => req.query.empty !== '0' || s.players > 0)
+      .map(s => ({ ...s, ladder_server: ours.get(s.address) ?? null }))
+      .sort((a, b) => b.players - a.players || a.ping - b.ping);
+    res.json({
+      game,
+      scanned_at: scan.scanned_at,
+      scanning: browser.scanning(),
+      masters: scan.masters,
+      unreachable: scan.unreachable,
+      servers: renderNames(servers, render),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-// Ladder (server-side)
+// Ladder (server-side); ?sort=rating ranks by Elo instead of raw kills.
+// ?server=<id> limits it to one server; without it (or with server=all) the ladder is cross-server.
+// Time window: ?days=N, or ?since=&until= (ms or ISO dates), or ?season=<slug> (a frozen season only keeps
+// its default standings: ?sort=rating, ?server= or ?includeBots=1 on one is a 400).
+// ?render=html,segments adds rendered names (name_html, name_segments) next to the raw ones.
 app.get('/api/ladder', (req, res) => {
   const limit = Math.min(Number(req.query.limit || 25), 100);
   const includeBots = req.query.includeBots === '1';
+  const sort = req.query.sort === 'rating' ? 'rating' : 'kills';
+  const server = serverFromQuery(req, null);
+  if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+  const render = renderParam(req);
+  if (render === undefined) return res.status(400).json({ error: RENDER_ERROR });
   try {
-    const players = db.ladder(limit, 0, { includeBots });
-    res.json({ players });
+    if (req.query.season) {
+      const standings = db.seasonStandings(req.query.season, { limit, includeBots, sort, server: server?.id ?? null });
+      if (!standings) return res.status(404).json({ error: 'season not found' });
+      if (standings.error) return res.status(400).json({ error: standings.error });
+      return res.json({ server: server?.id ?? 'all', sort, ...standings, players: renderNames(standings.players, render) });
+    }
+
+    const since = req.query.days ? db.sinceMs(Number(req.query.days)) : timeParam(req.query.since);
+    const until = timeParam(req.query.until);
+    if (since === undefined || until === undefined) {
+      return res.status(400).json({ error: 'since/until must be epoch ms or a date' });
+    }
+    const players = db.ladder(limit, 0, { includeBots, sort, server: server?.id ?? null, since, until });
+    res.json({ server: server?.id ?? 'all', sort, since, until, players: renderNames(players, render) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Weapon usage across the scene: ?days=&server=&includeBots=1
+app.get('/api/weapons', (req, res) => {
+  const server = serverFromQuery(req, null);
+  if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+  try {
+    const weapons = db.weaponStats({
+      since: db.sinceMs(Number(req.query.days) || 0),
+      server: server?.id ?? null,
+      includeBots: req.query.includeBots === '1',
+    });
+    res.json({ server: server?.id ?? 'all', weapons });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Weapon leaderboard: /api/ladder/weapon/rocket (or MOD_ROCKET / MOD_ROCKET_SPLASH)
+app.get('/api/ladder/weapon/:mod', (req, res) => {
+  const limit = Math.min(Number(req.query.limit || 25), 100);
+  const server = serverFromQuery(req, null);
+  if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+  try {
+    const board = db.weaponLadder(req.params.mod, {
+      limit,
+      since: db.sinceMs(Number(req.query.days) || 0),
+      server: server?.id ?? null,
+      includeBots: req.query.includeBots === '1',
+    });
+    if (!board) return res.status(404).json({ error: 'unknown weapon' });
+    res.json({ server: server?.id ?? 'all', ...board });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Snapshot (home page: live status + current match players + ladder)
+// Snapshot (home page: live status + current match players + ladder); ?server=<id>&render=
 let SNAP_CACHE = { key: '', at: 0, etag: '', json: '' };
 
 app.get('/api/snapshot', async (req, res) => {
   try {
+    const server = serverFromQuery(req);
+    if (!server) return res.status(404).json({ error: 'unknown server' });
+    const ms = msByServer[server.id];
     const limit = Math.min(Number(req.query.limit || 25), 100);
     const includeBots = req.query.includeBots === '1';
-    const key = `${limit}|${includeBots}`;
+    const render = renderParam(req);
+    if (render === undefined) return res.status(400).json({ error: RENDER_ERROR });
+    const key = `${server.id}|${limit}|${includeBots}|${render || ''}`;
     const now = Date.now();
 
     // Tiny 1s local cache to calm bursts and enable 304s
     if (SNAP_CACHE.json && SNAP_CACHE.key === key && now - SNAP_CACHE.at < 1000) {
+      mSnapCache.inc({ result: 'hit' });
       return sendJSONWithETag(req, res, SNAP_CACHE.json);
     }
+    mSnapCache.inc({ result: 'miss' });
 
-    const status = await statusWithTimeout();
+    const status = await statusWithTimeout(server.host, server.port);
     const info = status?.info || {};
     const udpList = Array.isArray(status?.players) ? status.players : [];
     const merged = mergeDeaths(udpList, ms).sort((a, b) => b.kills - a.kills || b.kd - a.kd);
@@ -156,7 +746,7 @@ app.get('/api/snapshot', async (req, res) => {
       top5: merged.slice(0, 5),    // convenience
     };
 
-    const ladder = db.ladder(limit, 0, { includeBots });
+    const ladder = db.ladder(limit, 0, { includeBots, server: server.id });
 
     const live = status
       ? {
@@ -166,8 +756,15 @@ app.get('/api/snapshot', async (req, res) => {
         }
       : null;
 
-    const snapshot = { source: status ? 'udp' : 'tail', live, current_match, ladder };
-    const json = JSON.stringify(snapshot);
+    const snapshot = {
+      server: server.id,
+      servers: SERVERS.map(s => ({ id: s.id, name: s.name })),
+      source: status ? 'udp' : 'tail',
+      live,
+      current_match,
+      ladder,
+    };
+    const json = JSON.stringify(renderNames(snapshot, render));
 
     // Save cache & reply with ETag
     SNAP_CACHE = {
@@ -182,12 +779,94 @@ app.get('/api/snapshot', async (req, res) => {
   }
 });
 
+// ---------------------------
+// Match history
+// ---------------------------
+
+// GET /api/matches?limit=&offset=&map=&gametype=<ffa|ctf|...|g_gametype number>&server=
+app.get('/api/matches', (req, res) => {
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || 25, 100));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  const { map, gametype } = req.query;
+  const server = serverFromQuery(req, null);
+  if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+  try {
+    res.json(db.listMatches({ limit, offset, map, gametype, server: server?.id ?? null }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/maps?days=&server=&sort=played|recent|players|fpm (rotation overview)
+app.get('/api/maps', (req, res) => {
+  const server = serverFromQuery(req, null);
+  if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+  try {
+    const since = db.sinceMs(Number(req.query.days) || 0);
+    res.json({ maps: db.mapStats({ since, server: server?.id ?? null, sort: req.query.sort }) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/maps/:name?days=&server=&limit=&includeBots=1 (weapons and top players on one map)
+app.get('/api/maps/:name', (req, res) => {
+  const server = serverFromQuery(req, null);
+  if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+  try {
+    const since = db.sinceMs(Number(req.query.days) || 0);
+    const map = db.getMapStats(req.params.name, {
+      since,
+      server: server?.id ?? null,
+      limit: Math.max(1, Math.min(Number(req.query.limit) || 10, 100)),
+      includeBots: req.query.includeBots === '1',
+    });
+    if (!map) return res.status(404).json({ error: 'map not found' });
+    res.json(map);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/matches/:id (scoreboard + frag list)
+app.get('/api/matches/:id', (req, res) => {
+  try {
+    const match = db.getMatch(Number(req.params.id));
+    if (!match) return res.status(404).json({ error: 'match not found' });
+    res.json({ match });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/matches/:id/timeline?bucket=<seconds>&render= (score curves, lead changes, kills, joins/leaves)
+// The live match also gets what the tail holds in memory right now: connected slots and running scores.
+app.get('/api/matches/:id/timeline', (req, res) => {
+  const render = renderParam(req);
+  if (render === undefined) return res.status(400).json({ error: RENDER_ERROR });
+  try {
+    const timeline = db.getMatchTimeline(Number(req.params.id), { bucketMs: Number(req.query.bucket) * 1000 || null });
+    if (!timeline) return res.status(404).json({ error: 'match not found' });
+    const ms = timeline.live ? msByServer[timeline.server_id] : null;
+    if (ms) {
+      timeline.now = {
+        clients: Object.entries(ms.clients).map(([slot, name]) => ({ slot: Number(slot), name, team: ms.teams[slot] || null })),
+        scores: Object.values(ms.stats).map(({ name, score, kills, deaths, streak }) => ({ name, score, kills, deaths, streak }))
+          .sort((a, b) => b.score - a.score),
+      };
+    }
+    res.json({ timeline: renderNames(timeline, render) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ---------------------------
 // Player detail
 // ---------------------------
 
-// Helper: respond with computed player profile by id
-const sendPlayerById = (res, id, { days = 7, limitPairs = 10 } = {}) => {
+// Helper: respond with computed player profile by id (render: renderParam() modes)
+const sendPlayerById = (res, id, { days = 7, limitPairs = 10, render = null } = {}) => {
   try {
     if (!id) return res.status(404).json({ error: 'player not found' });
     if (!db.getPlayerProfile) {
@@ -198,38 +877,571 @@ const sendPlayerById = (res, id, { days = 7, limitPairs = 10 } = {}) => {
       limitPairs: Math.max(1, Math.min(Number(limitPairs) || 10, 50)),
     });
     if (!player) return res.status(404).json({ error: 'player not found' });
-    return res.json({ player });
+    return res.json({ player: renderNames(player, render) });
   } catch (e) {
     return res.status(500).json({ error: e.message });
   }
 };
 
 // GET /api/player?by=<name>
+// Prefer lookup by name_key; fall back to exact name match if needed
+const findPlayerByNameParam = (name) =>
+  (db.findPlayerByNameKey && db.findPlayerByNameKey(normalizeNameKey(name))) ||
+  (db.findPlayerByName && db.findPlayerByName(name)) ||
+  null;
+
 app.get('/api/player', (req, res) => {
   const { by, days = 7, limitPairs = 10 } = req.query;
   if (!by) return res.status(400).json({ error: 'provide ?by=<name>' });
+  const render = renderParam(req);
+  if (render === undefined) return res.status(400).json({ error: RENDER_ERROR });
 
-  const key = normalizeNameKey(by);
-  // Prefer lookup by name_key; fall back to exact name match if needed
-  const row =
-    (db.findPlayerByNameKey && db.findPlayerByNameKey(key)) ||
-    (db.findPlayerByName && db.findPlayerByName(by)) ||
-    null;
-
+  const row = findPlayerByNameParam(by);
   if (!row?.id) return res.status(404).json({ error: 'player not found' });
-  return sendPlayerById(res, row.id, { days: Number(days), limitPairs: Number(limitPairs) });
+  return sendPlayerById(res, row.id, { days: Number(days), limitPairs: Number(limitPairs), render });
 });
 
-// GET /api/player/:id
+// GET /api/player/:id (?render= as on /api/ladder)
 app.get('/api/player/:id', (req, res) => {
   const { id } = req.params;
   const { days = 7, limitPairs = 10 } = req.query;
-  return sendPlayerById(res, Number(id), { days: Number(days), limitPairs: Number(limitPairs) });
+  const render = renderParam(req);
+  if (render === undefined) return res.status(400).json({ error: RENDER_ERROR });
+  return sendPlayerById(res, Number(id), { days: Number(days), limitPairs: Number(limitPairs), render });
+});
+
+// GET /api/player/:id/rating?days=30&bucket=hour|day (rating-over-time series)
+const RATING_BUCKETS = { hour: 3600000, day: 86400000 };
+
+app.get('/api/player/:id/rating', (req, res) => {
+  try {
+    const player = db.getPlayer(Number(req.params.id));
+    if (!player) return res.status(404).json({ error: 'player not found' });
+    const since = db.sinceMs(Number(req.query.days) || 0);
+    const bucketMs = RATING_BUCKETS[req.query.bucket] || null;
+    const series = db.ratingHistory(player.id, { since, bucketMs });
+    res.json({ id: player.id, name: player.name, rating: Math.round(player.rating), series });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/h2h?a=<name|id>&b=<name|id>&days=30&server=<id|all>
+// A purely numeric value is tried as a player id first, then as a name.
+const findPlayerByIdOrName = (v) => {
+  const s = String(v || '').trim();
+  if (!s) return null;
+  return (/^\d+$/.test(s) && db.getPlayer(Number(s))) || findPlayerByNameParam(s);
+};
+
+app.get('/api/h2h', (req, res) => {
+  try {
+    const { a, b } = req.query;
+    if (!a || !b) return res.status(400).json({ error: 'provide ?a=<name|id>&b=<name|id>' });
+    const server = serverFromQuery(req, null);
+    if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+
+    const pa = findPlayerByIdOrName(a);
+    const pb = findPlayerByIdOrName(b);
+    if (!pa || !pb) return res.status(404).json({ error: `player not found: ${!pa ? a : b}` });
+    if (pa.id === pb.id) return res.status(400).json({ error: 'a and b are the same player' });
+
+    const since = db.sinceMs(Number(req.query.days) || 0);
+    res.json(db.headToHead(pa.id, pb.id, { since, server: server?.id ?? null }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------------------------
+// Seasons
+// ---------------------------
+
+// GET /api/seasons
+app.get('/api/seasons', (_req, res) => {
+  try {
+    res.json({ seasons: db.listSeasons() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/seasons/:slug (final standings once frozen, live otherwise)
+app.get('/api/seasons/:slug', (req, res) => {
+  const limit = Math.min(Number(req.query.limit || 100), 500);
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  try {
+    const standings = db.seasonStandings(req.params.slug, { limit, offset });
+    if (!standings) return res.status(404).json({ error: 'season not found' });
+    res.json(standings);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/seasons { slug, name, starts_at, ends_at } (ms or ISO dates)
+app.post('/api/admin/seasons', requireAdmin, (req, res) => {
+  const { slug, name, starts_at, ends_at } = req.body || {};
+  try {
+    const season = db.createSeason({ slug, name, startsAt: timeParam(starts_at), endsAt: timeParam(ends_at) });
+    audit(req, { action: 'seasons.create', target: season.slug, args: { slug, name, starts_at, ends_at }, ok: true });
+    res.status(201).json({ season });
+  } catch (e) {
+    audit(req, { action: 'seasons.create', target: slug, args: { slug, name, starts_at, ends_at }, ok: false, result: e.message });
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// DELETE /api/admin/seasons/:slug
+app.delete('/api/admin/seasons/:slug', requireAdmin, (req, res) => {
+  try {
+    const ok = !!db.deleteSeason(req.params.slug);
+    audit(req, { action: 'seasons.delete', target: req.params.slug, ok, result: ok ? null : 'season not found' });
+    if (!ok) return res.status(404).json({ error: 'season not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/achievements (every badge, how many players hold it, who got it first)
+app.get('/api/achievements', (_req, res) => {
+  try {
+    res.json({ achievements: db.listAchievements() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/player/:id/aliases (every name this identity used, newest first)
+app.get('/api/player/:id/aliases', (req, res) => {
+  try {
+    const player = db.getPlayer(Number(req.params.id));
+    if (!player) return res.status(404).json({ error: 'player not found' });
+    res.json({ id: player.id, name: player.name, aliases: db.getPlayerAliases(player.id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------------------------
+// Data export (see exporter.js): ?format=csv|json|ndjson, or an Accept header
+// ---------------------------
+const LADDER_COLUMNS = ['rank', 'id', 'name', 'kills', 'net_kills', 'deaths', 'kd', 'teamkills', 'wins', 'losses', 'draws', 'rating', 'rated_frags'];
+const FRAG_COLUMNS = ['id', 'ts', 'time', 'server_id', 'match_id', 'map', 'killer_id', 'killer', 'victim_id', 'victim', 'mod', 'weapon', 'teamkill'];
+const MATCH_COLUMNS = ['id', 'server_id', 'map', 'gametype', 'hostname', 'started_at', 'started', 'ended_at', 'ended',
+  'end_reason', 'red_score', 'blue_score', 'winner', 'player_count', 'frag_count'];
+
+// Answers 400 itself and returns null when ?format= isn't one we write
+const exportFormat = (req, res) => {
+  const format = exporter.formatOf(req);
+  if (!format) res.status(400).json({ error: `format must be one of ${Object.keys(exporter.FORMATS).join(', ')}` });
+  return format;
+};
+
+// ?days= or ?since=&until=; undefined when since/until don't parse
+const exportWindow = (req) => {
+  const since = req.query.days ? db.sinceMs(Number(req.query.days)) : timeParam(req.query.since);
+  const until = timeParam(req.query.until);
+  return since === undefined || until === undefined ? undefined : { since, until };
+};
+
+// A stream that fails halfway can't switch to a JSON error any more; cut it so the client sees a broken body
+const exportFailed = (res, e) => {
+  if (!res.headersSent) return res.status(500).json({ error: e.message });
+  console.error('export error:', e.message);
+  res.destroy();
+};
+
+// GET /api/export/ladder?format=&server=&sort=&includeBots=1&days=|since=&until=|season=&limit=
+app.get('/api/export/ladder', (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const server = serverFromQuery(req, null);
+  if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || 10000, 10000));
+  const includeBots = req.query.includeBots === '1';
+  const sort = req.query.sort === 'rating' ? 'rating' : 'kills';
+  try {
+    let players;
+    const meta = { server: server?.id ?? 'all', sort };
+    if (req.query.season) {
+      const standings = db.seasonStandings(req.query.season, { limit, includeBots, sort, server: server?.id ?? null });
+      if (!standings) return res.status(404).json({ error: 'season not found' });
+      if (standings.error) return res.status(400).json({ error: standings.error });
+      players = standings.players;
+      meta.season = standings.season.slug;
+    } else {
+      const w = exportWindow(req);
+      if (!w) return res.status(400).json({ error: 'since/until must be epoch ms or a date' });
+      players = db.ladder(limit, 0, { includeBots, sort, server: server?.id ?? null, ...w })
+        .map((r, i) => ({ rank: i + 1, ...r }));
+      Object.assign(meta, w);
+    }
+    exporter.sendRows(res, format, players, { columns: LADDER_COLUMNS, filename: 'ladder', meta });
+  } catch (e) {
+    exportFailed(res, e);
+  }
+});
+
+// GET /api/export/players/:id?format=&days=&limitPairs= — the full profile (:id may be a name)
+app.get('/api/export/players/:id', (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  try {
+    const found = findPlayerByIdOrName(req.params.id);
+    const player = found && db.getPlayerProfile(found.id, {
+      days: Number(req.query.days) || 7,
+      limitPairs: Math.max(1, Math.min(Number(req.query.limitPairs) || 10, 50)),
+    });
+    if (!player) return res.status(404).json({ error: 'player not found' });
+    exporter.sendObject(res, format, player, { filename: `player-${player.id}` });
+  } catch (e) {
+    exportFailed(res, e);
+  }
+});
+
+// GET /api/export/frags?format=&server=&player=<name|id>&weapon=&map=&days=|since=&until=
+// Paging: ?cursor=<last id>&limit=, or "Range: frags=<first id>-<last id>"; CSV/NDJSON without either stream it all.
+app.get('/api/export/frags', async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const server = serverFromQuery(req, null);
+  if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+  const w = exportWindow(req);
+  if (!w) return res.status(400).json({ error: 'since/until must be epoch ms or a date' });
+  try {
+    let player = null;
+    if (req.query.player) {
+      player = findPlayerByIdOrName(req.query.player);
+      if (!player) return res.status(404).json({ error: 'player not found' });
+    }
+    let mods = null;
+    if (req.query.weapon) {
+      mods = resolveWeapon(req.query.weapon)?.mods;
+      if (!mods) return res.status(400).json({ error: 'unknown weapon' });
+    }
+    const filter = { ...w, server: server?.id ?? null, player: player?.id ?? null, mods, map: req.query.map || null };
+    await exporter.sendPaged(req, res, format, {
+      unit: 'frags',
+      columns: FRAG_COLUMNS,
+      filename: 'frags',
+      fetchPage: (page) => db.exportFrags({ ...filter, ...page }),
+    });
+  } catch (e) {
+    exportFailed(res, e);
+  }
+});
+
+// GET /api/export/matches?format=&server=&map=&gametype=&days=|since=&until= (paged like frags, unit "matches")
+app.get('/api/export/matches', async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const server = serverFromQuery(req, null);
+  if (server === undefined) return res.status(404).json({ error: 'unknown server' });
+  const w = exportWindow(req);
+  if (!w) return res.status(400).json({ error: 'since/until must be epoch ms or a date' });
+  try {
+    const filter = { ...w, server: server?.id ?? null, map: req.query.map || null, gametype: req.query.gametype };
+    await exporter.sendPaged(req, res, format, {
+      unit: 'matches',
+      columns: MATCH_COLUMNS,
+      filename: 'matches',
+      fetchPage: (page) => db.exportMatches({ ...filter, ...page }),
+    });
+  } catch (e) {
+    exportFailed(res, e);
+  }
+});
+
+// ---------------------------
+// Admin: identity management
+// ---------------------------
+
+// POST /api/admin/players/merge { from, into } — fold one identity into another
+app.post('/api/admin/players/merge', requireAdmin, (req, res) => {
+  const { from, into } = req.body || {};
+  try {
+    const player = db.mergePlayers(Number(from), Number(into));
+    audit(req, { action: 'players.merge', target: `${from} -> ${into}`, args: { from, into }, ok: true });
+    res.json({ player });
+  } catch (e) {
+    audit(req, { action: 'players.merge', target: `${from} -> ${into}`, args: { from, into }, ok: false, result: e.message });
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/players/:id/split { aliases: [aliasId, ...], guid? } — move aliases to a new identity
+app.post('/api/admin/players/:id/split', requireAdmin, (req, res) => {
+  const { aliases, guid } = req.body || {};
+  if (!Array.isArray(aliases)) return res.status(400).json({ error: 'provide aliases: [aliasId, ...]' });
+  try {
+    const player = db.splitPlayer(Number(req.params.id), aliases, { guid });
+    audit(req, { action: 'players.split', target: `${req.params.id} -> ${player.id}`, args: { aliases, guid }, ok: true });
+    res.json({ player });
+  } catch (e) {
+    audit(req, { action: 'players.split', target: req.params.id, args: { aliases, guid }, ok: false, result: e.message });
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// GET /api/admin/bots -> the bot name registry, per-player overrides and the skill levels
+app.get('/api/admin/bots', requireAdmin, (req, res) => {
+  try {
+    res.json({ names: db.listBotNames(), overrides: db.listBotOverrides(), skills: bots.SKILLS });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/bots/names { name } — GUID-less clients by this name count as bots (unless the log says otherwise)
+app.post('/api/admin/bots/names', requireAdmin, (req, res) => {
+  const name = req.body?.name;
+  if (typeof name !== 'string' || !normalizeNameKey(name)) return res.status(400).json({ error: 'provide name' });
+  try {
+    const out = db.addBotName(name, { by: req.admin });
+    audit(req, { action: 'bots.add_name', target: out.name, args: { name }, ok: true, result: `${out.players} player(s) marked` });
+    res.status(201).json(out);
+  } catch (e) {
+    audit(req, { action: 'bots.add_name', target: name, args: { name }, ok: false, result: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /api/admin/bots/names/:name
+app.delete('/api/admin/bots/names/:name', requireAdmin, (req, res) => {
+  try {
+    const out = db.removeBotName(req.params.name);
+    audit(req, {
+      action: 'bots.remove_name', target: req.params.name, ok: !!out,
+      result: out ? `${out.players} player(s) unmarked` : 'name not registered',
+    });
+    if (!out) return res.status(404).json({ error: 'name not registered' });
+    res.json(out);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /api/admin/players/:id/bot { bot: true | false | null } — pin a player as bot/human, or null to detect again
+app.put('/api/admin/players/:id/bot', requireAdmin, (req, res) => {
+  const value = req.body?.bot;
+  if (value !== null && typeof value !== 'boolean') return res.status(400).json({ error: 'provide bot: true, false or null' });
+  try {
+    const player = db.setBotOverride(req.params.id, value);
+    audit(req, {
+      action: 'players.bot', target: req.params.id, args: { bot: value }, ok: !!player,
+      result: player ? `override ${value}` : 'player not found',
+    });
+    if (!player) return res.status(404).json({ error: 'player not found' });
+    res.json({ player });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/rollups/rebuild { players?: [id, ...] } — recompute stats rollups from raw frags
+app.post('/api/admin/rollups/rebuild', requireAdmin, (req, res) => {
+  const { players } = req.body || {};
+  try {
+    const drift = db.checkRollups().length;
+    db.rebuildRollups({ playerIds: Array.isArray(players) && players.length ? players : null });
+    audit(req, { action: 'rollups.rebuild', target: Array.isArray(players) ? players.join(',') : 'all', args: { players }, ok: true, result: `${drift} out of step` });
+    res.json({ ok: true, out_of_step: drift });
+  } catch (e) {
+    audit(req, { action: 'rollups.rebuild', args: { players }, ok: false, result: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------------------------
+// Admin: RCON
+// ---------------------------
+// Server from ?server= (default server when absent) that has an rcon password; answers the error itself
+const rconServer = (req, res) => {
+  const server = serverFromQuery(req);
+  if (!server) return void res.status(404).json({ error: 'unknown server' });
+  if (!server.rcon) return void res.status(409).json({ error: `no rcon password configured for ${server.id}` });
+  return server;
+};
+
+// GET /api/admin/rcon/players?server=<id> — connected clients with slot, ping and IP (rcon "status").
+// Audited like any rcon action, but the reply (every client's IP) stays out of the log.
+app.get('/api/admin/rcon/players', requireAdmin, async (req, res) => {
+  const server = rconServer(req, res);
+  if (!server) return;
+  try {
+    const out = await rcon.listPlayers(server);
+    audit(req, { serverId: server.id, action: 'players', command: 'status', ok: true, result: `${out.players.length} client(s)` });
+    res.json({ server: server.id, ...out });
+  } catch (e) {
+    audit(req, { serverId: server.id, action: 'players', command: 'status', ok: false, result: e.message });
+    res.status(502).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/rcon/:action?server=<id>
+//   kick { slot }  |  map { map }  |  cvar { name, value }  |  say { message }
+app.post('/api/admin/rcon/:action', requireAdmin, async (req, res) => {
+  const { action } = req.params;
+  const spec = rcon.ACTIONS[action];
+  if (!spec) return res.status(404).json({ error: `unknown action ${action}` });
+  const server = rconServer(req, res);
+  if (!server) return;
+
+  const args = req.body || {};
+  const target = spec.target(args);
+  let command;
+  try {
+    command = rcon.buildCommand(action, args);
+  } catch (e) {
+    audit(req, { serverId: server.id, action, target, args, ok: false, result: e.message });
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const reply = await rcon.send(server, command);
+    audit(req, { serverId: server.id, action, target, command, args, ok: true, result: reply });
+    res.json({ ok: true, server: server.id, action, reply });
+  } catch (e) {
+    audit(req, { serverId: server.id, action, target, command, args, ok: false, result: e.message });
+    res.status(502).json({ error: e.message });
+  }
+});
+
+// GET /api/admin/audit?limit=&offset=&action=&actor=&server=
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, 500));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  try {
+    res.json(db.listAdminAudit({
+      limit, offset,
+      action: req.query.action, actor: req.query.actor, server: req.query.server || null,
+    }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// What the audit log keeps of a webhook change: the validated fields, with the secret reduced to `signed`
+const webhookAuditArgs = ({ secret, ...value }) => (secret === undefined ? value : { ...value, signed: !!secret });
+
+// GET /api/admin/webhooks -> every subscription (secrets are never shown, only `signed`)
+app.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+  try {
+    res.json({ events: Object.keys(webhooks.EVENTS), formats: webhooks.FORMATS, webhooks: db.listWebhooks() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/webhooks { url, format?: json|discord, events?: [..] | "a,b" | "*", name?, server?, secret? }
+app.post('/api/admin/webhooks', requireAdmin, (req, res) => {
+  const { value, error } = webhooks.validateWebhook(req.body || {});
+  if (error) return res.status(400).json({ error });
+  if (value.server && !SERVER_BY_ID.has(value.server)) return res.status(400).json({ error: `unknown server: ${value.server}` });
+  try {
+    const hook = db.createWebhook({ ...value, createdBy: req.admin });
+    audit(req, { action: 'webhooks.create', target: String(hook.id), serverId: hook.server_id, args: webhookAuditArgs(value), ok: true });
+    res.status(201).json(hook);
+  } catch (e) {
+    audit(req, { action: 'webhooks.create', target: value.url, args: webhookAuditArgs(value), ok: false, result: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/admin/webhooks/:id { any of url, format, events, name, server, secret, enabled }
+app.patch('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  if (!db.getWebhook(req.params.id)) return res.status(404).json({ error: 'webhook not found' });
+  const { value, error } = webhooks.validateWebhook(req.body || {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+  if (value.server && !SERVER_BY_ID.has(value.server)) return res.status(400).json({ error: `unknown server: ${value.server}` });
+  try {
+    const hook = db.updateWebhook(req.params.id, value);
+    audit(req, { action: 'webhooks.update', target: String(hook.id), serverId: hook.server_id, args: webhookAuditArgs(value), ok: true });
+    res.json(hook);
+  } catch (e) {
+    audit(req, { action: 'webhooks.update', target: req.params.id, args: webhookAuditArgs(value), ok: false, result: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /api/admin/webhooks/:id (its delivery log goes with it)
+app.delete('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  try {
+    const ok = db.deleteWebhook(req.params.id) > 0;
+    audit(req, { action: 'webhooks.delete', target: req.params.id, ok, result: ok ? null : 'webhook not found' });
+    if (!ok) return res.status(404).json({ error: 'webhook not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/webhooks/:id/test -> send a 'test' delivery to this hook only (even if disabled) and
+// report how its first attempt went
+app.post('/api/admin/webhooks/:id/test', requireAdmin, async (req, res) => {
+  const hook = db.getWebhook(req.params.id);
+  if (!hook) return res.status(404).json({ error: 'webhook not found' });
+  try {
+    const [delivery] = hooks.emit('test', { by: req.admin }, { only: hook });
+    await hooks.send(delivery);
+    const d = db.getWebhookDelivery(delivery);
+    audit(req, { action: 'webhooks.test', target: String(hook.id), ok: d?.status === 'ok', result: d?.error || null });
+    res.json({ delivery: d });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/admin/webhooks/:id/deliveries?status=pending|ok|failed&limit=&offset=
+app.get('/api/admin/webhooks/:id/deliveries', requireAdmin, (req, res) => {
+  if (!db.getWebhook(req.params.id)) return res.status(404).json({ error: 'webhook not found' });
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, 500));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  try {
+    res.json(db.listWebhookDeliveries({ webhookId: req.params.id, status: req.query.status, limit, offset }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 // ---------------------------
 // Boot
 // ---------------------------
-app.listen(API_PORT, () => {
-  console.log(`API listening on http://127.0.0.1:${API_PORT} → querying ${Q3_HOST}:${Q3_PORT}`);
+// Freeze standings of seasons that have ended (at boot, then once a minute)
+const freezeSeasons = () => {
+  try {
+    const n = db.freezeEndedSeasons();
+    if (n) console.log(`froze ${n} season(s)`);
+  } catch (e) {
+    console.error('season freeze error:', e);
+  }
+};
+freezeSeasons();
+setInterval(freezeSeasons, 60 * 1000).unref();
+
+// Sample every server in the background so sessions, pings and population are recorded unwatched
+const poller = createStatusPoller({
+  servers: SERVERS,
+  intervalMs: STATUS_POLL_MS,
+  onSample: (s) => {
+    db.recordStatusSample({
+      serverId: s.server,
+      ts: s.ts,
+      up: s.up,
+      map: s.info.mapname || null,
+      maxClients: s.info.sv_maxclients,
+      players: s.players,
+      staleMs: STATUS_POLL_MS * 3,
+    });
+    notePopulation(s);
+  },
+});
+poller.start();
+hooks.start();
+
+const httpServer = app.listen(API_PORT, () => {
+  const targets = SERVERS.map(s => `${s.id}=${s.host}:${s.port}`).join(', ');
+  console.log(`API listening on http://127.0.0.1:${API_PORT} → querying ${targets}`);
 });
+live.attachWebSocket(httpServer, { path: '/api/live/ws' });
@@ -0,0 +1,28 @@
+// items.js — the Quake 3 pickups worth recording ("Item: <client> <classname>" lines)
+// Ammo, small health and weapon pickups are left out on purpose: they fire constantly and say little.
+
+const ITEMS = [
+  // power-ups
+  { id: 'quad',         label: 'Quad Damage',  kind: 'powerup', classnames: ['item_quad'] },
+  { id: 'haste',        label: 'Haste',        kind: 'powerup', classnames: ['item_haste'] },
+  { id: 'regen',        label: 'Regeneration', kind: 'powerup', classnames: ['item_regen'] },
+  { id: 'invis',        label: 'Invisibility', kind: 'powerup', classnames: ['item_invis'] },
+  { id: 'battlesuit',   label: 'Battle Suit',  kind: 'powerup', classnames: ['item_enviro'] },
+  { id: 'flight',       label: 'Flight',       kind: 'powerup', classnames: ['item_flight'] },
+
+  // armor / health
+  { id: 'red_armor',    label: 'Red Armor',    kind: 'armor',   classnames: ['item_armor_body'] },
+  { id: 'yellow_armor', label: 'Yellow Armor', kind: 'armor',   classnames: ['item_armor_combat'] },
+  { id: 'megahealth',   label: 'Mega Health',  kind: 'health',  classnames: ['item_health_mega'] },
+
+  // CTF
+  { id: 'red_flag',     label: 'Red Flag',     kind: 'flag',    classnames: ['team_CTF_redflag'] },
+  { id: 'blue_flag',    label: 'Blue Flag',    kind: 'flag',    classnames: ['team_CTF_blueflag'] },
+];
+
+const ITEM_BY_CLASSNAME = new Map(ITEMS.flatMap(i => i.classnames.map(c => [c.toLowerCase(), i])));
+
+// "item_quad" -> entry, or null for pickups we don't track
+const itemOf = (classname) => ITEM_BY_CLASSNAME.get(String(classname || '').toLowerCase()) || null;
+
+module.exports = { ITEMS, itemOf };
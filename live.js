@@ -0,0 +1,152 @@
+// live.js — push feed for tail events: Server-Sent Events plus a minimal (send-only) WebSocket variant
+// Every event gets a monotonically increasing id; a small ring buffer lets reconnecting clients
+// replay what they missed via Last-Event-ID (SSE) or ?lastEventId= (both).
+
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC11B65';
+const HEARTBEAT_MS = 15000;
+
+const createLiveFeed = ({ bufferSize = 500 } = {}) => {
+  let nextId = 1;
+  const buffer = [];               // [{ id, type, ts, data }], oldest first
+  const subscribers = new Set();   // (evt) => void
+
+  const publish = (type, data = {}, ts = Date.now()) => {
+    const evt = { id: nextId++, type, ts, data };
+    buffer.push(evt);
+    if (buffer.length > bufferSize) buffer.shift();
+    for (const fn of subscribers) {
+      try { fn(evt); } catch {}
+    }
+    return evt;
+  };
+
+  // Buffered events newer than lastId (all of them when lastId is unknown/absent)
+  const since = (lastId) => {
+    const n = Number(lastId);
+    if (!Number.isFinite(n) || n <= 0) return [];
+    return buffer.filter(e => e.id > n);
+  };
+
+  const subscribe = (fn) => {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  };
+
+  // ?types=kill,match_start -> Set, or null for everything
+  const typeFilter = (q) => {
+    const list = String(q || '').split(',').map(s => s.trim()).filter(Boolean);
+    return list.length ? new Set(list) : null;
+  };
+
+  /* ------------ SSE ------------ */
+
+  const sseHandler = (req, res) => {
+    const types = typeFilter(req.query?.types);
+    const lastId = req.headers['last-event-id'] || req.query?.lastEventId;
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+    });
+    res.flushHeaders?.();
+    res.write('retry: 3000\n\n');
+
+    const send = (evt) => {
+      if (types && !types.has(evt.type)) return;
+      res.write(`id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify({ ts: evt.ts, ...evt.data })}\n\n`);
+    };
+
+    for (const evt of since(lastId)) send(evt);
+    const unsubscribe = subscribe(send);
+    const hb = setInterval(() => res.write(': hb\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(hb);
+      unsubscribe();
+    });
+  };
+
+  /* ------------ WebSocket (RFC 6455, server -> client text frames only) ------------ */
+
+  const wsFrame = (opcode, payload = Buffer.alloc(0)) => {
+    const len = payload.length;
+    let head;
+    if (len < 126) {
+      head = Buffer.from([0x80 | opcode, len]);
+    } else if (len < 65536) {
+      head = Buffer.alloc(4);
+      head[0] = 0x80 | opcode; head[1] = 126; head.writeUInt16BE(len, 2);
+    } else {
+      head = Buffer.alloc(10);
+      head[0] = 0x80 | opcode; head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2);
+    }
+    return Buffer.concat([head, payload]);
+  };
+
+  // Attach to the http.Server returned by app.listen(); handles upgrades on `path` only
+  const attachWebSocket = (server, { path = '/api/live/ws' } = {}) => {
+    server.on('upgrade', (req, socket) => {
+      const url = new URL(req.url, 'http://localhost');
+      const key = req.headers['sec-websocket-key'];
+      if (url.pathname !== path || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+      }
+
+      const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+      socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+      );
+
+      const types = typeFilter(url.searchParams.get('types'));
+      const send = (evt) => {
+        if (types && !types.has(evt.type)) return;
+        socket.write(wsFrame(0x1, Buffer.from(JSON.stringify(evt))));
+      };
+
+      let unsubscribe = () => {};
+      let hb = null;
+      const cleanup = () => {
+        clearInterval(hb);
+        unsubscribe();
+      };
+
+      // Client frames are only inspected for close (0x8) and ping (0x9); anything else is ignored
+      socket.on('data', (buf) => {
+        if (buf.length < 2) return;
+        const opcode = buf[0] & 0x0f;
+        if (opcode === 0x8) {
+          socket.end(wsFrame(0x8));
+          cleanup();
+        } else if (opcode === 0x9) {
+          const masked = buf[1] & 0x80;
+          const len = buf[1] & 0x7f;
+          if (len < 126) {
+            const mask = masked ? buf.subarray(2, 6) : null;
+            const data = Buffer.from(buf.subarray(masked ? 6 : 2, (masked ? 6 : 2) + len));
+            if (mask) for (let i = 0; i < data.length; i++) data[i] ^= mask[i % 4];
+            socket.write(wsFrame(0xa, data));
+          }
+        }
+      });
+      socket.on('close', cleanup);
+      socket.on('error', cleanup);
+
+      for (const evt of since(url.searchParams.get('lastEventId'))) send(evt);
+      unsubscribe = subscribe(send);
+      hb = setInterval(() => socket.write(wsFrame(0x9)), HEARTBEAT_MS);
+    });
+  };
+
+  return { publish, since, subscribe, sseHandler, attachWebSocket };
+};
+
+module.exports = { createLiveFeed };
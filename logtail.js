@@ -1,6 +1,6 @@
 // logtail.js — preserves caret colors; emits colored names into DB events
 
-const { spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
@@ -22,6 +22,21 @@ const parseInfoString = (s = '') => {
   return out;
 };
 
+// games.log lines start with the game clock: "  12:34 Kill: ..." (minutes can exceed 59).
+// Returns seconds since the map started, or null when the line has no prefix.
+const GAME_TIME_RE = /^\s*(\d+):(\d{2})\s/;
+const parseGameTime = (line = '') => {
+  const m = GAME_TIME_RE.exec(line);
+  return m ? (+m[1]) * 60 + (+m[2]) : null;
+};
+
+// g_timestamp is "YYYY-MM-DD HH:MM:SS" in server-local time
+const parseTimestamp = (s) => {
+  if (!s) return null;
+  const t = Date.parse(String(s).trim().replace(' ', 'T'));
+  return Number.isFinite(t) ? t : null;
+};
+
 // Minimal cleaner (used only for '<world>' checks in this file, NOT for DB storage)
 const isWorldName = (name = '') => name === '<world>' || name === 'world' || name === '';
 
@@ -36,22 +51,34 @@ const parseInitGame = (line) => {
     type: 'InitGame',
     map: info.mapname || 'unknown',
     gametype: info.g_gametype || info.gametype || 'FFA',
+    hostname: info.sv_hostname || info.hostname || null, // colors kept
+    timestamp: info.g_timestamp || null, // wall-clock start, only some mods log it
     ts: Date.now(),
   };
 };
 
-const parseShutdownGame = (line) => (/^ShutdownGame:/.test(line) ? { type: 'ShutdownGame', ts: Date.now() } : null);
+const parseShutdownGame = (line) => (/^(?:\s*\d+:\d{2}\s+)?ShutdownGame:/.test(line) ? { type: 'ShutdownGame', ts: Date.now() } : null);
+
+const parseExit = (line) => {
+  // Exit: Fraglimit hit.
+  const m = /^(?:\s*\d+:\d{2}\s+)?Exit:\s+(.*?)\.?\s*$/.exec(line);
+  if (!m) return null;
+  return { type: 'Exit', reason: m[1] || 'Exit', ts: Date.now() };
+};
 
 const parseClientUserinfoChanged = (line) => {
   // ClientUserinfoChanged: <id> \key\val\...
   const m = /ClientUserinfoChanged:\s+(\d+)\s+(.*)$/.exec(line);
   if (!m) return null;
   const clientId = +m[1];
-  const info = parseInfoString(m[2] || '');
+  // ioq3 logs this blob without the leading backslash (n\Name\t\0...), unlike InitGame
+  const blob = m[2] || '';
+  const info = parseInfoString(blob.startsWith('\\') ? blob : '\\' + blob);
 
   // Keep colored display name EXACTLY as the log shows (e.g., ^6d^32)
   const name_colored = info.n || info.name || '';
-  const guid = info.cl_guid || info.guid || info.sguid || info.pb_guid || null;
+  // ioq3 logs cl_guid under the short key "id"
+  const guid = info.cl_guid || info.id || info.guid || info.sguid || info.pb_guid || null;
   const ip = (info.ip || '').split(':')[0] || null; // if ever present
 
   return {
@@ -62,73 +89,492 @@ const parseClientUserinfoChanged = (line) => {
     name: name_colored,
     guid,
     ip,
+    model: info.model || null,
+    hmodel: info.hmodel || null,
+    skill: info.skill ?? null, // bots only (bots.js)
+    team: info.t ?? null, // 0 free, 1 red, 2 blue, 3 spectator
     ts: Date.now(),
   };
 };
 
+const parseClientConnect = (line) => {
+  // ClientConnect: <id>   (some mods append details and flag bots: "... (bot)", "[BOT]", "bot")
+  const m = /ClientConnect:\s+(\d+)(.*)$/.exec(line);
+  if (!m) return null;
+  const extra = m[2].replace(/"[^"]*"/g, ''); // a quoted name can't make its owner a bot
+  return { type: 'ClientConnect', clientId: +m[1], bot: /(^|[\s([])bot($|[\s)\]])/i.test(extra), ts: Date.now() };
+};
+
+const parseClientBegin = (line) => {
+  // ClientBegin: <id>
+  const m = /ClientBegin:\s+(\d+)/.exec(line);
+  if (!m) return null;
+  return { type: 'ClientBegin', clientId: +m[1], ts: Date.now() };
+};
+
+const parseClientDisconnect = (line) => {
+  // ClientDisconnect: <id>
+  const m = /ClientDisconnect:\s+(\d+)/.exec(line);
+  if (!m) return null;
+  return { type: 'ClientDisconnect', clientId: +m[1], ts: Date.now() };
+};
+
+// Award names as logged -> the medal players know them by (type numbers are the ioq3 ones)
+const AWARDS = { GAUNTLET: 'humiliation', EXCELLENT: 'excellent', IMPRESSIVE: 'impressive',
+                 DEFENCE: 'defend', DEFEND: 'defend', CAPTURE: 'capture', ASSIST: 'assist' };
+const AWARD_TYPES = ['humiliation', 'excellent', 'impressive', 'defend', 'capture', 'assist'];
+
+const parseAward = (line) => {
+  // Award: <id> <type>: <name> gained the <AWARD> award!
+  const m = /Award:\s+(\d+)\s+(\d+):\s+(.*?)\s+gained the\s+(\S+)\s+award/.exec(line);
+  if (!m) return null;
+  const award = AWARDS[m[4].toUpperCase()] || AWARD_TYPES[+m[2]] || m[4].toLowerCase();
+  return { type: 'Award', clientId: +m[1], name: m[3], award, ts: Date.now() };
+};
+
+const parseItem = (line) => {
+  // Item: <id> <classname>
+  const m = /Item:\s+(\d+)\s+(\S+)/.exec(line);
+  if (!m) return null;
+  return { type: 'Item', clientId: +m[1], item: m[2], ts: Date.now() };
+};
+
+const parseScore = (line) => {
+  // score: <n>  ping: <ms>  client: <id> <name>   (one per player, right after Exit:)
+  const m = /^(?:\s*\d+:\d{2}\s+)?score:\s+(-?\d+)\s+ping:\s+(\d+)\s+client:\s+(\d+)\s+(.*)$/.exec(line);
+  if (!m) return null;
+  return { type: 'Score', score: +m[1], ping: +m[2], clientId: +m[3], name: m[4], ts: Date.now() };
+};
+
+const parseTeamScore = (line) => {
+  // red:8  blue:5   (team gametypes, right after Exit:)
+  const m = /^(?:\s*\d+:\d{2}\s+)?red:\s*(-?\d+)\s+blue:\s*(-?\d+)/.exec(line);
+  if (!m) return null;
+  return { type: 'TeamScore', red: +m[1], blue: +m[2], ts: Date.now() };
+};
+
+const parseRoundEnd = (line) => {
+  // Round-based mods (Clan Arena, Freeze Tag): "RoundEnd: <round> <winner>" where the winner is a
+  // team number (1 red, 2 blue, 0 draw) or a team name; the round number is optional
+  const m = /^(?:\s*\d+:\d{2}\s+)?Round(?:End)?:\s*(.*)$/i.exec(line);
+  if (!m) return null;
+  const parts = m[1].trim().split(/\s+/);
+  const named = parts.find(p => /^(red|blue|draw|tie)$/i.test(p));
+  const nums = parts.filter(p => /^\d+$/.test(p)).map(Number);
+  let winner = null;
+  if (named) winner = /^(draw|tie)$/i.test(named) ? 'draw' : named.toLowerCase();
+  else if (nums.length) winner = ['draw', 'red', 'blue'][nums[nums.length - 1]] || null;
+  const round = named ? (nums[0] ?? null) : (nums.length > 1 ? nums[0] : null);
+  return { type: 'RoundEnd', round, winner, ts: Date.now() };
+};
+
+const parseSay = (line) => {
+  // say: <name>: <text>   /   sayteam: <name>: <text>   (chat text can contain anything, so this is
+  // anchored to the line start and tried before every other parser)
+  const m = /^(?:\s*\d+:\d{2}\s+)?(say|sayteam):\s+(.*?):\s(.*)$/.exec(line);
+  if (!m) return null;
+  return { type: 'Say', team: m[1] === 'sayteam', name: m[2], message: m[3], ts: Date.now() };
+};
+
 const parseKill = (line) => {
   // Kill: <kid> <vid> <modnum>: <killer> killed <victim> by MOD_XXXX
-  const m = /Kill:\s+\d+\s+\d+(?:\s+\d+)?:\s+(.*?)\s+killed\s+(.*?)\s+by\s+([A-Z0-9_]+)/.exec(line);
+  const m = /Kill:\s+(\d+)\s+(\d+)(?:\s+\d+)?:\s+(.*?)\s+killed\s+(.*?)\s+by\s+([A-Z0-9_]+)/.exec(line);
   if (!m) return null;
-  const killer = m[1];  // may be "<world>" or caret-colored name
-  const victim = m[2];
-  const mod = m[3];
+  const killer = m[3];  // may be "<world>" or caret-colored name
+  const victim = m[4];
+  const mod = m[5];
 
   return {
     type: 'Kill',
-    killer: { name: killer },   // <- keep caret codes as-is
-    victim: { name: victim },   // <- keep caret codes as-is
+    killer: { name: killer, clientId: +m[1] },   // <- keep caret codes as-is; 1022 = <world>
+    victim: { name: victim, clientId: +m[2] },   // <- keep caret codes as-is
     mod,
     ts: Date.now(),
   };
 };
 
 const parseLine = (line) =>
+  parseSay(line) ||
   parseInitGame(line) ||
   parseShutdownGame(line) ||
+  parseExit(line) ||
   parseClientUserinfoChanged(line) ||
+  parseClientConnect(line) ||
+  parseClientBegin(line) ||
+  parseClientDisconnect(line) ||
   parseKill(line) ||
+  parseAward(line) ||
+  parseItem(line) ||
+  parseScore(line) ||
+  parseTeamScore(line) ||
+  parseRoundEnd(line) ||
   null;
 
-/* ------------ tail process ------------ */
+/* ------------ follower ------------ */
+
+// Reads games.log in-process: polls the file, reads whatever was appended, and hands complete lines
+// to the parser. Partial lines wait in a buffer until their newline arrives.
+//   - identity:   every file followed gets an id (opts.offsets.files, db.js log_files) tied to a fingerprint
+//                 of its first HEAD_BYTES; inodes get recycled and copytruncate keeps them, so the head is
+//                 what tells a new games.log from the one we were reading
+//   - resume:     opts.offsets.load() -> { path, inode, offset, file_id, head, head_len } from the last run;
+//                 reading restarts at that byte if the file is still the same one (same path, inode and
+//                 head, and at least that long), at 0 in a new file, and at the end of the file on the very
+//                 first run (like `tail -n 0`)
+//   - rotation:   a new inode at logPath -> drain the old file through the still-open fd, then switch
+//   - truncation: the file shrank below our offset or no longer starts with its head (copytruncate)
+//                 -> start over at 0 in a new file
+// opts.offsets.save() is called after each batch with the offset of the first unprocessed byte, so a
+// crash replays at most one batch. Every event carries a sourceKey (lineKeys, shared with import.js),
+// which is what keeps a replayed frag from being stored twice.
+//   - time:       a line appended while we follow is stamped with the time it was read. Lines that were
+//                 already in the file when we opened it (downtime, a crash, a reopen) are stamped like
+//                 import.js does it: their match's 0:00 plus the line's game clock. That 0:00 is the stored
+//                 started_at (opts.offsets.matchStart(match key)), else g_timestamp, else where the
+//                 previous match's clock ended; with none of those a line falls back to the read time.
+//                 Resuming in a stored match picks its clock up where it was stored up to
+//                 (opts.offsets.matchEnd), so a match logged while we were down comes after it.
+
+const POLL_MS = Number(process.env.TAIL_POLL_MS || 250);
+const CHUNK = 64 * 1024;
+const NL = 0x0a;
+
+const sha1 = (s) => crypto.createHash('sha1').update(s).digest('hex');
+
+// How much of a file's beginning fingerprints it (a shorter file's head grows with it up to this)
+const HEAD_BYTES = 4096;
+
+const readHead = (fd, size) => {
+  const buf = Buffer.alloc(Math.min(size, HEAD_BYTES));
+  const n = buf.length ? fs.readSync(fd, buf, 0, buf.length, 0) : 0;
+  return buf.subarray(0, n);
+};
+
+// head (Buffer) -> file id: the newest known file whose recorded head is a prefix of this one, else a new
+// entry. `exclude` is the file we just left: a new file that starts with the same bytes is still a new file.
+// files: { list() -> [{ id, head, head_len }] newest first, add({ head, headLen }) -> id, extend(id, { head, headLen }) }
+const identifyFile = (files, head, { exclude = null } = {}) => {
+  for (const f of files.list()) {
+    if (f.id === exclude || !f.head_len || f.head_len > head.length) continue;
+    if (sha1(head.subarray(0, f.head_len)) !== f.head) continue;
+    if (f.head_len < head.length) files.extend(f.id, { head: sha1(head), headLen: head.length });
+    return f.id;
+  }
+  return files.add({ head: sha1(head), headLen: head.length });
+};
+
+// Split data (whose first byte is at file offset `offset`) the way games.log is read everywhere: at '\n',
+// a trailing '\r' dropped, empty lines skipped. Calls onLine(line, offset) and returns where the
+// unterminated remainder starts (it's passed on as a last line when flushing).
+const splitLines = (data, offset, onLine, { flush = false } = {}) => {
+  let from = 0;
+  let nl;
+  while ((nl = data.indexOf(NL, from)) !== -1) {
+    const line = data.toString('utf8', from, nl).replace(/\r$/, '');
+    if (line) onLine(line, offset + from);
+    from = nl + 1;
+  }
+  if (flush && from < data.length) {
+    const line = data.toString('utf8', from).replace(/\r$/, '');
+    if (line) onLine(line, offset + from);
+    from = data.length;
+  }
+  return from;
+};
+
+// Source keys shared by the follower and import.js, so a line that both of them read is stored once.
+// A match is keyed by where its InitGame sits (file id + byte offset), any other line by its match and
+// its index in it; lines before the file's first InitGame form its prelude. key(line, offset, evt) must
+// see every line in order; state: { match, line } from key.state() to carry on mid-file.
+const lineKeys = (file, state = null) => {
+  let match = state?.match ?? sha1(`${file}|prelude`);
+  let n = state?.line ?? 0;
+  const key = (line, offset, evt) => {
+    if (evt?.type === 'InitGame') {
+      match = sha1(`${file}|${offset}|${line}`);
+      n = 0;
+      return match;
+    }
+    return sha1(`${match}|${++n}|${line}`);
+  };
+  key.state = () => ({ match, line: n });
+  return key;
+};
+
+// opts.logPath: games.log to follow (default Q3_LOG); opts.server: servers.js id stamped on every event;
+// opts.offsets: { load(), save({ path, inode, offset, file, match, line }), files, matchStart(key),
+// matchEnd(key) } to persist the read position (optional)
+// The returned handle also reports counters for /metrics (stats()) and whether reads still work (alive()).
+const startTail = (onEvent, opts = {}) => {
+  const { logPath = LOG_PATH, server = null, offsets = null, pollMs = POLL_MS } = opts;
+  const tag = server != null ? `[tail:${server}]` : '[tail]';
 
-const startTail = (onEvent) => {
-  // ensure the file exists to avoid tail error loop
-  if (!fs.existsSync(LOG_PATH)) {
-    fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true });
-    fs.writeFileSync(LOG_PATH, '', 'utf8');
+  // ensure the file exists so there is something to follow
+  if (!fs.existsSync(logPath)) {
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.writeFileSync(logPath, '', 'utf8');
   }
 
-  const args = ['-n', '0', '-F', LOG_PATH];
-  const proc = spawn('tail', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let fd = null;
+  let inode = null;          // String(st.ino) of the file behind fd
+  let file = null;           // id of that file (log_files), or "<inode>.<n>" without offsets.files
+  let head = { hash: null, len: 0 }; // fingerprint of its first head.len bytes
+  let generation = 0;
+  let keys = null;           // lineKeys of that file
+  let pos = 0;               // next byte to read
+  let partial = Buffer.alloc(0);
+  let saved = null;          // last offset handed to offsets.save
+  let timer = null;
+  let lastOkAt = 0;          // end of the last tick that read without an error
+  let backlog = 0;           // bytes below this were in the file when we opened it
+  let clock = { match: null, start: null, last: 0 }; // current match: wall-clock ms of its 0:00, last game time
+
+  const stats = {
+    lines: 0,
+    unparsed: 0,             // no parser recognised the line
+    errors: { parse: 0, handler: 0 },
+    events: {},              // event type -> count
+    reopens: { rotate: 0, truncate: 0, error: 0 },
+  };
+
+  const committed = () => pos - partial.length; // start of the first unprocessed line
+
+  const stored = (fn, match) => {
+    try { return offsets?.[fn]?.(match) ?? null; } catch { return null; }
+  };
+  const storedStart = (match) => stored('matchStart', match);
+
+  // Carry on in match `match`: its 0:00 is the one stored with it and its clock runs at least to what was
+  // stored of it (the lines before our offset aren't read again). Else (a new file's prelude) the clock
+  // goes on from where the last match left it.
+  const resumeClock = (match) => {
+    if (clock.match === match) return;
+    const start = storedStart(match);
+    if (start == null) {
+      clock = { match, start: clock.start != null ? clock.start + clock.last * 1000 : null, last: 0 };
+      return;
+    }
+    const end = stored('matchEnd', match);
+    clock = { match, start, last: end != null ? Math.max(0, (end - start) / 1000) : 0 };
+  };
+
+  // Game clock bookkeeping for every line, and the timestamp of a replayed one
+  const stamp = (line, offset, evt, sourceKey) => {
+    const gt = parseGameTime(line);
+    const replayed = offset < backlog;
+    if (evt?.type === 'InitGame') {
+      const start = replayed
+        ? storedStart(sourceKey) ?? parseTimestamp(evt.timestamp) ??
+          (clock.start != null ? clock.start + clock.last * 1000 : null)
+        : Date.now() - (gt || 0) * 1000;
+      clock = { match: sourceKey, start, last: 0 };
+    }
+    if (gt != null && gt > clock.last) clock.last = gt;
+    if (evt && replayed && clock.start != null) evt.ts = clock.start + (gt != null ? gt : clock.last) * 1000;
+  };
+
+  const emitLine = (line, offset) => {
+    stats.lines++;
+    let evt = null;
+    let failed = false;
+    try {
+      evt = parseLine(line);
+    } catch (e) {
+      failed = true;
+      stats.errors.parse++;
+      if (DEBUG) console.error(`${tag} parse error`, e);
+    }
+    const sourceKey = keys(line, offset, evt); // unparsed lines count towards the index too
+    stamp(line, offset, evt, sourceKey);
+    if (failed) return;
+    if (!evt) {
+      stats.unparsed++;
+      return;
+    }
+    stats.events[evt.type] = (stats.events[evt.type] || 0) + 1;
+    if (server != null) evt.server = server;
+    evt.sourceKey = sourceKey;
+    if (DEBUG) console.error(`${tag} ${evt.type}`, JSON.stringify(evt));
+    try {
+      onEvent(evt);
+    } catch (e) {
+      stats.errors.handler++;
+      if (DEBUG) console.error(`${tag} onEvent error`, e);
+    }
+  };
+
+  // Split buf into lines; the unterminated remainder stays in `partial` (unless flushing a dead file)
+  const consume = (buf, { flush = false } = {}) => {
+    const data = partial.length ? Buffer.concat([partial, buf]) : buf;
+    partial = data.subarray(splitLines(data, pos - data.length, emitLine, { flush }));
+  };
+
+  // Key state at byte `upto` of the file behind fd, when there's none saved to carry on from
+  const recover = (upto) => {
+    const buf = Buffer.alloc(CHUNK);
+    let at = 0;
+    let rest = Buffer.alloc(0);
+    while (at < upto) {
+      const n = fs.readSync(fd, buf, 0, Math.min(CHUNK, upto - at), at);
+      if (!n) break;
+      at += n;
+      const data = Buffer.concat([rest, buf.subarray(0, n)]);
+      rest = data.subarray(splitLines(data, at - data.length, (line, offset) => {
+        let evt = null;
+        try { evt = parseLine(line); } catch {}
+        keys(line, offset, evt);
+      }));
+    }
+  };
+
+  // Switch to a (possibly) new file: known by its head, or a new id
+  const identify = (exclude = null) => {
+    const buf = readHead(fd, fs.fstatSync(fd).size);
+    head = { hash: sha1(buf), len: buf.length };
+    file = offsets?.files ? identifyFile(offsets.files, buf, { exclude }) : `${inode}.${generation++}`;
+    keys = lineKeys(file);
+  };
+
+  // Until the head is HEAD_BYTES long it grows with the file
+  const growHead = () => {
+    if (head.len >= HEAD_BYTES || pos <= head.len) return;
+    const buf = readHead(fd, pos);
+    head = { hash: sha1(buf), len: buf.length };
+    if (offsets?.files) offsets.files.extend(file, { head: head.hash, headLen: head.len });
+  };
+
+  // Does the file behind fd still start with the bytes we fingerprinted?
+  const sameHead = () => !head.len || sha1(readHead(fd, head.len)) === head.hash;
+
+  const save = () => {
+    if (!offsets || inode == null) return;
+    growHead();
+    const offset = committed();
+    if (saved && saved.inode === inode && saved.file === file && saved.offset === offset) return;
+    saved = { path: logPath, inode, offset, file, ...keys.state() };
+    try { offsets.save(saved); } catch (e) { console.error(`${tag} offset not saved:`, e.message); }
+  };
+
+  // Read from pos to EOF of the file we hold
+  const drain = () => {
+    const buf = Buffer.alloc(CHUNK);
+    for (;;) {
+      const n = fs.readSync(fd, buf, 0, CHUNK, pos);
+      if (!n) break;
+      pos += n;
+      consume(buf.subarray(0, n));
+      save();
+    }
+  };
 
-  if (DEBUG) console.error(`[tail] started: tail ${args.join(' ')}`);
+  // startAt: byte, or 'end'; resume: { file, head, keys } to carry on in a known file, else exclude: the
+  // file we left; live: what the file holds was just written (a rotation we saw happen), not a backlog
+  const open = (startAt, { resume = null, exclude = null, live = false } = {}) => {
+    fd = fs.openSync(logPath, 'r');
+    const st = fs.fstatSync(fd);
+    inode = String(st.ino);
+    if (resume) {
+      ({ file, head } = resume);
+      keys = lineKeys(file, resume.keys);
+    } else identify(exclude);
+    pos = startAt === 'end' ? st.size : startAt;
+    backlog = live ? 0 : st.size;
+    partial = Buffer.alloc(0);
+    if (pos && !resume?.keys) recover(pos);
+    resumeClock(keys.state().match);
+    if (DEBUG) console.error(`${tag} following ${logPath} (inode ${inode}, file ${file}) from byte ${pos}`);
+    save();
+  };
+
+  const close = () => {
+    if (fd != null) { try { fs.closeSync(fd); } catch {} }
+    fd = null;
+  };
+
+  // After a read error: pick up at the last processed line if it's still the same file
+  const reopen = (st) => {
+    const at = committed();
+    const was = { file, head, keys: keys.state() };
+    const same = String(st.ino) === inode && st.size >= at;
+    open(same ? at : 0, same ? { resume: was } : { exclude: was.file });
+    if (same && !sameHead()) {
+      // same inode and long enough, but rewritten under us
+      pos = 0;
+      identify(was.file);
+      save();
+    }
+  };
 
-  let buf = '';
-  const handleChunk = (chunk) => {
-    buf += chunk.toString('utf8');
-    let idx;
-    while ((idx = buf.indexOf('\n')) >= 0) {
-      const line = buf.slice(0, idx).replace(/\r$/, '');
-      buf = buf.slice(idx + 1);
-      if (!line) continue;
+  // Where to start on boot
+  const resume = () => {
+    const last = offsets ? offsets.load() : null;
+    if (!last || last.path !== logPath) return open('end');
+    const st = fs.statSync(logPath);
+    // rotated or truncated while we were down: a different inode, too short, or a different head
+    const known = last.file_id != null ? {
+      file: last.file_id,
+      head: { hash: last.head, len: last.head_len },
+      keys: last.match_key != null ? { match: last.match_key, line: last.match_line } : null,
+    } : null;
+    if (String(st.ino) !== String(last.inode) || st.size < last.offset) return open(0, { exclude: known?.file });
+    if (!known) return open(last.offset); // saved before files had ids
+    open(last.offset, { resume: known });
+    if (!sameHead()) {
+      pos = 0;
+      identify(known.file);
+      save();
+    }
+  };
+
+  const tick = () => {
+    try {
+      let st = null;
+      try { st = fs.statSync(logPath); } catch {} // briefly missing mid-rotation
+      if (fd == null) {
+        if (!st) return;
+        reopen(st);
+        stats.reopens.error++;
+      }
+      drain();
 
-      const evt = parseLine(line);
-      if (evt) {
-        if (DEBUG) console.error(`[tail] ${evt.type}`, JSON.stringify(evt));
-        try { onEvent(evt); } catch (e) { if (DEBUG) console.error('[tail] onEvent error', e); }
+      if (st && String(st.ino) !== inode) {
+        // rotated: whatever the old file ended with is complete now
+        consume(Buffer.alloc(0), { flush: true });
+        close();
+        if (DEBUG) console.error(`${tag} rotated`);
+        stats.reopens.rotate++;
+        const left = file;
+        open(0, { exclude: left, live: true });
+        drain();
+      } else if (fs.fstatSync(fd).size < pos || !sameHead()) {
+        if (DEBUG) console.error(`${tag} truncated`);
+        stats.reopens.truncate++;
+        pos = 0;
+        backlog = 0;
+        partial = Buffer.alloc(0);
+        identify(file);
+        save();
+        drain();
       }
+      lastOkAt = Date.now();
+    } catch (e) {
+      if (DEBUG) console.error(`${tag} read error`, e);
+      close(); // reopen (and re-resolve the position) on the next tick
     }
   };
 
-  proc.stdout.on('data', handleChunk);
-  proc.stderr.on('data', (d) => DEBUG && console.error('[tail][stderr]', d.toString()));
-  proc.on('exit', (code, sig) => {
-    if (DEBUG) console.error(`[tail] exited code=${code} sig=${sig}, respawning in 1s`);
-    setTimeout(() => startTail(onEvent), 1000); // auto-respawn
-  });
+  resume();
+  tick();
+  timer = setInterval(tick, pollMs);
+  timer.unref();
 
-  return proc;
+  return {
+    stop: () => { clearInterval(timer); close(); },
+    position: () => ({ path: logPath, inode, file, offset: committed() }),
+    stats: () => stats,
+    // true while polls keep succeeding (a few missed polls are allowed before we call it dead)
+    alive: () => fd != null && Date.now() - lastOkAt < pollMs * 4 + 1000,
+  };
 };
 
-module.exports = { startTail, parseLine, LOG_PATH };
+module.exports = { startTail, parseLine, parseGameTime, parseTimestamp, splitLines, lineKeys, identifyFile, HEAD_BYTES, LOG_PATH };
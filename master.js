@@ -0,0 +1,79 @@
+// master.js — Quake 3 master server client: "getservers" -> every ip:port registered for a protocol
+// Request:  \xff\xff\xff\xffgetservers [<gamename>] <protocol> [full] [empty]   (gamename: dpmaster style)
+// Reply:    one or more \xff\xff\xff\xffgetserversResponse packets, each a run of 7-byte records
+//           "\" + 4 address bytes + 2 port bytes (big endian); "\EOT\0\0\0" marks the last packet.
+
+const dgram = require('dgram');
+
+const MASTER_PORT = 27950;
+const PROTOCOL = 68; // Quake 3 1.32 / ioquake3
+const OOB = Buffer.alloc(4, 0xff);
+const RESPONSE = Buffer.from('getserversResponse', 'latin1');
+const SEP = 0x5c; // "\"
+
+// "master.ioquake3.org" / "host:27950" -> { host, port }
+const parseMasterAddress = (s) => {
+  const m = /^\s*([^:\s]+)(?::(\d+))?\s*$/.exec(String(s || ''));
+  return m ? { host: m[1], port: m[2] ? Number(m[2]) : MASTER_PORT } : null;
+};
+
+const isEot = (buf, i) => buf.toString('latin1', i + 1, i + 4) === 'EOT' &&
+  (i + 7 > buf.length || (buf[i + 4] === 0 && buf[i + 5] === 0 && buf[i + 6] === 0));
+
+// One packet -> { servers: [{ host, port }], eot }, or null if it isn't a getserversResponse
+const parseServersResponse = (buf) => {
+  const head = OOB.length + RESPONSE.length;
+  if (buf.length < head || !buf.subarray(0, OOB.length).equals(OOB) || !buf.subarray(OOB.length, head).equals(RESPONSE)) {
+    return null;
+  }
+  const servers = [];
+  let eot = false;
+  let i = head;
+  while (i < buf.length) {
+    if (buf[i] !== SEP) { i++; continue; } // some masters put a newline after the header
+    if (isEot(buf, i)) { eot = true; break; }
+    if (i + 7 > buf.length) break;
+    const port = buf.readUInt16BE(i + 5);
+    if (port) servers.push({ host: `${buf[i + 1]}.${buf[i + 2]}.${buf[i + 3]}.${buf[i + 4]}`, port });
+    i += 7;
+  }
+  return { servers, eot };
+};
+
+// Every server one master knows for the protocol (deduplicated). The list ends at EOT, or quietMs after the
+// last packet for masters that never send one; rejects when the master doesn't answer at all.
+const getServers = ({ host, port = MASTER_PORT, protocol = PROTOCOL, gamename = null,
+  keywords = ['full', 'empty'], timeoutMs = 3000, quietMs = 500 }) =>
+  new Promise((resolve, reject) => {
+    const sock = dgram.createSocket('udp4');
+    const seen = new Map(); // "ip:port" -> { host, port }
+    let packets = 0;
+    let quiet = null;
+    let finished = false;
+
+    const finish = (err) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(deadline);
+      clearTimeout(quiet);
+      try { sock.close(); } catch {}
+      err ? reject(err) : resolve([...seen.values()]);
+    };
+
+    const deadline = setTimeout(() => finish(packets ? null : new Error('master timeout')), timeoutMs);
+    sock.on('message', (m) => {
+      const res = parseServersResponse(m);
+      if (!res) return;
+      packets++;
+      for (const s of res.servers) seen.set(`${s.host}:${s.port}`, s);
+      clearTimeout(quiet);
+      if (res.eot) return finish(null);
+      quiet = setTimeout(() => finish(null), quietMs);
+    });
+    sock.on('error', finish);
+
+    const query = ['getservers', gamename, protocol, ...keywords].filter(v => v != null && v !== '').join(' ');
+    sock.send(Buffer.concat([OOB, Buffer.from(query, 'latin1')]), port, host);
+  });
+
+module.exports = { MASTER_PORT, PROTOCOL, parseMasterAddress, parseServersResponse, getServers };
@@ -0,0 +1,88 @@
+// metrics.js — a small metrics registry rendered in the Prometheus text format (GET /metrics)
+// Counters and histograms are updated in place; anything that already keeps its own numbers (the log
+// follower, the match state) is read at scrape time through a `collect` function instead.
+//   counter(name, help, { collect? })   -> { inc(labels?, n = 1) }
+//   gauge(name, help, { collect })      collect() -> [{ labels, value }] (or a bare number)
+//   histogram(name, help, { buckets })  -> { observe(labels, seconds), startTimer(labels) -> stop() }
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const labelText = (labels = {}) => {
+  const keys = Object.keys(labels).filter(k => labels[k] != null).sort();
+  return keys.length ? `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}` : '';
+};
+
+const num = (v) => (Number.isFinite(v) ? String(v) : v > 0 ? '+Inf' : v < 0 ? '-Inf' : 'NaN');
+
+const collected = (collect) => {
+  const out = collect();
+  return typeof out === 'number' ? [{ labels: {}, value: out }] : out || [];
+};
+
+const createMetrics = () => {
+  const families = []; // { name, help, type, lines() -> [string] }
+
+  const register = (name, help, type, lines) => {
+    families.push({ name, help, type, lines });
+  };
+
+  const counter = (name, help, { collect } = {}) => {
+    const values = new Map(); // labelText -> value
+    register(name, help, 'counter', () => (collect
+      ? collected(collect).map(s => `${name}${labelText(s.labels)} ${num(s.value)}`)
+      : [...values].map(([l, v]) => `${name}${l} ${num(v)}`)));
+    return {
+      inc: (labels = {}, n = 1) => {
+        const key = labelText(labels);
+        values.set(key, (values.get(key) || 0) + n);
+      },
+    };
+  };
+
+  const gauge = (name, help, { collect }) => {
+    register(name, help, 'gauge', () => collected(collect).map(s => `${name}${labelText(s.labels)} ${num(s.value)}`));
+  };
+
+  const histogram = (name, help, { buckets = DEFAULT_BUCKETS } = {}) => {
+    const series = new Map(); // labelText(labels) -> { labels, counts[], sum, count }
+    register(name, help, 'histogram', () => [...series.values()].flatMap((s) => [
+      ...buckets.map((b, i) => `${name}_bucket${labelText({ ...s.labels, le: b })} ${s.counts[i]}`),
+      `${name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`,
+      `${name}_sum${labelText(s.labels)} ${num(s.sum)}`,
+      `${name}_count${labelText(s.labels)} ${s.count}`,
+    ]));
+
+    const observe = (labels = {}, seconds) => {
+      const key = labelText(labels);
+      let s = series.get(key);
+      if (!s) series.set(key, (s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+      s.sum += seconds;
+      s.count++;
+    };
+
+    const startTimer = (labels = {}) => {
+      const t0 = process.hrtime.bigint();
+      return () => observe(labels, Number(process.hrtime.bigint() - t0) / 1e9);
+    };
+
+    return { observe, startTimer };
+  };
+
+  const render = () => families.map((f) => {
+    let lines;
+    try {
+      lines = f.lines();
+    } catch (e) {
+      lines = [`# ${f.name} not collected: ${e.message}`];
+    }
+    return [`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...lines].join('\n');
+  }).join('\n') + '\n';
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+};
+
+module.exports = { createMetrics };
@@ -0,0 +1,85 @@
+// poller.js — background getstatus poller: samples every registered server on a fixed interval so
+// sessions, pings and population get recorded even when nobody has the site open.
+// Each tick hands one sample per server to onSample (db.js persists it); a server that doesn't
+// answer in time is reported as down rather than skipped, which is what makes uptime measurable.
+// With an rcon password the rcon "status" reply is merged in for client slot numbers (and IPs).
+
+const { getStatus, rconStatus } = require('./status');
+
+const POLL_MS = 30000;
+const TIMEOUT_MS = 1000;
+
+// null when the server is down or silent (getStatus rejects on its own timeout)
+const queryStatus = async (server, timeoutMs) => {
+  try {
+    return await getStatus(server.host, server.port, timeoutMs);
+  } catch {
+    return null;
+  }
+};
+
+// getstatus rows have no slot numbers; rcon rows do. Pair them up by (raw) name, in order.
+const withSlots = (players, rconRows) => {
+  if (!rconRows.length) return players;
+  const pool = rconRows.slice();
+  return players.map((p) => {
+    const i = pool.findIndex(r => r.name === p.name);
+    if (i === -1) return p;
+    const [r] = pool.splice(i, 1);
+    return { ...p, num: r.num, ip: r.ip };
+  });
+};
+
+// servers: servers.js entries; onSample({ server, ts, up, info, players:[{ name, score, ping, num?, ip? }] })
+const createStatusPoller = ({ servers, onSample, intervalMs = POLL_MS, timeoutMs = TIMEOUT_MS }) => {
+  let timer = null;
+  let running = false;
+  const latest = new Map(); // server id -> last sample
+
+  const sample = async (server) => {
+    const ts = Date.now();
+    const status = await queryStatus(server, timeoutMs);
+    const rows = status && server.rcon
+      ? await rconStatus({ host: server.host, port: server.port, password: server.rcon })
+      : [];
+    const out = {
+      server: server.id,
+      ts,
+      up: !!status,
+      info: status?.info || {},
+      players: status ? withSlots(status.players || [], rows) : [],
+    };
+    latest.set(server.id, out);
+    return out;
+  };
+
+  // One round over every server, sequentially (UDP replies are tiny; this keeps the socket count at one)
+  const pollOnce = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const server of servers) {
+        const s = await sample(server);
+        try { onSample(s); } catch (e) { console.error(`poller: ${server.id} sample not stored:`, e.message); }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer || !(intervalMs > 0)) return;
+    pollOnce();
+    timer = setInterval(pollOnce, intervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, pollOnce, latest: (id) => latest.get(id) || null, intervalMs };
+};
+
+module.exports = { createStatusPoller, POLL_MS };
@@ -0,0 +1,30 @@
+// rating.js — Elo math for per-frag skill ratings (pure; persistence lives in db.js)
+// Every frag is treated as a won "game" for the killer against the victim, so beating a
+// strong player moves you a lot and farming a weak one barely moves you at all.
+
+const DEFAULT_RATING = 1500;
+const K_PROVISIONAL = 32;       // first PROVISIONAL_FRAGS rated frags settle a player quickly
+const K_ESTABLISHED = 16;
+const PROVISIONAL_FRAGS = 30;
+
+// Probability that a player rated `a` beats one rated `b`
+const expectedScore = (a, b) => 1 / (1 + Math.pow(10, (b - a) / 400));
+
+const kFactor = (ratedFrags = 0) => (ratedFrags < PROVISIONAL_FRAGS ? K_PROVISIONAL : K_ESTABLISHED);
+
+// killer/victim: { rating, rated_frags } -> { killer: newRating, victim: newRating, delta }
+const rateFrag = (killer, victim) => {
+  const kr = Number(killer?.rating ?? DEFAULT_RATING);
+  const vr = Number(victim?.rating ?? DEFAULT_RATING);
+  const e = expectedScore(kr, vr);
+  const kDelta = kFactor(killer?.rated_frags) * (1 - e);
+  const vDelta = kFactor(victim?.rated_frags) * (0 - (1 - e));
+  return {
+    killer: +(kr + kDelta).toFixed(2),
+    victim: +(vr + vDelta).toFixed(2),
+    killerDelta: +kDelta.toFixed(2),
+    victimDelta: +vDelta.toFixed(2),
+  };
+};
+
+module.exports = { DEFAULT_RATING, expectedScore, kFactor, rateFrag };
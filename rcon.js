@@ -0,0 +1,74 @@
+// rcon.js — the admin actions the API may send over RCON, and how each one is validated
+// Everything a caller supplies ends up inside a console command line, so values that could
+// smuggle a second command (";", quotes, newlines) are rejected rather than escaped.
+//   command(args) -> the rcon command string, or throws Error (bad input)
+//   target(args)  -> short description for the audit log
+
+const { rconCommand, parseRconStatus } = require('./status');
+
+const MAP_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+const CVAR_RE = /^[A-Za-z_][A-Za-z0-9_.]{0,63}$/;
+const UNSAFE_RE = /[;"\r\n]/;
+
+// cvars the API must never touch (changing them would lock the ladder out, or leak)
+const PROTECTED_CVARS = new Set(['rconpassword', 'sv_privatepassword', 'g_password']);
+
+const text = (v, what, max = 150) => {
+  const s = String(v ?? '').trim();
+  if (!s) throw new Error(`${what} is required`);
+  if (s.length > max) throw new Error(`${what} is too long (max ${max})`);
+  if (UNSAFE_RE.test(s)) throw new Error(`${what} may not contain ; " or newlines`);
+  return s;
+};
+
+const ACTIONS = {
+  kick: {
+    command: ({ slot }) => {
+      const n = Number(slot);
+      if (!Number.isInteger(n) || n < 0 || n > 63) throw new Error('slot must be a client number (0-63)');
+      return `clientkick ${n}`;
+    },
+    target: ({ slot, name }) => `slot ${slot}${name ? ` (${name})` : ''}`,
+  },
+  map: {
+    command: ({ map }) => {
+      if (!MAP_RE.test(String(map || ''))) throw new Error('map must be a bsp name like q3dm17');
+      return `map ${map}`;
+    },
+    target: ({ map }) => map,
+  },
+  cvar: {
+    command: ({ name, value }) => {
+      if (!CVAR_RE.test(String(name || ''))) throw new Error('name must be a cvar name');
+      if (PROTECTED_CVARS.has(String(name).toLowerCase())) throw new Error(`cvar ${name} can't be set through the API`);
+      const v = value == null ? '' : String(value);
+      if (UNSAFE_RE.test(v) || v.length > 256) throw new Error('value may not contain ; " or newlines (max 256)');
+      return `set ${name} "${v}"`;
+    },
+    target: ({ name }) => name,
+  },
+  say: {
+    command: ({ message }) => `say "${text(message, 'message')}"`,
+    target: () => null,
+  },
+};
+
+// action + caller args -> command string; throws on bad input (callers answer 400)
+const buildCommand = (action, args = {}) => {
+  const a = ACTIONS[action];
+  if (!a) throw new Error(`unknown action ${action}`);
+  return a.command(args);
+};
+
+// Resolves to the server's printed reply; rejects without a password, on a wrong one, or with no reply
+const send = (server, command, { timeoutMs } = {}) =>
+  rconCommand({ host: server.host, port: server.port, password: server.rcon, command, timeoutMs });
+
+// Players with slot/IP; unlike rconStatus this surfaces errors (the admin wants to know why it's empty)
+const listPlayers = async (server, { timeoutMs } = {}) => {
+  const reply = await send(server, 'status', { timeoutMs });
+  const map = /^map:\s*(\S+)/m.exec(reply);
+  return { map: map ? map[1] : null, players: parseRconStatus(reply) };
+};
+
+module.exports = { ACTIONS, buildCommand, send, listPlayers };
@@ -0,0 +1,50 @@
+// rollups.js — recompute the per-player rollup tables (player_stats, player_daily, player_weapons,
+// player_opponents) from raw frags, e.g. after a crash between storing a frag and bumping its rollups
+//
+//   node rollups.js [--check] [--player <id> ...]
+//
+// --check only reports players whose rollup rows differ from their raw frags (exit code 1 if any).
+
+const parseArgs = (argv) => {
+  const opts = { check: false, playerIds: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--check') opts.check = true;
+    else if (a === '--player') opts.playerIds.push(Number(argv[++i]));
+    else throw new Error(`unknown argument ${a}`);
+  }
+  return opts;
+};
+
+const main = () => {
+  const { check, playerIds } = parseArgs(process.argv.slice(2));
+  const db = require('./db');
+
+  const drift = db.checkRollups();
+  if (check) {
+    for (const d of drift) {
+      console.log(
+        `player ${d.player_id}: ${d.tables.join(', ')}; ` +
+        `kills ${d.kills ?? 0} (raw ${d.raw_kills ?? 0}), deaths ${d.deaths ?? 0} (raw ${d.raw_deaths ?? 0})`
+      );
+    }
+    console.log(drift.length ? `${drift.length} player(s) out of step` : 'rollups match raw frags');
+    process.exit(drift.length ? 1 : 0);
+  }
+
+  const started = Date.now();
+  db.rebuildRollups({ playerIds: playerIds.length ? playerIds : null });
+  console.log(
+    `rebuilt rollups for ${playerIds.length ? `${playerIds.length} player(s)` : 'all players'} in ${Date.now() - started} ms` +
+    ` (${drift.length} were out of step)`
+  );
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error('rollups failed:', e.message);
+    process.exit(1);
+  }
+}
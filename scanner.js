@@ -0,0 +1,103 @@
+// scanner.js — batched getinfo scans (rate limited) and the cached server list behind /api/servers
+// A scan asks every master for its list, adds the servers we host ourselves, and getinfo's them all:
+// at most `concurrency` queries in flight and at most `perSecond` sent per second, so scanning a
+// few hundred servers doesn't arrive at anyone's firewall as a burst.
+
+const { getInfo } = require('./status');
+const { getServers, PROTOCOL } = require('./master');
+const { gametypeOf } = require('./gametypes');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// [{ host, port }] -> results in the same order: { host, port, ok: true, ping, info } or { host, port, ok: false, error }
+const scanServers = async (targets, { query = getInfo, concurrency = 32, perSecond = 100, timeoutMs = 1000 } = {}) => {
+  const results = new Array(targets.length);
+  const gap = perSecond > 0 ? 1000 / perSecond : 0;
+  let next = 0;
+  let slot = 0; // earliest start for the next query
+
+  const worker = async () => {
+    while (next < targets.length) {
+      const i = next++;
+      const at = Math.max(Date.now(), slot);
+      slot = at + gap;
+      if (at > Date.now()) await sleep(at - Date.now());
+      const { host, port } = targets[i];
+      try {
+        const { info, ping } = await query(host, port, timeoutMs);
+        results[i] = { host, port, ok: true, ping, info };
+      } catch (e) {
+        results[i] = { host, port, ok: false, error: e.message };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+  return results;
+};
+
+// getinfo reply -> what the browser lists (name is the raw caret-colored hostname)
+const serverRow = ({ host, port, ping, info }) => {
+  const gt = gametypeOf(info.gametype ?? info.g_gametype);
+  return {
+    address: `${host}:${port}`,
+    name: info.hostname || info.sv_hostname || '',
+    map: info.mapname || null,
+    game: info.game || 'baseq3',
+    gametype: gt.id,
+    gametype_label: gt.label,
+    players: Number(info.clients) || 0,
+    humans: info.g_humanplayers != null ? Number(info.g_humanplayers) : null,
+    max_players: Number(info.sv_maxclients) || null,
+    needpass: info.g_needpass === '1',
+    protocol: Number(info.protocol) || null,
+    ping,
+  };
+};
+
+// masters: [{ host, port }]; extra: servers to scan even if no master lists them (our own registry);
+// a finished scan counts as fresh for ttlMs. list() answers a stale list right away and rescans behind
+// it; only the very first call waits for a scan.
+const createServerBrowser = ({ masters = [], extra = [], protocol = PROTOCOL, gamename = null, ttlMs = 120000, scan = {} }) => {
+  let current = null;  // { scanned_at, masters: [{ master, ok, servers | error }], servers: [row], unreachable }
+  let running = null;  // the scan in progress
+
+  const askMaster = async (m) => {
+    const master = `${m.host}:${m.port}`;
+    try {
+      return { master, ok: true, list: await getServers({ ...m, protocol, gamename }) };
+    } catch (e) {
+      return { master, ok: false, error: e.message, list: [] };
+    }
+  };
+
+  const refresh = () => {
+    if (running) return running;
+    running = (async () => {
+      const fromMasters = await Promise.all(masters.map(askMaster));
+      const targets = new Map();
+      for (const s of [...extra, ...fromMasters.flatMap(m => m.list)]) {
+        targets.set(`${s.host}:${s.port}`, { host: s.host, port: Number(s.port) });
+      }
+      const results = await scanServers([...targets.values()], scan);
+      current = {
+        scanned_at: Date.now(),
+        masters: fromMasters.map(({ list, ...m }) => (m.ok ? { ...m, servers: list.length } : m)),
+        servers: results.filter(r => r.ok).map(serverRow),
+        unreachable: results.filter(r => !r.ok).length,
+      };
+      return current;
+    })().finally(() => { running = null; });
+    return running;
+  };
+
+  const list = async () => {
+    if (!current) return refresh();
+    if (Date.now() - current.scanned_at > ttlMs) refresh().catch(e => console.error('server scan failed:', e.message));
+    return current;
+  };
+
+  return { list, refresh, scanning: () => !!running };
+};
+
+module.exports = { scanServers, createServerBrowser };
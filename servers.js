@@ -0,0 +1,57 @@
+// servers.js — registry of the Q3 servers this ladder follows (UDP address + games.log path per server)
+//
+// Sources, first one found wins:
+//   1. Q3_SERVERS_FILE (or ./servers.json): [{ "id": "ffa", "name": "FFA", "host": "1.2.3.4", "port": 27960,
+//      "log": "/srv/q3/ffa/games.log", "rcon": "secret" }, ...]
+//   2. Q3_SERVERS: "ffa=1.2.3.4:27960@/srv/q3/ffa/games.log,duel=1.2.3.4:27961@/srv/q3/duel/games.log"
+//   3. legacy single server from Q3_HOST / Q3_PORT / Q3_LOG / Q3_RCON_PASSWORD (id "default")
+// "rcon" is optional; without it only getstatus (no slots, no IPs) is available for that server.
+
+const fs = require('fs');
+const path = require('path');
+
+const { LOG_PATH } = require('./logtail');
+
+const DEFAULT_FILE = path.join(__dirname, 'servers.json');
+const ID_RE = /^[a-z0-9_-]+$/i;
+
+const normalize = (s, i) => {
+  const id = String(s.id || `server${i + 1}`);
+  if (!ID_RE.test(id)) throw new Error(`servers: invalid id "${id}" (use letters, digits, _ and -)`);
+  return {
+    id,
+    name: s.name || id,
+    host: s.host || '127.0.0.1',
+    port: Number(s.port || 27960),
+    log: s.log || null,
+    rcon: s.rcon || null,
+  };
+};
+
+// "ffa=1.2.3.4:27960@/path/games.log" -> { id, host, port, log }
+const parseEnvList = (list) =>
+  String(list).split(',').map(x => x.trim()).filter(Boolean).map((entry) => {
+    const m = /^([^=]+)=([^:@]+)(?::(\d+))?(?:@(.+))?$/.exec(entry);
+    if (!m) throw new Error(`servers: can't parse Q3_SERVERS entry "${entry}"`);
+    return { id: m[1].trim(), host: m[2].trim(), port: m[3] ? +m[3] : 27960, log: m[4] ? m[4].trim() : null };
+  });
+
+const loadServers = (env = process.env) => {
+  let raw;
+  const file = env.Q3_SERVERS_FILE || (fs.existsSync(DEFAULT_FILE) ? DEFAULT_FILE : null);
+  if (file) raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  else if (env.Q3_SERVERS) raw = parseEnvList(env.Q3_SERVERS);
+  else raw = [{ id: 'default', host: env.Q3_HOST, port: env.Q3_PORT, log: env.Q3_LOG || LOG_PATH, rcon: env.Q3_RCON_PASSWORD }];
+
+  const servers = (Array.isArray(raw) ? raw : raw.servers || []).map(normalize);
+  if (!servers.length) throw new Error('servers: registry is empty');
+
+  const seen = new Set();
+  for (const s of servers) {
+    if (seen.has(s.id)) throw new Error(`servers: duplicate id "${s.id}"`);
+    seen.add(s.id);
+  }
+  return servers;
+};
+
+module.exports = { loadServers };
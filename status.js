@@ -79,26 +79,49 @@ module.exports = {
     getStatus
 };
 
-// --- Optional: RCON "status" (gets ip:port per player) ---
-const rconStatus = ({ host = '127.0.0.1', port = 27960, password, timeoutMs = 600 }) =>
-  new Promise((resolve) => {
-    if (!password) return resolve([]);           // no password => no-op
-    const sock = dgram.createSocket('udp4');     // dgram already required above
-    let buf = Buffer.alloc(0);
-    const msg = Buffer.from('\xff\xff\xff\xff' + 'rcon ' + password + ' status');
-
-    const close = () => { try { sock.close(); } catch {} };
-    sock.on('message', m => { buf = Buffer.concat([buf, m]); });
-    sock.on('error', () => { close(); resolve([]); });
-
-    sock.send(msg, port, host, () => {
-      setTimeout(() => {                           // small window to collect the reply
-        close();
-        resolve(parseRconStatus(buf.toString('latin1')));
-      }, timeoutMs);
+// --- RCON: send one command, collect the printed reply ---
+// Replies come back as one or more "\xff\xff\xff\xffprint\n<text>" packets; collect for a short window
+// after the last packet. Rejects on timeout (no reply at all) and on a wrong password.
+const OOB = Buffer.alloc(4, 0xff);
+
+const rconCommand = ({ host = '127.0.0.1', port = 27960, password, command, timeoutMs = 600, quietMs = 150 }) =>
+  new Promise((resolve, reject) => {
+    if (!password) return reject(new Error('no rcon password configured'));
+    const sock = dgram.createSocket('udp4');
+    const chunks = [];
+    let quiet = null;
+    let finished = false;
+
+    const finish = (err) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(deadline);
+      clearTimeout(quiet);
+      try { sock.close(); } catch {}
+      if (err) return reject(err);
+      const text = chunks.join('');
+      if (/^Bad rconpassword/im.test(text)) return reject(new Error('bad rcon password'));
+      resolve(text);
+    };
+
+    const deadline = setTimeout(() => finish(chunks.length ? null : new Error('rcon timeout')), timeoutMs);
+    sock.on('message', (m) => {
+      chunks.push(m.toString('latin1').replace(/^\xff{4}print\n?/, ''));
+      clearTimeout(quiet);
+      quiet = setTimeout(() => finish(null), quietMs);
     });
+    sock.on('error', finish);
+
+    const pkt = Buffer.concat([OOB, Buffer.from(`rcon ${password} ${command}`, 'latin1')]);
+    sock.send(pkt, port, host);
   });
 
+// --- Optional: RCON "status" (gets ip:port per player) ---
+const rconStatus = ({ host = '127.0.0.1', port = 27960, password, timeoutMs = 600 }) =>
+  rconCommand({ host, port, password, command: 'status', timeoutMs })
+    .then(parseRconStatus)
+    .catch(() => []);                            // no password / no reply => no rows
+
 const parseRconStatus = (text = '') => {
   const lines = text.split('\n').map(s => s.trim()).filter(Boolean);
   const hdr = lines.findIndex(l => /^num\s+score\s+ping\s+name/i.test(l));
@@ -106,21 +129,67 @@ const parseRconStatus = (text = '') => {
   const out = [];
   for (let i = hdr + 1; i < lines.length; i++) {
     const L = lines[i];
-    // Typical row: "0  20  50  d2           40  1.2.3.4:27960  12345  25000"
+    // Typical row: "0  20  50  d2^7         40  1.2.3.4:27960  12345  25000"
+    // (num score ping name lastmsg address qport rate; bots show "bot" as the address)
     const parts = L.split(/\s+/);
-    if (parts.length < 8) continue;
+    if (parts.length < 8 || !/^\d+$/.test(parts[0])) continue;
     const num   = +parts[0];
     const score = +parts[1];
     const ping  = +parts[2];
-    // name may contain spaces; walk until we hit ip:port
+    // name may contain spaces; walk until we hit the address, then give back the lastmsg column
     let j = 3, nameParts = [];
-    while (j < parts.length && !/^\d+\.\d+\.\d+\.\d+:\d+$/.test(parts[j])) { nameParts.push(parts[j]); j++; }
-    const name = nameParts.join(' ').trim();
-    const [ip, portStr] = (parts[j] || '').split(':');
-    out.push({ num, score, ping, name, ip: ip || null, port: +(portStr || 0) || null });
+    while (j < parts.length && !/^(\d+\.\d+\.\d+\.\d+:\d+|bot|loopback)$/i.test(parts[j])) { nameParts.push(parts[j]); j++; }
+    if (nameParts.length > 1 && /^\d+$/.test(nameParts[nameParts.length - 1])) nameParts.pop();
+    const name = nameParts.join(' ').trim().replace(/\^7$/, '');
+    const [ip, portStr] = /:/.test(parts[j] || '') ? parts[j].split(':') : [];
+    out.push({ num, score, ping, name, ip: ip || null, port: +(portStr || 0) || null, bot: /^bot$/i.test(parts[j] || '') });
   }
   return out;
 };
 
 // extend exports without touching existing ones
 module.exports.rconStatus = rconStatus;
+module.exports.rconCommand = rconCommand;
+module.exports.parseRconStatus = parseRconStatus;
+
+// --- getinfo: the short server summary (hostname, map, client counts) server browsers list ---
+// The reply echoes our challenge, which tells it apart from a stale reply to an earlier query.
+const parseInfoResponse = (buf) => {
+  const head = OOB.length + 'infoResponse'.length;
+  if (buf.length < head || !buf.subarray(0, OOB.length).equals(OOB)) return null;
+  if (buf.toString('latin1', OOB.length, head) !== 'infoResponse') return null;
+  return parseInfoString(buf.toString('utf8', head).split('\n').find(Boolean) || '');
+};
+
+// Resolves { info, ping } (ping = round trip in ms); rejects on timeout
+const getInfo = (host = '127.0.0.1', port = 27960, timeoutMs = 1000) =>
+  new Promise((resolve, reject) => {
+    const sock = dgram.createSocket('udp4');
+    const challenge = Math.random().toString(36).slice(2, 10);
+    let finished = false;
+    let sentAt = 0;
+
+    const finish = (err, res) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(deadline);
+      try { sock.close(); } catch {}
+      err ? reject(err) : resolve(res);
+    };
+
+    const deadline = setTimeout(() => finish(new Error('timeout')), timeoutMs);
+    sock.on('message', (m) => {
+      const info = parseInfoResponse(m);
+      if (!info || (info.challenge != null && info.challenge !== challenge)) return;
+      finish(null, { info, ping: Date.now() - sentAt });
+    });
+    sock.on('error', finish);
+
+    const pkt = Buffer.concat([OOB, Buffer.from(`getinfo ${challenge}`, 'latin1')]);
+    sentAt = Date.now();
+    sock.send(pkt, port, host);
+  });
+
+module.exports.getInfo = getInfo;
+module.exports.parseInfoResponse = parseInfoResponse;
+module.exports.parseInfoString = parseInfoString;
@@ -0,0 +1,72 @@
+// streaks.js — per-life kill streaks and multikills (pure, in-memory; db.js persists the records)
+//
+// A streak counts frags since the player's last death; a multikill counts frags landed within
+// MULTI_WINDOW_MS of the previous one. Suicides and <world> deaths end a streak without
+// crediting anyone.
+
+const MULTI_WINDOW_MS = 3000;
+
+// Announced when a streak reaches these counts (and every 5 after the last one)
+const SPREES = [
+  [5, 'killing_spree'],
+  [10, 'rampage'],
+  [15, 'dominating'],
+  [20, 'unstoppable'],
+  [25, 'godlike'],
+];
+const SPREE_MIN = SPREES[0][0];
+
+const MULTIS = ['', '', 'double_kill', 'triple_kill', 'multi_kill', 'mega_kill', 'ultra_kill'];
+const multiLabel = (n) => MULTIS[n] || 'monster_kill';
+
+const spreeLabel = (n) => {
+  const last = SPREES[SPREES.length - 1];
+  if (n >= last[0]) return (n - last[0]) % 5 === 0 ? last[1] : null;
+  const hit = SPREES.find(([at]) => at === n);
+  return hit ? hit[1] : null;
+};
+
+// One tracker per server; keys are player ids (anything comparable works)
+const createStreakTracker = ({ multiWindowMs = MULTI_WINDOW_MS } = {}) => {
+  let lives = new Map(); // key -> { streak, multi, lastKillAt }
+
+  const life = (key) => {
+    if (!lives.has(key)) lives.set(key, { streak: 0, multi: 0, lastKillAt: 0 });
+    return lives.get(key);
+  };
+
+  // -> { killer: {streak, multi}|null, notables: [{ type, player, count, label, by? }] }
+  const onKill = ({ killer, victim, ts = Date.now() }) => {
+    const notables = [];
+    const suicide = killer == null || killer === victim;
+
+    let k = null;
+    if (!suicide) {
+      k = life(killer);
+      k.streak++;
+      k.multi = ts - k.lastKillAt <= multiWindowMs ? k.multi + 1 : 1;
+      k.lastKillAt = ts;
+
+      const spree = spreeLabel(k.streak);
+      if (spree) notables.push({ type: 'spree', player: killer, count: k.streak, label: spree });
+      if (k.multi >= 2) notables.push({ type: 'multikill', player: killer, count: k.multi, label: multiLabel(k.multi) });
+    }
+
+    if (victim != null) {
+      const v = life(victim);
+      if (v.streak >= SPREE_MIN) {
+        notables.push({ type: 'spree_end', player: victim, count: v.streak, by: suicide ? null : killer });
+      }
+      lives.set(victim, { streak: 0, multi: 0, lastKillAt: 0 });
+    }
+
+    return { killer: k ? { streak: k.streak, multi: k.multi } : null, notables };
+  };
+
+  const reset = () => { lives = new Map(); };
+  const drop = (key) => lives.delete(key);
+
+  return { onKill, reset, drop };
+};
+
+module.exports = { createStreakTracker, MULTI_WINDOW_MS, SPREE_MIN };
@@ -0,0 +1,47 @@
+// weapons.js — Quake 3 means-of-death (MOD_*) table, grouped by weapon
+// Splash variants fold into their base weapon (MOD_ROCKET_SPLASH -> rocket). Environment deaths
+// (lava, falling, ...) get their own groups so they show up in breakdowns but never as "weapons".
+
+const GROUPS = [
+  // weapons
+  { id: 'gauntlet',   label: 'Gauntlet',         kind: 'weapon', mods: ['MOD_GAUNTLET'] },
+  { id: 'machinegun', label: 'Machinegun',       kind: 'weapon', mods: ['MOD_MACHINEGUN'] },
+  { id: 'shotgun',    label: 'Shotgun',          kind: 'weapon', mods: ['MOD_SHOTGUN'] },
+  { id: 'grenade',    label: 'Grenade Launcher', kind: 'weapon', mods: ['MOD_GRENADE', 'MOD_GRENADE_SPLASH'] },
+  { id: 'rocket',     label: 'Rocket Launcher',  kind: 'weapon', mods: ['MOD_ROCKET', 'MOD_ROCKET_SPLASH'] },
+  { id: 'lightning',  label: 'Lightning Gun',    kind: 'weapon', mods: ['MOD_LIGHTNING'] },
+  { id: 'railgun',    label: 'Railgun',          kind: 'weapon', mods: ['MOD_RAILGUN'] },
+  { id: 'plasma',     label: 'Plasma Gun',       kind: 'weapon', mods: ['MOD_PLASMA', 'MOD_PLASMA_SPLASH'] },
+  { id: 'bfg',        label: 'BFG10K',           kind: 'weapon', mods: ['MOD_BFG', 'MOD_BFG_SPLASH'] },
+  { id: 'nailgun',    label: 'Nailgun',          kind: 'weapon', mods: ['MOD_NAIL'] },
+  { id: 'chaingun',   label: 'Chaingun',         kind: 'weapon', mods: ['MOD_CHAINGUN'] },
+  { id: 'proxmine',   label: 'Prox Launcher',    kind: 'weapon', mods: ['MOD_PROXIMITY_MINE'] },
+  { id: 'grapple',    label: 'Grapple',          kind: 'weapon', mods: ['MOD_GRAPPLE'] },
+  { id: 'kamikaze',   label: 'Kamikaze',         kind: 'weapon', mods: ['MOD_KAMIKAZE', 'MOD_JUICED'] },
+  { id: 'telefrag',   label: 'Telefrag',         kind: 'weapon', mods: ['MOD_TELEFRAG'] },
+
+  // environment / self
+  { id: 'falling',    label: 'Falling',          kind: 'world',  mods: ['MOD_FALLING'] },
+  { id: 'lava',       label: 'Lava',             kind: 'world',  mods: ['MOD_LAVA'] },
+  { id: 'slime',      label: 'Slime',            kind: 'world',  mods: ['MOD_SLIME'] },
+  { id: 'water',      label: 'Drowning',         kind: 'world',  mods: ['MOD_WATER'] },
+  { id: 'crush',      label: 'Crushed',          kind: 'world',  mods: ['MOD_CRUSH'] },
+  { id: 'hurt',       label: 'Trigger hurt',     kind: 'world',  mods: ['MOD_TRIGGER_HURT', 'MOD_TARGET_LASER'] },
+  { id: 'suicide',    label: 'Suicide',          kind: 'world',  mods: ['MOD_SUICIDE'] },
+  { id: 'unknown',    label: 'Unknown',          kind: 'world',  mods: ['MOD_UNKNOWN'] },
+];
+
+const GROUP_BY_ID = new Map(GROUPS.map(g => [g.id, g]));
+const GROUP_BY_MOD = new Map(GROUPS.flatMap(g => g.mods.map(m => [m, g])));
+
+// Any MOD_* we don't know (mod-specific ones) lands in "unknown"
+const groupOfMod = (mod) => GROUP_BY_MOD.get(String(mod || '').toUpperCase()) || GROUP_BY_ID.get('unknown');
+
+// "rocket", "MOD_ROCKET", "mod_rocket_splash" -> group (or null)
+const resolveWeapon = (q) => {
+  const s = String(q || '').trim();
+  if (!s) return null;
+  return GROUP_BY_ID.get(s.toLowerCase()) || GROUP_BY_MOD.get(s.toUpperCase()) || null;
+};
+
+module.exports = { GROUPS, groupOfMod, resolveWeapon };
@@ -0,0 +1,234 @@
+// webhooks.js — notable events -> outgoing webhooks (generic JSON or a Discord embed)
+// Subscriptions and the delivery log live in db.js; emit() only queues one delivery per matching hook,
+// and a timer sends whatever is due. A delivery that fails with a network error, a 429 or a 5xx is
+// retried with exponential backoff until maxAttempts; any other 4xx fails it straight away.
+//   POST <url>   Content-Type: application/json
+//   X-Webhook-Event: <event>   X-Webhook-Delivery: <delivery id>
+//   X-Webhook-Signature: sha256=<hex HMAC of the body>   (only when the hook has a secret)
+
+const crypto = require('crypto');
+const { stripColors } = require('./colors');
+
+const FORMATS = ['json', 'discord'];
+
+const nameOf = (p) => stripColors(p?.name || '') || `#${p?.id ?? '?'}`;
+const field = (name, value, inline = true) => ({ name, value: String(value ?? '—'), inline });
+
+// event -> { title, color (embed side bar), text(data), fields(data) }
+const EVENTS = {
+  match_end: {
+    title: 'Match finished',
+    color: 0x3498db,
+    text: (d) => `${d.map || 'match'} finished` + (d.top?.length ? ` — ${nameOf(d.top[0])} wins with ${d.top[0].score}` : ''),
+    fields: (d) => [
+      field('Map', d.map),
+      field('Duration', d.duration_ms != null ? `${Math.round(d.duration_ms / 60000)} min` : null),
+      field('Top 5', d.top?.length
+        ? d.top.map((p, i) => `${i + 1}. ${nameOf(p)} — ${p.score} (${p.kills}/${p.deaths})`).join('\n')
+        : 'nobody scored', false),
+    ],
+  },
+  ladder_top10: {
+    title: 'New in the top 10',
+    color: 0xf1c40f,
+    text: (d) => `${nameOf(d.player)} entered the ladder top 10 at #${d.rank}`,
+    fields: (d) => [field('Rank', `#${d.rank}`), field('Rating', d.rating != null ? Math.round(d.rating) : null)],
+  },
+  personal_best: {
+    title: 'New personal best',
+    color: 0xe67e22,
+    text: (d) => `${nameOf(d.player)} set a personal best streak of ${d.count}` + (d.previous ? ` (was ${d.previous})` : ''),
+    fields: (d) => [field('Streak', d.count), field('Previous best', d.previous || '—'), field('Map', d.map)],
+  },
+  server_populated: {
+    title: 'Server populated',
+    color: 0x2ecc71,
+    text: (d) => `${stripColors(d.name || d.server)} has ${d.players} player${d.players === 1 ? '' : 's'} on ${d.map || '?'}`,
+    fields: (d) => [field('Players', d.players), field('Map', d.map)],
+  },
+  server_emptied: {
+    title: 'Server emptied',
+    color: 0x95a5a6,
+    text: (d) => `${stripColors(d.name || d.server)} is empty`,
+    fields: (d) => [field('Map', d.map)],
+  },
+  test: {
+    title: 'Test notification',
+    color: 0x9b59b6,
+    text: () => 'Webhook test from the ladder',
+    fields: () => [],
+  },
+};
+
+// Body of one delivery, as a string (it is stored and signed exactly as sent)
+const buildPayload = (format, event, data, { server = null, ts = Date.now() } = {}) => {
+  const ev = EVENTS[event];
+  const text = ev.text(data);
+  if (format === 'discord') {
+    return JSON.stringify({
+      content: null,
+      embeds: [{
+        title: ev.title,
+        description: text,
+        color: ev.color,
+        fields: ev.fields(data),
+        footer: server ? { text: server } : undefined,
+        timestamp: new Date(ts).toISOString(),
+      }],
+    });
+  }
+  return JSON.stringify({ event, ts, time: new Date(ts).toISOString(), server, text, data });
+};
+
+const hookWants = (hook, event, server) =>
+  (hook.events.includes('*') ? event !== 'test' : hook.events.includes(event)) &&
+  (!hook.server_id || !server || hook.server_id === server);
+
+// Admin input -> { value } or { error }; `partial` for PATCH (only what was given is checked)
+const validateWebhook = (body = {}, { partial = false } = {}) => {
+  const out = {};
+  if (body.url !== undefined || !partial) {
+    let u;
+    try { u = new URL(String(body.url || '')); } catch { return { error: 'url must be an absolute http(s) URL' }; }
+    if (!/^https?:$/.test(u.protocol)) return { error: 'url must be an absolute http(s) URL' };
+    out.url = u.toString();
+  }
+  if (body.format !== undefined) {
+    if (!FORMATS.includes(body.format)) return { error: `format must be one of: ${FORMATS.join(', ')}` };
+    out.format = body.format;
+  }
+  if (body.events !== undefined) {
+    const events = (Array.isArray(body.events) ? body.events : String(body.events).split(','))
+      .map(e => String(e).trim()).filter(Boolean);
+    const unknown = events.filter(e => e !== '*' && !EVENTS[e]);
+    if (!events.length || unknown.length) {
+      return { error: `unknown event(s): ${unknown.join(', ') || '(none given)'}; known: *, ${Object.keys(EVENTS).join(', ')}` };
+    }
+    out.events = events.includes('*') ? ['*'] : [...new Set(events)];
+  }
+  if (body.name !== undefined) out.name = body.name == null ? null : String(body.name).slice(0, 100);
+  if (body.server !== undefined) out.server = body.server ? String(body.server) : null;
+  if (body.secret !== undefined) out.secret = body.secret ? String(body.secret) : null;
+  if (body.enabled !== undefined) out.enabled = !!body.enabled && body.enabled !== '0' && body.enabled !== 'false';
+  return { value: out };
+};
+
+const sign = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const retryable = (status) => status === 429 || status >= 500;
+
+// How much of an error response is kept (the delivery log shows it; the body could be anything)
+const ERROR_BODY_MAX = 500;
+
+// The start of a response body, without reading the rest of it
+const readSnippet = async (res, max = ERROR_BODY_MAX) => {
+  if (!res.body?.getReader) return String(await res.text()).slice(0, max);
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  try {
+    while (text.length < max) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return text.slice(0, max);
+};
+
+// store: the db module (activeWebhooks, enqueueWebhookDelivery, dueWebhookDeliveries, pendingWebhookDelivery,
+// recordWebhookAttempt)
+const createWebhookDispatcher = ({
+  store, fetchImpl = fetch, pollMs = 1000, timeoutMs = 5000, maxAttempts = 6, backoffMs = 5000, batch = 20,
+}) => {
+  let timer = null;
+  let busy = null;
+  const sending = new Set(); // delivery ids with a request out, so a tick and send() never both post one
+
+  const deliver = async (d) => {
+    sending.add(d.id);
+    try {
+      await attempt(d);
+    } finally {
+      sending.delete(d.id);
+    }
+  };
+
+  const attempt = async (d) => {
+    const now = Date.now();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'q3-ladder-webhooks',
+      'X-Webhook-Event': d.event,
+      'X-Webhook-Delivery': String(d.id),
+    };
+    if (d.secret) headers['X-Webhook-Signature'] = sign(d.secret, d.payload);
+
+    let status = null;
+    let error = null;
+    try {
+      const res = await fetchImpl(d.url, {
+        method: 'POST', headers, body: d.payload, signal: AbortSignal.timeout(timeoutMs), redirect: 'manual',
+      });
+      status = res.status;
+      if (status < 200 || status >= 300) error = (await readSnippet(res).catch(() => '')) || `HTTP ${status}`;
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? `timeout after ${timeoutMs}ms` : e.cause?.code || e.message;
+    }
+
+    const attempts = d.attempts + 1;
+    if (!error) return store.recordWebhookAttempt(d.id, { status: 'ok', ts: now, responseStatus: status });
+    const again = (status == null || retryable(status)) && attempts < maxAttempts;
+    store.recordWebhookAttempt(d.id, {
+      status: again ? 'pending' : 'failed',
+      ts: now,
+      nextAttemptAt: again ? Date.now() + backoffMs * 2 ** (attempts - 1) : null,
+      responseStatus: status,
+      error,
+    });
+  };
+
+  // Send everything that's due; one pass at a time
+  const tick = () => {
+    if (busy) return busy;
+    busy = (async () => {
+      const due = store.dueWebhookDeliveries(Date.now(), batch).filter(d => !sending.has(d.id));
+      await Promise.all(due.map(d => deliver(d).catch(e => console.error(`webhook delivery ${d.id}:`, e.message))));
+      return due.length;
+    })().finally(() => { busy = null; });
+    return busy;
+  };
+
+  // Queue `event` for every enabled hook that wants it -> delivery ids
+  const emit = (event, data, { server = null, ts = Date.now(), only = null } = {}) => {
+    if (!EVENTS[event]) throw new Error(`unknown webhook event: ${event}`);
+    const hooks = only ? [only] : store.activeWebhooks().filter(h => hookWants(h, event, server));
+    const ids = hooks.map(h => store.enqueueWebhookDelivery({
+      webhookId: h.id, event, payload: buildPayload(h.format, event, data, { server, ts }), ts,
+    }));
+    if (ids.length && timer) setImmediate(() => tick().catch(() => {}));
+    return ids;
+  };
+
+  // Send one queued delivery now rather than on the next tick (the admin test button) -> false if it
+  // isn't pending or is already being sent
+  const send = async (id) => {
+    const d = store.pendingWebhookDelivery(id);
+    if (!d || sending.has(d.id)) return false;
+    await deliver(d);
+    return true;
+  };
+
+  const start = () => {
+    if (timer || !(pollMs > 0)) return;
+    timer = setInterval(() => tick().catch(e => console.error('webhook dispatch failed:', e.message)), pollMs);
+    timer.unref?.();
+  };
+  const stop = () => { clearInterval(timer); timer = null; };
+
+  return { emit, tick, send, start, stop };
+};
+
+module.exports = { EVENTS, FORMATS, buildPayload, validateWebhook, createWebhookDispatcher };